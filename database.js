@@ -167,6 +167,81 @@ function initialize() {
     )
   `);
 
+  // Saved what-if scenarios (Summary tab comparison grid)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS borrower_scenarios (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      borrower_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      purchase_price REAL,
+      down_payment_percent REAL,
+      interest_rate REAL,
+      property_taxes_annual REAL,
+      insurance_annual REAL,
+      hoa_monthly REAL,
+      preferred_loan_type TEXT,
+      loan_term_months INTEGER,
+      include_in_pdf INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (borrower_id) REFERENCES borrowers(id) ON DELETE CASCADE
+    )
+  `);
+
+  // County closing cost fee templates (overrides of the statewide defaults in calculator.js)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS closing_cost_templates (
+      county TEXT PRIMARY KEY,
+      fees JSON DEFAULT '{}',
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Uploaded lender rate sheets: base price by rate and lock period, plus each sheet's LLPA grid
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS rate_sheets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      loan_program TEXT DEFAULT 'Conventional',
+      source_filename TEXT,
+      lock_periods JSON DEFAULT '[]',
+      rates JSON DEFAULT '[]',
+      adjustments JSON DEFAULT '{}',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Conforming, FHA and VA loan limits by county and year (loaded from CSV). Unit columns are 1-4 unit limits.
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS loan_limits (
+      state TEXT NOT NULL,
+      county TEXT NOT NULL,
+      year INTEGER NOT NULL,
+      conforming_1_unit REAL,
+      conforming_2_unit REAL,
+      conforming_3_unit REAL,
+      conforming_4_unit REAL,
+      fha_1_unit REAL,
+      fha_2_unit REAL,
+      fha_3_unit REAL,
+      fha_4_unit REAL,
+      va_limit REAL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (state, county, year)
+    )
+  `);
+
+  // Overrides of the tax and insurance estimate rates in calculator.js.
+  // rate_type 'tax' is keyed by county (levy %), 'insurance' by property type (premium per $1,000).
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS estimate_rates (
+      rate_type TEXT NOT NULL,
+      name TEXT NOT NULL,
+      rate REAL NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (rate_type, name)
+    )
+  `);
+
   // Received emails table
   database.exec(`
     CREATE TABLE IF NOT EXISTS received_emails (
@@ -226,6 +301,101 @@ function initialize() {
   addColumnIfNotExists('borrowers', 'co_address_years', 'INTEGER DEFAULT 0');
   addColumnIfNotExists('borrowers', 'co_address_months', 'INTEGER DEFAULT 0');
 
+  // VA funding fee inputs (the current loan type tells an IRRRL from other refinances)
+  addColumnIfNotExists('borrowers', 'va_prior_use', 'INTEGER DEFAULT 0');
+  addColumnIfNotExists('borrowers', 'va_funding_fee_exempt', 'INTEGER DEFAULT 0');
+  addColumnIfNotExists('borrowers', 'current_loan_type', 'TEXT');
+
+  // Loan term and amortization
+  addColumnIfNotExists('borrowers', 'loan_term_months', 'INTEGER DEFAULT 360');
+  addColumnIfNotExists('borrowers', 'amortization_type', "TEXT DEFAULT 'Fixed'");
+  addColumnIfNotExists('borrowers', 'arm_type', 'TEXT');
+  addColumnIfNotExists('borrowers', 'interest_only', 'INTEGER DEFAULT 0');
+  addColumnIfNotExists('borrowers', 'interest_only_months', 'INTEGER DEFAULT 120');
+
+  // Itemized closing cost worksheet
+  addColumnIfNotExists('borrowers', 'closing_cost_fees', "JSON DEFAULT '{}'");
+  addColumnIfNotExists('borrowers', 'closing_date', 'TEXT');
+  addColumnIfNotExists('borrowers', 'earnest_money', 'REAL');
+  addColumnIfNotExists('borrowers', 'seller_credits', 'REAL');
+  addColumnIfNotExists('borrowers', 'lender_credits', 'REAL');
+
+  // Reserve requirement override (months of PITI, e.g. from AUS findings)
+  addColumnIfNotExists('borrowers', 'reserve_months_required', 'REAL');
+
+  // Subject property rent (2-4 unit and investment purchases)
+  addColumnIfNotExists('borrowers', 'subject_rent_monthly', 'REAL');
+
+  // Real estate owned schedule (JSON array of properties with their liens)
+  addColumnIfNotExists('borrowers', 'reo_properties', "JSON DEFAULT '[]'");
+
+  // Conventional agency (Fannie Mae / Freddie Mac) for agency-specific rules such as student loan payments
+  addColumnIfNotExists('borrowers', 'conventional_investor', "TEXT DEFAULT 'Fannie Mae'");
+
+  // Tri-merge credit scores per bureau
+  for (const prefix of ['', 'co_']) {
+    for (const bureau of ['experian', 'equifax', 'transunion']) {
+      addColumnIfNotExists('borrowers', `${prefix}credit_score_${bureau}`, 'INTEGER');
+    }
+  }
+
+  // Rate sheet pricing: selected sheet and lock, and the points (negative = credit) for the chosen rate
+  addColumnIfNotExists('borrowers', 'rate_sheet_id', 'INTEGER');
+  addColumnIfNotExists('borrowers', 'rate_lock_days', 'INTEGER');
+  addColumnIfNotExists('borrowers', 'discount_points', 'REAL');
+
+  // Property county's loan limits (JSON row from loan_limits), refreshed when the county changes
+  addColumnIfNotExists('borrowers', 'loan_limits', 'JSON');
+
+  // Taxes and insurance pre-filled by the estimator (1) rather than entered from actual figures (0)
+  addColumnIfNotExists('borrowers', 'property_taxes_estimated', 'INTEGER DEFAULT 0');
+  addColumnIfNotExists('borrowers', 'insurance_estimated', 'INTEGER DEFAULT 0');
+
+  // Down payment assistance program (DPA_PROGRAMS id in calculator.js) and requested second lien amount
+  addColumnIfNotExists('borrowers', 'dpa_program', 'TEXT');
+  addColumnIfNotExists('borrowers', 'dpa_amount', 'REAL');
+
+  // Temporary buydown (TEMPORARY_BUYDOWNS key in calculator.js) and who funds the subsidy
+  addColumnIfNotExists('borrowers', 'buydown_type', 'TEXT');
+  addColumnIfNotExists('borrowers', 'buydown_paid_by', "TEXT DEFAULT 'Seller'");
+
+  // Existing loan details for the refinance benefit analysis
+  addColumnIfNotExists('borrowers', 'current_loan_remaining_months', 'INTEGER');
+  addColumnIfNotExists('borrowers', 'current_monthly_mi', 'REAL');
+
+  // Seasoning dates for the cash-out limit check
+  addColumnIfNotExists('borrowers', 'property_acquired_date', 'TEXT');
+  addColumnIfNotExists('borrowers', 'current_loan_first_payment_date', 'TEXT');
+
+  // Extra payment modeling and the PDF appendix for the amortization schedule
+  addColumnIfNotExists('borrowers', 'extra_monthly_payment', 'REAL');
+  addColumnIfNotExists('borrowers', 'lump_sum_payment', 'REAL');
+  addColumnIfNotExists('borrowers', 'lump_sum_month', 'INTEGER');
+  addColumnIfNotExists('borrowers', 'amortization_in_pdf', 'INTEGER DEFAULT 0');
+
+  // Living area for VA residual income maintenance and utilities
+  addColumnIfNotExists('borrowers', 'property_square_feet', 'INTEGER');
+
+  // Non-QM DSCR and bank statement qualification
+  addColumnIfNotExists('borrowers', 'nonqm_mode', 'TEXT');
+  addColumnIfNotExists('borrowers', 'dscr_min_ratio', 'REAL');
+  addColumnIfNotExists('borrowers', 'dscr_reserve_months', 'REAL');
+  addColumnIfNotExists('borrowers', 'bank_statement_months', 'INTEGER');
+  addColumnIfNotExists('borrowers', 'bank_statement_deposits', 'TEXT');
+  addColumnIfNotExists('borrowers', 'bank_statement_expense_factor', 'REAL');
+  addColumnIfNotExists('borrowers', 'bank_statement_ownership_percent', 'REAL');
+
+  // Asset depletion income (months override and whether it counts toward qualifying income)
+  addColumnIfNotExists('borrowers', 'asset_depletion_months', 'REAL');
+  addColumnIfNotExists('borrowers', 'asset_depletion_included', 'INTEGER DEFAULT 0');
+
+  // Non-taxable income gross-up override (military allowances, Social Security, VA disability)
+  addColumnIfNotExists('borrowers', 'nontaxable_gross_up_percent', 'REAL');
+
+  // Previous addresses for the two-year residence history
+  addColumnIfNotExists('borrowers', 'previous_residences', "JSON DEFAULT '[]'");
+  addColumnIfNotExists('borrowers', 'co_previous_residences', "JSON DEFAULT '[]'");
+
   console.log('Database initialized successfully');
   return database;
 }
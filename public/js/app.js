@@ -15,11 +15,17 @@ document.addEventListener('DOMContentLoaded', () => {
   initPayTypeToggles();
   initAssetListeners();
   initDebtListeners();
+  initReoListeners();
+  initPreviousResidenceListeners();
   initPropertyCalculations();
+  initClosingCostListeners();
+  initRateSheetPricing();
+  initLoanLimits();
+  initPropertyCostEstimates();
   initCreditFlags();
   initLiveFormatting();
   initSameAddressCheckbox();
-  loadBorrowerData();
+  loadScenarios();
 });
 
 // Live formatting for phone, SSN, date, and currency fields
@@ -264,10 +270,7 @@ async function saveBorrowerData(data) {
       body: JSON.stringify(data)
     });
 
-    const result = await response.json();
-    if (result.calculations) {
-      updateCalculationDisplay(result.calculations);
-    }
+    await response.json();
 
     // Update header name if changed
     if (data.first_name || data.last_name) {
@@ -275,18 +278,13 @@ async function saveBorrowerData(data) {
       const lastName = document.querySelector('[name="last_name"]').value || 'Borrower';
       document.getElementById('headerBorrowerName').textContent = `${firstName} ${lastName}`;
     }
-  } catch (error) {
-    console.error('Auto-save error:', error);
-  }
-}
 
-async function loadBorrowerData() {
-  try {
-    const response = await fetch(`/borrowers/${BORROWER_ID}`);
-    const { borrower, calculations } = await response.json();
-    updateCalculationDisplay(calculations);
+    // Saved scenarios are recomputed server-side against the latest borrower data
+    if (document.getElementById('scenarioGrid')?.innerHTML.trim()) {
+      loadScenarios();
+    }
   } catch (error) {
-    console.error('Load error:', error);
+    console.error('Auto-save error:', error);
   }
 }
 
@@ -303,7 +301,7 @@ function initToggleButtons() {
       btn.classList.add('active');
 
       // Save - convert to int for boolean fields
-      const saveValue = ['has_coborrower', 'collections', 'late_payments_12', 'late_payments_24', 'first_time_homebuyer'].includes(field)
+      const saveValue = ['has_coborrower', 'collections', 'late_payments_12', 'late_payments_24', 'first_time_homebuyer', 'amortization_in_pdf', 'asset_depletion_included'].includes(field)
         ? parseInt(value)
         : value;
       scheduleAutoSave({ [field]: saveValue });
@@ -317,10 +315,11 @@ function initToggleButtons() {
       }
       if (field === 'loan_purpose') {
         toggleLoanPurposeFields(value);
+        applyPropertyCostEstimates();
       }
 
       updateCreditFlags();
-      updatePropertyCalculations();
+      updateAllCalculations();
     });
   });
 }
@@ -332,6 +331,7 @@ function toggleLoanPurposeFields(purpose) {
 
   if (purchaseFields) purchaseFields.classList.toggle('hidden', purpose === 'Refinance');
   if (refinanceFields) refinanceFields.classList.toggle('hidden', purpose !== 'Refinance');
+  document.getElementById('dpaFields')?.classList.toggle('hidden', purpose === 'Refinance');
 }
 
 // Co-Borrower Toggle
@@ -409,6 +409,8 @@ function setupPayTypeToggle(block) {
     input.addEventListener('input', updateEmployerData);
     input.addEventListener('change', updateEmployerData);
   });
+
+  updateSelfEmploymentWorksheet(block);
 }
 
 // Employer Management
@@ -416,7 +418,9 @@ function addEmployer(prefix) {
   const container = prefix === 'primary' ? document.getElementById('primaryEmployers') : document.getElementById('coEmployers');
   const index = container.querySelectorAll('.employer-block').length;
 
-  const html = createEmployerBlockHTML(index, prefix, {});
+  // Active-duty borrowers start new employers on the LES entry
+  const employmentType = document.querySelector(`[name="${prefix === 'primary' ? '' : 'co_'}employment_type"]`)?.value;
+  const html = createEmployerBlockHTML(index, prefix, employmentType === 'active military duty' ? { employment_type: 'Military' } : {});
   container.insertAdjacentHTML('beforeend', html);
 
   const newBlock = container.lastElementChild;
@@ -460,6 +464,10 @@ function createEmployerBlockHTML(index, prefix, emp = {}) {
           <label>Start Date</label>
           <input type="date" class="emp-field" data-field="start_date" value="${emp.start_date || ''}">
         </div>
+        <div class="form-group emp-end-date-group ${emp.is_previous ? '' : 'hidden'}">
+          <label>End Date</label>
+          <input type="date" class="emp-field" data-field="end_date" value="${emp.end_date || ''}">
+        </div>
         <div class="form-group">
           <label>Time at Job</label>
           <div class="time-at-job-inputs">
@@ -475,6 +483,7 @@ function createEmployerBlockHTML(index, prefix, emp = {}) {
             <option value="W-2" ${emp.employment_type === 'W-2' ? 'selected' : ''}>W-2</option>
             <option value="Self-Employed" ${emp.employment_type === 'Self-Employed' ? 'selected' : ''}>Self-Employed</option>
             <option value="1099" ${emp.employment_type === '1099' ? 'selected' : ''}>1099</option>
+            <option value="Military" ${emp.employment_type === 'Military' ? 'selected' : ''}>Military (LES)</option>
           </select>
         </div>
         <div class="form-group">
@@ -485,6 +494,8 @@ function createEmployerBlockHTML(index, prefix, emp = {}) {
           </div>
         </div>
       </div>
+      ${createSelfEmploymentWorksheetHTML(emp)}
+      ${createLESWorksheetHTML(emp)}
       <div class="salary-fields">
         <div class="form-grid">
           <div class="form-group">
@@ -520,7 +531,7 @@ function createEmployerBlockHTML(index, prefix, emp = {}) {
           </div>
         </div>
       </div>
-      <div class="form-grid">
+      <div class="form-grid variable-pay-fields">
         <div class="form-group">
           <label>Overtime (monthly avg)</label>
           <input type="number" class="emp-field" data-field="overtime_monthly" value="${emp.overtime_monthly || ''}" placeholder="$0">
@@ -538,6 +549,136 @@ function createEmployerBlockHTML(index, prefix, emp = {}) {
   `;
 }
 
+// Fannie Mae 1084 worksheet, shown when the employer is Self-Employed
+function createSelfEmploymentWorksheetHTML(emp = {}) {
+  const rows = PathFinderCalc.SELF_EMPLOYMENT_LINE_ITEMS.map(item => `
+    <tr class="se-line-item ${item.types && !item.types.includes(emp.se_business_type) ? 'hidden' : ''}" data-types="${(item.types || []).join(',')}">
+      <td>${item.label}${item.sign < 0 ? ' (deduct)' : ''}</td>
+      <td><input type="number" class="emp-field" data-field="se_y1_${item.field}" value="${emp['se_y1_' + item.field] ?? ''}" placeholder="$0"></td>
+      <td><input type="number" class="emp-field" data-field="se_y2_${item.field}" value="${emp['se_y2_' + item.field] ?? ''}" placeholder="$0"></td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="se-worksheet ${emp.employment_type === 'Self-Employed' ? '' : 'hidden'}">
+      <h5>Self-Employment Income Worksheet (Fannie Mae 1084)</h5>
+      <div class="form-grid">
+        <div class="form-group">
+          <label>Business Return</label>
+          <select class="emp-field se-business-type" data-field="se_business_type">
+            <option value="">Not Used (enter pay below)</option>
+            <option value="ScheduleC">Schedule C (Sole Proprietor)</option>
+            <option value="1120S">1120S / K-1 (S Corporation)</option>
+            <option value="1065">1065 / K-1 (Partnership)</option>
+            <option value="1120">1120 (C Corporation)</option>
+          </select>
+        </div>
+        <div class="form-group se-ownership-group hidden">
+          <label>Ownership %</label>
+          <input type="number" class="emp-field" data-field="se_ownership_percent" value="${emp.se_ownership_percent || ''}" placeholder="100" min="0" max="100">
+        </div>
+      </div>
+      <table class="data-table se-worksheet-table hidden">
+        <thead>
+          <tr>
+            <th>Line Item</th>
+            <th><input type="number" class="emp-field" data-field="se_y1_year" value="${emp.se_y1_year || ''}" placeholder="Recent Year"></th>
+            <th><input type="number" class="emp-field" data-field="se_y2_year" value="${emp.se_y2_year || ''}" placeholder="Prior Year"></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="se-result"></div>
+    </div>
+  `;
+}
+
+// Leave and Earnings Statement entry, shown when the employer is Military
+function createLESWorksheetHTML(emp = {}) {
+  const field = (name, label, type = 'number') => `
+    <div class="form-group">
+      <label>${label}</label>
+      <input type="${type}" class="emp-field" data-field="${name}" value="${emp[name] || ''}"${type === 'number' ? ' placeholder="$0"' : ''}>
+    </div>`;
+
+  return `
+    <div class="les-worksheet ${emp.employment_type === 'Military' ? '' : 'hidden'}">
+      <h5>Leave and Earnings Statement (monthly)</h5>
+      <div class="form-grid">
+        ${field('les_base_pay', 'Base Pay')}
+        ${field('les_special_pays', 'Special Pays (flight, hazard, etc.)')}
+        ${field('les_bah', 'BAH (non-taxable)')}
+        ${field('les_bas', 'BAS (non-taxable)')}
+        ${field('les_ets_date', 'ETS Date', 'date')}
+      </div>
+      <div class="les-result"></div>
+    </div>
+  `;
+}
+
+// Show the LES entry for military employers and render the grossed-up qualifying pay
+function updateMilitaryWorksheet(block, grossUpPercent) {
+  const emp = collectEmployerBlock(block);
+  const worksheet = block.querySelector('.les-worksheet');
+  if (!worksheet) return;
+
+  const usesWorksheet = PathFinderCalc.usesLESWorksheet(emp);
+  worksheet.classList.toggle('hidden', !usesWorksheet);
+  block.classList.toggle('uses-les-worksheet', usesWorksheet);
+
+  const result = worksheet.querySelector('.les-result');
+  if (!usesWorksheet) {
+    result.innerHTML = '';
+    return;
+  }
+
+  const closingDate = document.querySelector('[name="closing_date"]')?.value;
+  const analysis = PathFinderCalc.calculateMilitaryIncome(emp, {
+    grossUpPercent,
+    asOf: closingDate ? Date.parse(closingDate) : null
+  });
+  result.innerHTML = `
+    <div class="calc-item"><span>Taxable (base + special pays)</span><span>${formatCurrency(analysis.taxableIncome)}</span></div>
+    <div class="calc-item"><span>Non-Taxable (BAH + BAS)</span><span>${formatCurrency(analysis.nonTaxableIncome)}</span></div>
+    <div class="calc-item"><span>Gross-Up (${analysis.grossUpPercent}%)</span><span>${formatCurrency(analysis.grossUp)}</span></div>
+    <div class="calc-item calc-total"><span>Qualifying Monthly Income</span><span>${formatCurrency(analysis.monthlyIncome)}</span></div>
+    ${analysis.warnings.map(w => `<p class="se-warning">${escapeHtml(w)}</p>`).join('')}
+  `;
+}
+
+// Show the 1084 worksheet for self-employed employers and render its result
+function updateSelfEmploymentWorksheet(block) {
+  const emp = collectEmployerBlock(block);
+  const worksheet = block.querySelector('.se-worksheet');
+  if (!worksheet) return;
+
+  const usesWorksheet = PathFinderCalc.usesSelfEmploymentWorksheet(emp);
+  worksheet.classList.toggle('hidden', emp.employment_type !== 'Self-Employed');
+  block.classList.toggle('uses-se-worksheet', usesWorksheet);
+  worksheet.querySelector('.se-worksheet-table').classList.toggle('hidden', !usesWorksheet);
+  worksheet.querySelector('.se-ownership-group').classList.toggle('hidden', !usesWorksheet || emp.se_business_type === 'ScheduleC');
+  worksheet.querySelectorAll('.se-line-item').forEach(row => {
+    const types = row.dataset.types ? row.dataset.types.split(',') : null;
+    row.classList.toggle('hidden', !!types && !types.includes(emp.se_business_type));
+  });
+
+  const result = worksheet.querySelector('.se-result');
+  if (!usesWorksheet) {
+    result.innerHTML = '';
+    return;
+  }
+
+  const analysis = PathFinderCalc.calculateSelfEmploymentIncome(emp);
+  const years = analysis.year2Income !== null
+    ? `${analysis.year1 || 'Recent'}: ${formatCurrency(analysis.year1Income)} | ${analysis.year2 || 'Prior'}: ${formatCurrency(analysis.year2Income)} (${analysis.trend}, ${analysis.changePercent >= 0 ? '+' : ''}${analysis.changePercent.toFixed(1)}%)`
+    : `${analysis.year1 || 'Recent'}: ${formatCurrency(analysis.year1Income)}`;
+  result.innerHTML = `
+    <div class="calc-item calc-total"><span>Qualifying Monthly Income</span><span>${formatCurrency(analysis.monthlyIncome)}</span></div>
+    <p class="calc-note">${years}</p>
+    ${analysis.warnings.map(w => `<p class="se-warning">${escapeHtml(w)}</p>`).join('')}
+  `;
+}
+
 function updateEmployerData() {
   const primaryEmployers = collectEmployerData('primaryEmployers');
   const coEmployers = collectEmployerData('coEmployers');
@@ -556,37 +697,41 @@ function collectEmployerData(containerId) {
 
   const employers = [];
   container.querySelectorAll('.employer-block').forEach(block => {
-    const emp = {};
-    block.querySelectorAll('.emp-field').forEach(input => {
-      // Handle checkbox values
-      if (input.type === 'checkbox') {
-        emp[input.dataset.field] = input.checked;
-      } else {
-        emp[input.dataset.field] = input.value;
-      }
-    });
+    employers.push(collectEmployerBlock(block));
+  });
 
-    // Get pay type
-    const activePayType = block.querySelector('.pay-type-btn.active');
-    emp.pay_type = activePayType ? activePayType.dataset.value : 'salary';
-
-    // Calculate annual_salary from salary_amount and frequency for backward compatibility
-    if (emp.pay_type === 'salary' && emp.salary_amount) {
-      const amount = parseFloat(emp.salary_amount) || 0;
-      const frequency = emp.salary_frequency || 'annual';
-      if (frequency === 'annual') {
-        emp.annual_salary = amount;
-      } else if (frequency === 'monthly') {
-        emp.annual_salary = amount * 12;
-      } else if (frequency === 'weekly') {
-        emp.annual_salary = amount * 52;
-      }
-    }
+  return employers;
+}
 
-    employers.push(emp);
+function collectEmployerBlock(block) {
+  const emp = {};
+  block.querySelectorAll('.emp-field').forEach(input => {
+    // Handle checkbox values
+    if (input.type === 'checkbox') {
+      emp[input.dataset.field] = input.checked;
+    } else {
+      emp[input.dataset.field] = input.value;
+    }
   });
 
-  return employers;
+  // Get pay type
+  const activePayType = block.querySelector('.pay-type-btn.active');
+  emp.pay_type = activePayType ? activePayType.dataset.value : 'salary';
+
+  // Calculate annual_salary from salary_amount and frequency for backward compatibility
+  if (emp.pay_type === 'salary' && emp.salary_amount) {
+    const amount = parseFloat(emp.salary_amount) || 0;
+    const frequency = emp.salary_frequency || 'annual';
+    if (frequency === 'annual') {
+      emp.annual_salary = amount;
+    } else if (frequency === 'monthly') {
+      emp.annual_salary = amount * 12;
+    } else if (frequency === 'weekly') {
+      emp.annual_salary = amount * 52;
+    }
+  }
+
+  return emp;
 }
 
 // Other Income Management
@@ -627,6 +772,7 @@ function createOtherIncomeBlockHTML(index, prefix, inc = {}) {
             <option value="Rental Income">Rental Income</option>
             <option value="Retirement/Pension">Retirement/Pension</option>
             <option value="Social Security">Social Security</option>
+            <option value="VA Disability">VA Disability</option>
             <option value="Child Support/Alimony">Child Support/Alimony</option>
             <option value="Other">Other</option>
           </select>
@@ -635,15 +781,113 @@ function createOtherIncomeBlockHTML(index, prefix, inc = {}) {
           <label>Business Name</label>
           <input type="text" class="income-field" data-field="business_name" value="">
         </div>
-        <div class="form-group">
+        <div class="form-group monthly-amount-group">
           <label>Monthly Amount</label>
           <input type="number" class="income-field" data-field="monthly_amount" value="" placeholder="$0">
         </div>
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input type="checkbox" class="income-field" data-field="non_taxable">
+            Non-taxable (grossed up)
+          </label>
+        </div>
+      </div>
+      ${createRentalWorksheetHTML(inc)}
+    </div>
+  `;
+}
+
+function createRentalWorksheetHTML(inc = {}) {
+  const rows = PathFinderCalc.SCHEDULE_E_LINE_ITEMS.map(item => `
+    <tr>
+      <td>${item.label}${item.sign < 0 ? ' (deduct)' : ''}</td>
+      <td><input type="number" class="income-field" data-field="sche_${item.field}" value="${inc['sche_' + item.field] ?? ''}" placeholder="$0"></td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="rental-worksheet ${inc.type === 'Rental Income' ? '' : 'hidden'}">
+      <h5>Rental Income Worksheet</h5>
+      <div class="form-grid">
+        <div class="form-group">
+          <label>Method</label>
+          <select class="income-field rental-method" data-field="rental_method">
+            <option value="">Not Used (monthly amount above)</option>
+            <option value="Lease">Lease (75% of Gross Rent)</option>
+            <option value="ScheduleE">Schedule E</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Property Address</label>
+          <input type="text" class="income-field" data-field="rental_property" value="${escapeHtml(inc.rental_property || '')}">
+        </div>
+        <div class="form-group">
+          <label>Monthly PITIA</label>
+          <input type="number" class="income-field" data-field="rental_pitia" value="${inc.rental_pitia || ''}" placeholder="$0">
+        </div>
+        <div class="form-group rental-lease-group hidden">
+          <label>Gross Monthly Rent (Lease)</label>
+          <input type="number" class="income-field" data-field="rental_gross_rent" value="${inc.rental_gross_rent || ''}" placeholder="$0">
+        </div>
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input type="checkbox" class="income-field" data-field="rental_departing">
+            Departing residence
+          </label>
+          <label class="checkbox-label">
+            <input type="checkbox" class="income-field" data-field="rental_landlord_history">
+            Landlord history
+          </label>
+        </div>
       </div>
+      <table class="data-table rental-schedule-e-table hidden">
+        <thead>
+          <tr>
+            <th>Schedule E Line</th>
+            <th>Annual Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows}
+          <tr>
+            <td>Months in Service</td>
+            <td><input type="number" class="income-field" data-field="sche_months" value="${inc.sche_months || ''}" placeholder="12" min="1" max="12"></td>
+          </tr>
+        </tbody>
+      </table>
+      <div class="rental-result"></div>
     </div>
   `;
 }
 
+// Show the rental worksheet for rental income sources and render its net income/loss
+function updateRentalWorksheet(block) {
+  const inc = collectOtherIncomeBlock(block);
+  const worksheet = block.querySelector('.rental-worksheet');
+  if (!worksheet) return;
+
+  const usesWorksheet = PathFinderCalc.usesRentalWorksheet(inc);
+  worksheet.classList.toggle('hidden', inc.type !== 'Rental Income');
+  block.classList.toggle('uses-rental-worksheet', usesWorksheet);
+  worksheet.querySelector('.rental-lease-group').classList.toggle('hidden', inc.rental_method !== 'Lease');
+  worksheet.querySelector('.rental-schedule-e-table').classList.toggle('hidden', inc.rental_method !== 'ScheduleE');
+
+  const result = worksheet.querySelector('.rental-result');
+  if (!usesWorksheet) {
+    result.innerHTML = '';
+    return;
+  }
+
+  const analysis = PathFinderCalc.calculateRentalIncome(inc);
+  const isLoss = analysis.netRental < 0;
+  result.innerHTML = `
+    <div class="calc-item"><span>Qualifying Rent</span><span>${formatCurrency(analysis.qualifyingRent)}</span></div>
+    <div class="calc-item"><span>Less PITIA</span><span>${formatCurrency(analysis.pitia)}</span></div>
+    <div class="calc-item calc-total"><span>${isLoss ? 'Net Rental Loss (counted as debt)' : 'Net Rental Income'}</span><span>${formatCurrency(Math.abs(analysis.netRental))}</span></div>
+    ${analysis.warnings.map(w => `<p class="rental-warning">${escapeHtml(w)}</p>`).join('')}
+  `;
+}
+
 function setupOtherIncomeListeners(block) {
   const typeSelect = block.querySelector('[data-field="type"]');
   const businessNameGroup = block.querySelector('.business-name-group');
@@ -653,10 +897,16 @@ function setupOtherIncomeListeners(block) {
     updateOtherIncomeData();
   });
 
+  const onFieldChange = () => {
+    updateRentalWorksheet(block);
+    updateOtherIncomeData();
+  };
   block.querySelectorAll('.income-field').forEach(input => {
-    input.addEventListener('input', updateOtherIncomeData);
-    input.addEventListener('change', updateOtherIncomeData);
+    input.addEventListener('input', onFieldChange);
+    input.addEventListener('change', onFieldChange);
   });
+
+  updateRentalWorksheet(block);
 }
 
 function updateOtherIncomeData() {
@@ -677,21 +927,91 @@ function collectOtherIncomeData(containerId) {
 
   const incomes = [];
   container.querySelectorAll('.other-income-block').forEach(block => {
-    const inc = {};
-    block.querySelectorAll('.income-field').forEach(input => {
-      inc[input.dataset.field] = input.value;
-    });
-    incomes.push(inc);
+    incomes.push(collectOtherIncomeBlock(block));
   });
 
   return incomes;
 }
 
+function collectOtherIncomeBlock(block) {
+  const inc = {};
+  block.querySelectorAll('.income-field').forEach(input => {
+    inc[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+  });
+  return inc;
+}
+
 // Initialize existing other income blocks
 document.querySelectorAll('.other-income-block').forEach(block => {
   setupOtherIncomeListeners(block);
 });
 
+// Previous Addresses (residence history)
+function initPreviousResidenceListeners() {
+  document.querySelectorAll('.residence-table tbody tr').forEach(setupPreviousResidenceRow);
+}
+
+function setupPreviousResidenceRow(row) {
+  row.querySelectorAll('.residence-field').forEach(input => {
+    input.addEventListener('change', updatePreviousResidenceData);
+    input.addEventListener('input', updatePreviousResidenceData);
+  });
+}
+
+function addPreviousResidence(prefix) {
+  const tbody = document.querySelector(`#${prefix}PreviousResidences tbody`);
+  tbody.insertAdjacentHTML('beforeend', `
+    <tr>
+      <td><input type="text" class="residence-field" data-field="street_address"></td>
+      <td><input type="text" class="residence-field" data-field="city"></td>
+      <td><input type="text" class="residence-field" data-field="state" maxlength="2" placeholder="UT"></td>
+      <td><input type="text" class="residence-field" data-field="zip" maxlength="10"></td>
+      <td><input type="number" class="residence-field" data-field="years" placeholder="0" min="0"></td>
+      <td><input type="number" class="residence-field" data-field="months" placeholder="0" min="0" max="11"></td>
+      <td><button type="button" class="btn btn-sm btn-danger" onclick="removePreviousResidence(this)">Remove</button></td>
+    </tr>
+  `);
+  setupPreviousResidenceRow(tbody.lastElementChild);
+  updatePreviousResidenceData();
+}
+
+function removePreviousResidence(button) {
+  button.closest('tr').remove();
+  updatePreviousResidenceData();
+}
+
+function updatePreviousResidenceData() {
+  scheduleAutoSave({
+    previous_residences: collectPreviousResidences('primary'),
+    co_previous_residences: collectPreviousResidences('co')
+  });
+  updateAllCalculations();
+}
+
+function collectPreviousResidences(prefix) {
+  return Array.from(document.querySelectorAll(`#${prefix}PreviousResidences tbody tr`)).map(row => {
+    const residence = {};
+    row.querySelectorAll('.residence-field').forEach(input => {
+      residence[input.dataset.field] = input.value;
+    });
+    return residence;
+  });
+}
+
+// Ask for a prior employer or address on the tab where the history is short
+function renderHistoryValidation(calc) {
+  ['primary', 'co'].forEach((prefix, i) => {
+    const history = calc.historyValidation[i];
+    [['EmploymentPrompt', history && history.employment], ['ResidencePrompt', history && history.residence]].forEach(([suffix, check]) => {
+      const el = document.getElementById(prefix + suffix);
+      if (!el) return;
+      const warnings = check ? check.warnings : [];
+      el.classList.toggle('hidden', warnings.length === 0);
+      el.innerHTML = warnings.map(w => escapeHtml(w)).join('<br>');
+    });
+  });
+}
+
 // Assets Management
 function initAssetListeners() {
   document.querySelectorAll('#assetsTable input, #assetsTable select').forEach(input => {
@@ -743,6 +1063,11 @@ function removeAsset(index) {
 }
 
 function updateAssetData() {
+  scheduleAutoSave({ assets: collectAssetData() });
+  updateAllCalculations();
+}
+
+function collectAssetData() {
   const assets = [];
   document.querySelectorAll('#assetsTable tbody tr').forEach(row => {
     assets.push({
@@ -751,25 +1076,524 @@ function updateAssetData() {
       balance: parseFloat(row.querySelector('.asset-balance')?.value) || 0
     });
   });
+  return assets;
+}
+
+// Closing Cost Worksheet
+function initClosingCostListeners() {
+  document.querySelectorAll('.closing-fee-input').forEach(input => {
+    input.addEventListener('change', updateClosingCostData);
+    input.addEventListener('input', updateAllCalculations);
+  });
+
+  // County defaults apply when the county changes, or on first visit to a worksheet that was never filled in
+  const countySelect = document.querySelector('[name="property_county"]');
+  countySelect?.addEventListener('change', () => loadCountyClosingCosts());
+  if (countySelect?.value && Object.keys(collectClosingCostFees()).length === 0) {
+    loadCountyClosingCosts();
+  }
+}
+
+// Worksheet fee overrides - blank inputs fall back to the statewide defaults
+function collectClosingCostFees() {
+  const fees = {};
+  document.querySelectorAll('.closing-fee-input').forEach(input => {
+    if (input.value !== '') fees[input.dataset.fee] = parseFloat(input.value);
+  });
+  return fees;
+}
+
+function updateClosingCostData() {
+  scheduleAutoSave({ closing_cost_fees: collectClosingCostFees() });
+  updateAllCalculations();
+}
+
+async function loadCountyClosingCosts() {
+  const county = document.querySelector('[name="property_county"]')?.value;
+  const status = document.getElementById('closingCostTemplateStatus');
+  if (!county) {
+    status.textContent = 'Select a county to load its default fees.';
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/closing-cost-templates/${encodeURIComponent(county)}`);
+    const { fees, isDefault } = await response.json();
+
+    document.querySelectorAll('.closing-fee-input').forEach(input => {
+      input.value = fees[input.dataset.fee] ?? '';
+    });
+    status.textContent = isDefault
+      ? `No saved template for ${county} County - using statewide defaults.`
+      : `Loaded ${county} County default fees.`;
+    updateClosingCostData();
+  } catch (error) {
+    console.error('Failed to load closing cost template:', error);
+  }
+}
+
+async function saveCountyClosingCosts() {
+  const county = document.querySelector('[name="property_county"]')?.value;
+  if (!county) {
+    alert('Select the property county first.');
+    return;
+  }
+  if (!confirm(`Save these fees as the default for every new ${county} County worksheet?`)) return;
+
+  const fees = { ...PathFinderCalc.DEFAULT_CLOSING_COST_TEMPLATE, ...collectClosingCostFees() };
+  try {
+    await fetch(`/api/closing-cost-templates/${encodeURIComponent(county)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fees })
+    });
+    document.getElementById('closingCostTemplateStatus').textContent = `Saved ${county} County default fees.`;
+  } catch (error) {
+    console.error('Failed to save closing cost template:', error);
+    alert('Failed to save county defaults. Please try again.');
+  }
+}
+
+function renderClosingCostWorksheet(calc) {
+  const tbody = document.querySelector('#closingCostWorksheet tbody');
+  if (!tbody) return;
+
+  const formatAmount = amount => (amount < 0 ? '-' : '') + formatCurrency(Math.abs(amount));
+  let html = '';
+
+  PathFinderCalc.CLOSING_COST_SECTIONS.forEach(section => {
+    const items = calc.closingCostItems.filter(item => item.section === section);
+    if (!items.length) return;
+
+    html += `<tr class="closing-cost-section"><th colspan="2">${section}</th></tr>`;
+    items.forEach(item => {
+      html += `<tr><td>${escapeHtml(item.label)}</td><td>${formatAmount(item.amount)}</td></tr>`;
+    });
+  });
+
+  if (calc.downPaymentAmount > 0) {
+    html += `<tr><td>Down Payment</td><td>${formatCurrency(calc.downPaymentAmount)}</td></tr>`;
+  }
+  if (calc.secondLienAmount > 0) {
+    html += `<tr><td>${escapeHtml(calc.dpaProgramName)} Second Lien</td><td>-${formatCurrency(calc.secondLienAmount)}</td></tr>`;
+  }
+  html += `<tr class="closing-cost-total"><td>Est. Cash to Close</td><td>${formatCurrency(calc.cashToClose)}</td></tr>`;
+
+  tbody.innerHTML = html;
+}
+
+// Down Payment Assistance
+function renderDpaMatches(calc) {
+  const list = document.getElementById('dpaMatches');
+  if (!list) return;
+
+  const selected = document.querySelector('[name="dpa_program"]')?.value;
+  list.innerHTML = calc.dpaMatches.map(match => {
+    const terms = match.deferred
+      ? `up to ${formatCurrency(match.maxAmount)}, ${match.rate}% deferred`
+      : `up to ${formatCurrency(match.maxAmount)} at ${match.rate.toFixed(3)}% for ${match.termMonths / 12} years (${formatCurrency(match.payment)}/mo)`;
+    const status = match.eligible
+      ? '<span class="dpa-eligible">Eligible</span>'
+      : `<span class="dpa-ineligible">${match.reasons.map(escapeHtml).join('; ')}</span>`;
+    const action = match.id === selected
+      ? '<span class="text-muted">Selected</span>'
+      : `<button type="button" class="btn btn-sm" onclick="selectDpaProgram('${match.id}')">Use</button>`;
+    return `<li><div><strong>${escapeHtml(match.name)}</strong> - ${terms}<br>${status}</div>${action}</li>`;
+  }).join('');
+
+  const warning = document.getElementById('dpaWarning');
+  if (warning) {
+    warning.classList.toggle('hidden', !calc.dpaIneligibleReasons.length);
+    warning.textContent = `${calc.dpaProgramName} eligibility: ${calc.dpaIneligibleReasons.join('; ')}`;
+  }
+}
+
+function selectDpaProgram(id) {
+  const select = document.querySelector('[name="dpa_program"]');
+  select.value = id;
+  scheduleAutoSave({ dpa_program: id });
+  updateAllCalculations();
+}
+
+// County Loan Limits
+function initLoanLimits() {
+  ['property_state', 'property_county', 'closing_date'].forEach(name => {
+    document.querySelector(`[name="${name}"]`)?.addEventListener('change', refreshLoanLimits);
+  });
+  document.getElementById('loanLimitInput')?.addEventListener('change', uploadLoanLimits);
+
+  // The server looked up newer limits than the ones saved on the borrower
+  if (LOAN_LIMITS_CHANGED) scheduleAutoSave({ loan_limits: borrowerLoanLimits });
+}
+
+// Look up the property county's limits and store them on the borrower (null falls back to the national baseline)
+async function refreshLoanLimits() {
+  const county = document.querySelector('[name="property_county"]')?.value;
+  const state = document.querySelector('[name="property_state"]')?.value || 'Utah';
+  const closingYear = parseInt((document.querySelector('[name="closing_date"]')?.value || '').slice(0, 4));
+
+  let limits = null;
+  if (county) {
+    try {
+      const params = new URLSearchParams({ state, county, year: closingYear || new Date().getFullYear() });
+      const response = await fetch(`/loan-limits/lookup?${params}`);
+      if (response.ok) limits = (await response.json()).limits;
+    } catch (error) {
+      console.error('Failed to load loan limits:', error);
+      return;
+    }
+  }
 
-  scheduleAutoSave({ assets });
-  updateAssetCalculations(assets);
+  borrowerLoanLimits = limits;
+  scheduleAutoSave({ loan_limits: limits });
+  updateAllCalculations();
 }
 
-function updateAssetCalculations(assets) {
-  let total = 0;
-  let liquid = 0;
+async function uploadLoanLimits(event) {
+  const file = event.target.files[0];
+  if (!file) return;
 
-  assets.forEach(a => {
-    const balance = parseFloat(a.balance) || 0;
-    total += balance;
-    if (a.type !== '401(k)/IRA') {
-      liquid += balance;
+  const status = document.getElementById('loanLimitStatus');
+  const formData = new FormData();
+  formData.append('file', file);
+
+  try {
+    const response = await fetch('/loan-limits', { method: 'POST', body: formData });
+    const result = await response.json();
+    if (!response.ok) {
+      alert(result.error || 'Failed to load the loan limits file.');
+      return;
     }
+    alert(`Loaded loan limits for ${result.imported} counties.`);
+    await refreshLoanLimits();
+  } catch (error) {
+    console.error('Failed to upload loan limits:', error);
+    status.textContent = 'Failed to upload loan limits. Please try again.';
+  } finally {
+    event.target.value = '';
+  }
+}
+
+// Property Tax & Insurance Estimates
+const PROPERTY_COST_FIELDS = [
+  { field: 'property_taxes_annual', flag: 'property_taxes_estimated', badge: 'taxesEstimateBadge', estimate: 'propertyTaxesAnnual' },
+  { field: 'insurance_annual', flag: 'insurance_estimated', badge: 'insuranceEstimateBadge', estimate: 'insuranceAnnual' }
+];
+
+function initPropertyCostEstimates() {
+  ['purchase_price', 'property_value', 'property_county', 'occupancy', 'property_type'].forEach(name => {
+    document.querySelector(`[name="${name}"]`)?.addEventListener('change', applyPropertyCostEstimates);
+  });
+
+  // Typing a figure marks it actual; clearing it hands the field back to the estimator
+  PROPERTY_COST_FIELDS.forEach(({ field, flag }) => {
+    document.querySelector(`[name="${field}"]`)?.addEventListener('input', (e) => {
+      const estimated = e.target.value === '' ? 1 : 0;
+      document.querySelector(`[name="${flag}"]`).value = estimated;
+      scheduleAutoSave({ [flag]: estimated });
+      renderPropertyCostEstimates();
+    });
+  });
+
+  applyPropertyCostEstimates();
+}
+
+// Fill blank or still-estimated tax and insurance fields from the county and property type rates
+function applyPropertyCostEstimates() {
+  const estimate = PathFinderCalc.estimatePropertyCosts(collectBorrowerFromForm(), estimateRates);
+  const updates = {};
+
+  PROPERTY_COST_FIELDS.forEach(({ field, flag, estimate: key }) => {
+    const input = document.querySelector(`[name="${field}"]`);
+    const flagInput = document.querySelector(`[name="${flag}"]`);
+    if (!input || estimate.propertyValue <= 0) return;
+    if (input.value !== '' && flagInput.value !== '1') return;
+    if (String(estimate[key]) === input.value) return;
+
+    input.value = estimate[key];
+    flagInput.value = 1;
+    updates[field] = estimate[key];
+    updates[flag] = 1;
+  });
+
+  if (Object.keys(updates).length) {
+    scheduleAutoSave(updates);
+    updateAllCalculations();
+  }
+  renderPropertyCostEstimates(estimate);
+}
+
+function renderPropertyCostEstimates(estimate = PathFinderCalc.estimatePropertyCosts(collectBorrowerFromForm(), estimateRates)) {
+  PROPERTY_COST_FIELDS.forEach(({ field, flag, badge }) => {
+    const hasValue = document.querySelector(`[name="${field}"]`)?.value !== '';
+    const estimated = document.querySelector(`[name="${flag}"]`)?.value === '1';
+    const element = document.getElementById(badge);
+    if (!element) return;
+    element.classList.toggle('hidden', !hasValue);
+    element.classList.toggle('estimated', estimated);
+    element.textContent = estimated ? 'Estimated' : 'Actual';
+  });
+
+  const status = document.getElementById('propertyCostEstimateStatus');
+  if (status) {
+    const exemption = estimate.exemptionPercent > 0 ? ` less the ${estimate.exemptionPercent}% primary residence exemption` : '';
+    status.textContent = `Estimates: ${estimate.county ? `${estimate.county} County` : 'statewide'} tax rate ${estimate.taxRate}%${exemption} ` +
+      `(${estimate.effectiveTaxRate.toFixed(3)}% of value), insurance $${estimate.insuranceRate.toFixed(2)} per $1,000.`;
+  }
+  const taxRateInput = document.getElementById('estimateTaxRate');
+  const insuranceRateInput = document.getElementById('estimateInsuranceRate');
+  if (taxRateInput && document.activeElement !== taxRateInput) taxRateInput.value = estimate.taxRate;
+  if (insuranceRateInput && document.activeElement !== insuranceRateInput) insuranceRateInput.value = estimate.insuranceRate;
+}
+
+async function saveEstimateRates() {
+  const county = document.querySelector('[name="property_county"]')?.value;
+  const propertyType = document.querySelector('[name="property_type"]')?.value;
+  if (!county || !propertyType) {
+    alert('Select the property county and property type first.');
+    return;
+  }
+  if (!confirm(`Save these as the default estimate rates for ${county} County and this property type?`)) return;
+
+  try {
+    for (const [type, name, id] of [['tax', county, 'estimateTaxRate'], ['insurance', propertyType, 'estimateInsuranceRate']]) {
+      const response = await fetch(`/estimate-rates/${type}/${encodeURIComponent(name)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rate: document.getElementById(id).value })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.error || 'Failed to save estimate rates.');
+        return;
+      }
+      estimateRates = result.rates;
+    }
+    applyPropertyCostEstimates();
+  } catch (error) {
+    console.error('Failed to save estimate rates:', error);
+    alert('Failed to save estimate rates. Please try again.');
+  }
+}
+
+// Rate Sheet Pricing
+let rateSheets = [];
+
+function initRateSheetPricing() {
+  document.getElementById('rateSheetInput')?.addEventListener('change', uploadRateSheet);
+  document.getElementById('rateSheetSelect')?.addEventListener('change', () => {
+    populateLockPeriods();
+    renderPricingAdjustmentEditor();
+    scheduleAutoSave({ rate_lock_days: document.getElementById('rateLockSelect').value });
+    updateAllCalculations();
+  });
+  document.getElementById('pricingAdjustmentEditor')?.addEventListener('input', () => {
+    // Preview edits live; Save Adjustments stores them on the rate sheet
+    const sheet = getSelectedRateSheet();
+    if (sheet) sheet.adjustments = collectPricingAdjustments(sheet);
+    updateAllCalculations();
+  });
+  loadRateSheets();
+}
+
+async function loadRateSheets() {
+  try {
+    const response = await fetch('/rate-sheets');
+    rateSheets = (await response.json()).sheets;
+  } catch (error) {
+    console.error('Failed to load rate sheets:', error);
+    return;
+  }
+
+  const select = document.getElementById('rateSheetSelect');
+  if (!select) return;
+  const selected = select.value || select.dataset.selected;
+  select.innerHTML = '<option value="">No rate sheet</option>' + rateSheets.map(sheet =>
+    `<option value="${sheet.id}">${escapeHtml(sheet.name)} (${escapeHtml(sheet.loan_program)})</option>`
+  ).join('');
+  select.value = rateSheets.some(sheet => String(sheet.id) === String(selected)) ? selected : '';
+
+  populateLockPeriods();
+  renderPricingAdjustmentEditor();
+  updateAllCalculations();
+}
+
+function getSelectedRateSheet() {
+  const id = document.getElementById('rateSheetSelect')?.value;
+  return rateSheets.find(sheet => String(sheet.id) === id) || null;
+}
+
+// Lock periods offered by the selected sheet; keeps the current lock when the new sheet has it
+function populateLockPeriods() {
+  const select = document.getElementById('rateLockSelect');
+  const sheet = getSelectedRateSheet();
+  const selected = select.value || select.dataset.selected;
+  const locks = sheet ? sheet.lock_periods : [];
+
+  select.innerHTML = locks.map(days => `<option value="${days}">${days} Days</option>`).join('');
+  if (locks.map(String).includes(String(selected))) select.value = selected;
+  else if (locks.includes(30)) select.value = 30;
+}
+
+async function uploadRateSheet(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const status = document.getElementById('rateSheetStatus');
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('loan_program', document.getElementById('rateSheetProgram').value);
+  status.textContent = `Reading ${file.name}...`;
+
+  try {
+    const response = await fetch('/rate-sheets', { method: 'POST', body: formData });
+    const result = await response.json();
+    if (!response.ok) {
+      status.textContent = result.error || 'Failed to read the rate sheet.';
+      return;
+    }
+
+    const select = document.getElementById('rateSheetSelect');
+    select.value = '';
+    select.dataset.selected = result.sheet.id;
+    await loadRateSheets();
+    scheduleAutoSave({ rate_sheet_id: result.sheet.id, rate_lock_days: document.getElementById('rateLockSelect').value });
+    status.textContent = `Loaded ${result.sheet.rates.length} rates and ${result.sheet.lock_periods.length} lock periods from ${file.name}.`;
+  } catch (error) {
+    console.error('Failed to upload rate sheet:', error);
+    status.textContent = 'Failed to upload the rate sheet. Please try again.';
+  } finally {
+    event.target.value = '';
+  }
+}
+
+async function deleteRateSheet() {
+  const sheet = getSelectedRateSheet();
+  if (!sheet || !confirm(`Delete the ${sheet.name} rate sheet? It is shared by every borrower.`)) return;
+
+  try {
+    await fetch(`/rate-sheets/${sheet.id}`, { method: 'DELETE' });
+    document.getElementById('rateSheetSelect').value = '';
+    scheduleAutoSave({ rate_sheet_id: null });
+    loadRateSheets();
+  } catch (error) {
+    console.error('Failed to delete rate sheet:', error);
+  }
+}
+
+// Rate / price / points table for the current scenario on the selected sheet
+function renderPricingTable(borrower, calc) {
+  const panel = document.getElementById('pricingPanel');
+  if (!panel) return;
+
+  const sheet = getSelectedRateSheet();
+  panel.classList.toggle('hidden', !sheet);
+  if (!sheet) return;
+
+  const pricing = PathFinderCalc.priceRateSheet(sheet, borrower, { ...calc, lockDays: borrower.rate_lock_days });
+  const formatPoints = points => points.toFixed(3);
+
+  document.getElementById('pricingAdjustments').innerHTML = pricing.adjustments.length
+    ? pricing.adjustments.map(adj => `<li>${escapeHtml(adj.label)}: ${formatPoints(adj.points)}</li>`).join('')
+      + `<li>Total adjustments: ${formatPoints(pricing.totalAdjustment)} points</li>`
+    : '<li>No loan-level price adjustments apply</li>';
+
+  const currentRate = parseFloat(borrower.interest_rate);
+  document.querySelector('#pricingTable tbody').innerHTML = pricing.rows.map(row => {
+    const classes = [row.isPar ? 'pricing-par' : '', row.rate === currentRate ? 'pricing-selected' : ''].join(' ').trim();
+    const cost = row.points > 0
+      ? `${formatCurrency(row.pointsAmount)} cost`
+      : `${formatCurrency(-row.pointsAmount)} credit`;
+    return `
+      <tr class="${classes}">
+        <td>${row.rate.toFixed(3)}%${row.isPar ? ' (par)' : ''}</td>
+        <td>${row.finalPrice.toFixed(3)}</td>
+        <td>${row.points > 0 ? formatPoints(row.points) : `(${formatPoints(-row.points)})`}</td>
+        <td>${cost}</td>
+        <td>${formatCurrency(row.principalAndInterest)}</td>
+        <td><button type="button" class="btn btn-sm" onclick="selectPricedRate(${row.rate}, ${row.points})">Select</button></td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// Picking a rate writes back the note rate and its points (negative = lender credit)
+function selectPricedRate(rate, points) {
+  const rateInput = document.querySelector('[name="interest_rate"]');
+  const pointsInput = document.querySelector('[name="discount_points"]');
+  rateInput.value = rate;
+  pointsInput.value = Math.round(points * 1000) / 1000;
+  scheduleAutoSave({ interest_rate: rateInput.value, discount_points: pointsInput.value });
+  updateAllCalculations();
+}
+
+function renderPricingAdjustmentEditor() {
+  const container = document.getElementById('pricingAdjustmentEditor');
+  const sheet = getSelectedRateSheet();
+  if (!container || !sheet) return;
+
+  const grid = sheet.adjustments;
+  const { ltvBands, creditScoreBands } = grid;
+  const ltvLabel = (max, c) => {
+    if (c === 0) return `&le;${max}%`;
+    if (c === ltvBands.length - 1) return `&gt;${ltvBands[c - 1]}%`;
+    return `${ltvBands[c - 1]}.01-${max}%`;
+  };
+  const scoreLabel = (min, r) => {
+    if (r === 0) return `&ge;${min}`;
+    if (min === 0) return `&lt;${creditScoreBands[r - 1]}`;
+    return `${min}-${creditScoreBands[r - 1] - 1}`;
+  };
+  const input = (key, r, c, value) =>
+    `<input type="number" class="llpa-input" step="0.125" data-key="${key}" data-row="${r}" data-col="${c}" value="${value}">`;
+
+  let html = `<table class="data-table llpa-table"><thead><tr><th>Credit Score / LTV</th>`;
+  html += ltvBands.map((max, c) => `<th>${ltvLabel(max, c)}</th>`).join('') + '</tr></thead><tbody>';
+  creditScoreBands.forEach((min, r) => {
+    html += `<tr><td>${scoreLabel(min, r)}</td>`
+      + grid.creditScoreLtv[r].map((value, c) => `<td>${input('creditScoreLtv', r, c, value)}</td>`).join('') + '</tr>';
+  });
+  Object.entries(PathFinderCalc.PRICING_ADJUSTMENT_LABELS).forEach(([key, label]) => {
+    html += `<tr><td>${label}</td>` + grid[key].map((value, c) => `<td>${input(key, 0, c, value)}</td>`).join('') + '</tr>';
+  });
+  container.innerHTML = html + '</tbody></table>';
+}
+
+function collectPricingAdjustments(sheet) {
+  const adjustments = {
+    ...sheet.adjustments,
+    creditScoreLtv: sheet.adjustments.creditScoreLtv.map(row => row.slice())
+  };
+  Object.keys(PathFinderCalc.PRICING_ADJUSTMENT_LABELS).forEach(key => {
+    adjustments[key] = sheet.adjustments[key].slice();
+  });
+
+  document.querySelectorAll('#pricingAdjustmentEditor .llpa-input').forEach(input => {
+    const value = parseFloat(input.value) || 0;
+    const { key, row, col } = input.dataset;
+    if (key === 'creditScoreLtv') adjustments.creditScoreLtv[row][col] = value;
+    else adjustments[key][col] = value;
   });
+  return adjustments;
+}
 
-  document.getElementById('calcTotalAssets').textContent = formatCurrency(total);
-  document.getElementById('calcLiquidAssets').textContent = formatCurrency(liquid);
+async function saveRateSheetAdjustments() {
+  const sheet = getSelectedRateSheet();
+  if (!sheet) return;
+
+  try {
+    const response = await fetch(`/rate-sheets/${sheet.id}/adjustments`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ adjustments: collectPricingAdjustments(sheet) })
+    });
+    sheet.adjustments = (await response.json()).adjustments;
+    document.getElementById('rateSheetStatus').textContent = `Saved price adjustments for ${sheet.name}.`;
+    updateAllCalculations();
+  } catch (error) {
+    console.error('Failed to save price adjustments:', error);
+    alert('Failed to save price adjustments. Please try again.');
+  }
 }
 
 // Debts Management
@@ -796,10 +1620,34 @@ function addDebt() {
           <option value="Child Support/Alimony">Child Support/Alimony</option>
           <option value="Other">Other</option>
         </select>
+        <div class="student-loan-fields hidden">
+          <select class="debt-student-status" data-index="${index}">
+            <option value="Repayment">Repayment</option>
+            <option value="IDR">Income-Driven (IDR)</option>
+            <option value="Deferred">Deferred</option>
+            <option value="Forbearance">Forbearance</option>
+          </select>
+          <select class="debt-student-loan-type" data-index="${index}">
+            <option value="Federal">Federal</option>
+            <option value="Private">Private</option>
+          </select>
+          <input type="number" class="debt-deferred-months" data-index="${index}" placeholder="Months deferred after closing">
+        </div>
       </td>
       <td><input type="text" class="debt-creditor" data-index="${index}"></td>
       <td><input type="number" class="debt-balance" data-index="${index}" placeholder="$0"></td>
       <td><input type="number" class="debt-payment" data-index="${index}" placeholder="$0"></td>
+      <td>
+        <select class="debt-exclusion" data-index="${index}">
+          <option value="">No</option>
+          <option value="PaidAtClosing">Paid off at/before closing</option>
+          <option value="FewerThan10Payments">Fewer than 10 payments left</option>
+          <option value="PaidByBusiness">Paid by business (12 mo)</option>
+          <option value="AuthorizedUser">Authorized user</option>
+          <option value="PaidByOther">Co-signed, paid by other (12 mo)</option>
+        </select>
+      </td>
+      <td class="debt-qualifying">-</td>
       <td><button class="btn btn-sm btn-danger" onclick="removeDebt(${index})">Remove</button></td>
     </tr>
   `;
@@ -824,32 +1672,240 @@ function removeDebt(index) {
 }
 
 function updateDebtData() {
+  document.querySelectorAll('#debtsTable tbody tr').forEach(row => {
+    row.querySelector('.student-loan-fields')?.classList.toggle('hidden', row.querySelector('.debt-type')?.value !== 'Student Loans');
+  });
+  scheduleAutoSave({ debts: collectDebtData() });
+  updateAllCalculations();
+}
+
+function collectDebtData() {
   const debts = [];
   document.querySelectorAll('#debtsTable tbody tr').forEach(row => {
-    debts.push({
+    const debt = {
       type: row.querySelector('.debt-type')?.value || '',
       creditor: row.querySelector('.debt-creditor')?.value || '',
       balance: parseFloat(row.querySelector('.debt-balance')?.value) || 0,
-      monthly_payment: parseFloat(row.querySelector('.debt-payment')?.value) || 0
-    });
+      monthly_payment: parseFloat(row.querySelector('.debt-payment')?.value) || 0,
+      exclusion: row.querySelector('.debt-exclusion')?.value || ''
+    };
+    if (debt.type === 'Student Loans') {
+      debt.student_status = row.querySelector('.debt-student-status')?.value || 'Repayment';
+      debt.student_loan_type = row.querySelector('.debt-student-loan-type')?.value || 'Federal';
+      debt.deferred_months_remaining = parseInt(row.querySelector('.debt-deferred-months')?.value) || 0;
+    }
+    debts.push(debt);
+  });
+  return debts;
+}
+
+// Qualifying payment per debt row (student loan rule, exclusions) and the excluded debts list
+function renderDebtQualifyingPayments(calc) {
+  let studentLoanIndex = 0;
+  document.querySelectorAll('#debtsTable tbody tr').forEach((row, i) => {
+    const cell = row.querySelector('.debt-qualifying');
+    const debt = calc.debtAnalyses[i];
+    if (!cell || !debt) return;
+    const notes = [];
+    if (debt.type === 'Student Loans') {
+      const studentLoan = calc.studentLoanAnalyses[studentLoanIndex++];
+      notes.push(studentLoan.rule, ...studentLoan.warnings);
+    }
+    if (debt.warning) notes.push(debt.warning);
+    cell.textContent = debt.excluded ? 'Excluded' : formatCurrency(debt.qualifyingPayment);
+    cell.title = notes.join(' - ');
+    cell.classList.toggle('calc-warning', !!debt.warning);
+  });
+
+  const list = document.getElementById('calcExcludedDebts');
+  if (list) {
+    list.innerHTML = calc.excludedDebts.length === 0 ? '' : `
+      <h4>Excluded From DTI</h4>
+      ${calc.excludedDebts.map(d => `
+        <div class="calc-item"><span>${escapeHtml(d.creditor || d.type)}</span><span>${formatCurrency(d.actualPayment)}</span></div>
+        <p class="calc-note">${escapeHtml(d.reason)}${d.payoffAmount > 0 ? ` - payoff ${formatCurrency(d.payoffAmount)} added to cash to close` : ''}</p>
+      `).join('')}
+    `;
+  }
+}
+
+// Real Estate Owned Management
+function initReoListeners() {
+  document.querySelectorAll('.reo-property-block').forEach(setupReoPropertyListeners);
+}
+
+function addReoProperty() {
+  const container = document.getElementById('reoProperties');
+  const index = container.querySelectorAll('.reo-property-block').length;
+
+  container.insertAdjacentHTML('beforeend', createReoPropertyBlockHTML(index));
+  setupReoPropertyListeners(container.lastElementChild);
+  updateReoData();
+}
+
+function removeReoProperty(index) {
+  const container = document.getElementById('reoProperties');
+  const blocks = container.querySelectorAll('.reo-property-block');
+  if (blocks[index]) {
+    blocks[index].remove();
+    reindexBlocks(container, 'reo-property-block');
+    updateReoData();
+  }
+}
+
+function createReoPropertyBlockHTML(index) {
+  return `
+    <div class="reo-property-block" data-index="${index}">
+      <div class="block-header">
+        <h4>Property ${index + 1}</h4>
+        <button class="btn btn-sm btn-danger" onclick="removeReoProperty(${index})">Remove</button>
+      </div>
+      <div class="form-grid">
+        <div class="form-group">
+          <label>Address</label>
+          <input type="text" class="reo-field" data-field="address" value="">
+        </div>
+        <div class="form-group">
+          <label>Property Type</label>
+          <select class="reo-field" data-field="property_type">
+            <option value="Single Family">Single Family</option>
+            <option value="Condo">Condo</option>
+            <option value="Townhouse">Townhouse</option>
+            <option value="2-4 Unit">2-4 Unit</option>
+            <option value="Manufactured">Manufactured</option>
+            <option value="Land">Land</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Current Use</label>
+          <select class="reo-field" data-field="occupancy">
+            <option value="Primary Residence">Primary Residence</option>
+            <option value="Second Home">Second Home</option>
+            <option value="Investment">Investment</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Status</label>
+          <select class="reo-field" data-field="status">
+            <option value="Retain">Retain</option>
+            <option value="PendingSale">Pending Sale</option>
+            <option value="Sell">Sell Before Closing</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Market Value</label>
+          <input type="number" class="reo-field" data-field="market_value" value="" placeholder="$0">
+        </div>
+        <div class="form-group">
+          <label>Gross Monthly Rent</label>
+          <input type="number" class="reo-field" data-field="gross_rent" value="" placeholder="$0">
+        </div>
+        <div class="form-group">
+          <label>Monthly Taxes</label>
+          <input type="number" class="reo-field" data-field="taxes_monthly" value="" placeholder="$0">
+        </div>
+        <div class="form-group">
+          <label>Monthly Insurance</label>
+          <input type="number" class="reo-field" data-field="insurance_monthly" value="" placeholder="$0">
+        </div>
+        <div class="form-group">
+          <label>Monthly HOA</label>
+          <input type="number" class="reo-field" data-field="hoa_monthly" value="" placeholder="$0">
+        </div>
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input type="checkbox" class="reo-field" data-field="landlord_history">
+            Landlord history
+          </label>
+        </div>
+      </div>
+      <table class="data-table reo-liens-table">
+        <thead>
+          <tr>
+            <th>Lien Holder</th>
+            <th>Balance</th>
+            <th>Monthly Payment</th>
+            <th><button class="btn btn-sm" onclick="addReoLien(this)">+ Add Lien</button></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+      <div class="reo-result"></div>
+    </div>
+  `;
+}
+
+function addReoLien(button) {
+  const block = button.closest('.reo-property-block');
+  const tbody = block.querySelector('.reo-liens-table tbody');
+  tbody.insertAdjacentHTML('beforeend', `
+    <tr class="reo-lien">
+      <td><input type="text" class="reo-lien-field" data-field="creditor" value=""></td>
+      <td><input type="number" class="reo-lien-field" data-field="balance" value="" placeholder="$0"></td>
+      <td><input type="number" class="reo-lien-field" data-field="monthly_payment" value="" placeholder="$0"></td>
+      <td><button class="btn btn-sm btn-danger" onclick="removeReoLien(this)">Remove</button></td>
+    </tr>
+  `);
+  tbody.lastElementChild.querySelectorAll('input').forEach(input => {
+    input.addEventListener('input', () => onReoFieldChange(block));
   });
+  onReoFieldChange(block);
+}
 
-  scheduleAutoSave({ debts });
-  updateDebtCalculations(debts);
+function removeReoLien(button) {
+  const block = button.closest('.reo-property-block');
+  button.closest('.reo-lien').remove();
+  onReoFieldChange(block);
 }
 
-function updateDebtCalculations(debts) {
-  let totalPayments = 0;
-  debts.forEach(d => {
-    totalPayments += parseFloat(d.monthly_payment) || 0;
+function setupReoPropertyListeners(block) {
+  block.querySelectorAll('.reo-field, .reo-lien-field').forEach(input => {
+    input.addEventListener('input', () => onReoFieldChange(block));
+    input.addEventListener('change', () => onReoFieldChange(block));
   });
+  updateReoPropertyResult(block);
+}
 
-  document.getElementById('calcTotalDebts').textContent = formatCurrency(totalPayments);
+function onReoFieldChange(block) {
+  updateReoPropertyResult(block);
+  updateReoData();
+}
+
+// Show the property's PITIA and how it counts (debt, rental income, or excluded)
+function updateReoPropertyResult(block) {
+  const reo = PathFinderCalc.calculateReoProperty(collectReoPropertyBlock(block));
+  let effect = `Monthly debt ${formatCurrency(reo.monthlyDebt)}`;
+  if (reo.status !== 'Retain') effect = 'Payment excluded';
+  else if (reo.monthlyIncome > 0) effect = `Net rental income ${formatCurrency(reo.monthlyIncome)}`;
+
+  block.querySelector('.reo-result').innerHTML = `
+    <div class="calc-item"><span>PITIA</span><span>${formatCurrency(reo.pitia)}</span></div>
+    <div class="calc-item"><span>Equity</span><span>${formatCurrency(reo.equity)}</span></div>
+    <div class="calc-item calc-total"><span>Counts As</span><span>${effect}</span></div>
+    ${reo.warnings.map(w => `<p class="rental-warning">${escapeHtml(w)}</p>`).join('')}
+  `;
+}
+
+function updateReoData() {
+  scheduleAutoSave({ reo_properties: collectReoData() });
+  updateAllCalculations();
+}
 
-  // Calculate current DTI
-  const monthlyIncome = getMonthlyIncome();
-  const dti = monthlyIncome > 0 ? (totalPayments / monthlyIncome) * 100 : 0;
-  document.getElementById('calcCurrentDTI').textContent = dti.toFixed(1) + '%';
+function collectReoData() {
+  return Array.from(document.querySelectorAll('#reoProperties .reo-property-block')).map(collectReoPropertyBlock);
+}
+
+function collectReoPropertyBlock(block) {
+  const reo = {};
+  block.querySelectorAll('.reo-field').forEach(input => {
+    reo[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+  });
+  reo.liens = Array.from(block.querySelectorAll('.reo-lien')).map(row => ({
+    creditor: row.querySelector('[data-field="creditor"]').value,
+    balance: parseFloat(row.querySelector('[data-field="balance"]').value) || 0,
+    monthly_payment: parseFloat(row.querySelector('[data-field="monthly_payment"]').value) || 0
+  }));
+  return reo;
 }
 
 // Property Calculations
@@ -860,7 +1916,7 @@ function initPropertyCalculations() {
 
   if (priceInput) {
     priceInput.addEventListener('input', () => {
-      updatePropertyCalculations();
+      updateAllCalculations();
     });
   }
 
@@ -877,7 +1933,7 @@ function initPropertyCalculations() {
         down_payment_amount: amount,
         down_payment_percent: percent
       });
-      updatePropertyCalculations();
+      updateAllCalculations();
     });
   }
 
@@ -892,20 +1948,72 @@ function initPropertyCalculations() {
         down_payment_amount: amount,
         down_payment_percent: percent
       });
-      updatePropertyCalculations();
+      updateAllCalculations();
+    });
+  }
+
+  // VA funding fee inputs only apply to VA loans; the agency choice only to conventional
+  const loanTypeSelect = document.querySelector('[name="preferred_loan_type"]');
+  if (loanTypeSelect) {
+    loanTypeSelect.addEventListener('change', () => {
+      document.getElementById('vaFundingFeeFields')?.classList.toggle('hidden', loanTypeSelect.value !== 'VA');
+      document.getElementById('conventionalInvestorGroup')?.classList.toggle('hidden', !['', 'Conventional'].includes(loanTypeSelect.value));
+      document.getElementById('nonQMFields')?.classList.toggle('hidden', loanTypeSelect.value !== 'NonQM');
     });
   }
 
-  // Listen to other property inputs (including refinance fields)
-  document.querySelectorAll('#property-tab [data-autosave]').forEach(input => {
-    input.addEventListener('input', updatePropertyCalculations);
+  // Non-QM DSCR and bank statement inputs only apply to the selected qualification mode
+  const nonQMModeSelect = document.getElementById('nonQMMode');
+  if (nonQMModeSelect) {
+    nonQMModeSelect.addEventListener('change', () => {
+      document.getElementById('dscrFields')?.classList.toggle('hidden', nonQMModeSelect.value !== 'DSCR');
+      document.getElementById('bankStatementFields')?.classList.toggle('hidden', nonQMModeSelect.value !== 'BankStatement');
+    });
+  }
+  const bankStatementMonths = document.getElementById('bankStatementMonths');
+  if (bankStatementMonths) {
+    bankStatementMonths.addEventListener('change', () => {
+      document.querySelectorAll('.bank-deposit-month').forEach((month, index) => {
+        month.classList.toggle('hidden', index >= parseInt(bankStatementMonths.value));
+      });
+    });
+  }
+  document.querySelectorAll('.bank-deposit').forEach(input => {
+    input.addEventListener('change', () => scheduleAutoSave({ bank_statement_deposits: collectBankStatementDeposits() }));
+    input.addEventListener('input', () => updateAllCalculations());
   });
 
+  // ARM type and interest-only period only apply when selected
+  const amortizationSelect = document.getElementById('amortizationType');
+  if (amortizationSelect) {
+    amortizationSelect.addEventListener('change', () => {
+      document.getElementById('armTypeGroup')?.classList.toggle('hidden', amortizationSelect.value !== 'ARM');
+    });
+  }
+  const interestOnlySelect = document.getElementById('interestOnly');
+  if (interestOnlySelect) {
+    interestOnlySelect.addEventListener('change', () => {
+      document.getElementById('interestOnlyMonthsGroup')?.classList.toggle('hidden', interestOnlySelect.value !== '1');
+    });
+  }
+
+  // Subject rent applies to 2-4 unit properties and investment purchases
+  const propertyTypeSelect = document.querySelector('[name="property_type"]');
+  const occupancySelect = document.querySelector('[name="occupancy"]');
+  const toggleSubjectRent = () => {
+    const multiUnit = ['TWO_UNIT', 'THREE_UNIT', 'FOUR_UNIT'].includes(propertyTypeSelect.value);
+    document.getElementById('subjectRentGroup')?.classList.toggle('hidden', !multiUnit && occupancySelect.value !== 'Investment');
+  };
+  if (propertyTypeSelect && occupancySelect) {
+    propertyTypeSelect.addEventListener('change', toggleSubjectRent);
+    occupancySelect.addEventListener('change', toggleSubjectRent);
+  }
+
   // Initialize loan purpose toggle state
   initLoanPurposeToggle();
 
   // Run initial calculation on page load
-  setTimeout(() => updatePropertyCalculations(), 100);
+  setTimeout(() => updateAllCalculations(), 100);
 }
 
 // Initialize loan purpose toggle on page load
@@ -914,57 +2022,6 @@ function initLoanPurposeToggle() {
   toggleLoanPurposeFields(activePurpose);
 }
 
-function updatePropertyCalculations() {
-  const loanPurpose = document.querySelector('[data-field="loan_purpose"].active')?.dataset.value || 'Purchase';
-  const rate = parseFloat(document.querySelector('[name="interest_rate"]')?.value) || 7.0;
-  const taxesAnnual = parseFloat(document.querySelector('[name="property_taxes_annual"]')?.value) || 0;
-  const insuranceAnnual = parseFloat(document.querySelector('[name="insurance_annual"]')?.value) || 0;
-  const hoaMonthly = parseFloat(document.querySelector('[name="hoa_monthly"]')?.value) || 0;
-
-  let loanAmount = 0;
-  let ltv = 0;
-  let propertyValue = 0;
-
-  if (loanPurpose === 'Refinance') {
-    // Refinance calculations
-    propertyValue = parseFloat(document.querySelector('[name="property_value"]')?.value) || 0;
-    const currentLoanBalance = parseFloat(document.querySelector('[name="current_loan_balance"]')?.value) || 0;
-    const cashOutAmount = parseFloat(document.querySelector('[name="cash_out_amount"]')?.value) || 0;
-    loanAmount = currentLoanBalance + cashOutAmount;
-    ltv = propertyValue > 0 ? (loanAmount / propertyValue) * 100 : 0;
-  } else {
-    // Purchase calculations
-    const price = parseFloat(document.querySelector('[name="purchase_price"]')?.value) || 0;
-    const downPayment = parseFloat(document.querySelector('[name="down_payment_amount"]')?.value) || 0;
-    propertyValue = price;
-    loanAmount = Math.max(0, price - downPayment); // Prevent negative loan amounts
-    ltv = price > 0 ? (loanAmount / price) * 100 : 0;
-  }
-
-  // Calculate P&I
-  const monthlyRate = rate / 100 / 12;
-  const numPayments = 360;
-  let pi = 0;
-  if (loanAmount > 0 && monthlyRate > 0) {
-    pi = loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / (Math.pow(1 + monthlyRate, numPayments) - 1);
-  }
-
-  const monthlyTaxes = taxesAnnual / 12;
-  const monthlyInsurance = insuranceAnnual / 12;
-  const totalPITI = pi + monthlyTaxes + monthlyInsurance + hoaMonthly;
-
-  // Update display
-  document.getElementById('calcLoanAmount').textContent = formatCurrency(loanAmount);
-  document.getElementById('calcLTV').textContent = ltv.toFixed(1) + '%';
-  document.getElementById('calcPI').textContent = formatCurrency(pi);
-  document.getElementById('calcTaxes').textContent = formatCurrency(monthlyTaxes);
-  document.getElementById('calcInsurance').textContent = formatCurrency(monthlyInsurance);
-  document.getElementById('calcHOA').textContent = formatCurrency(hoaMonthly);
-  document.getElementById('calcPITI').textContent = formatCurrency(totalPITI);
-
-  updateAllCalculations();
-}
-
 // Credit Flags
 function initCreditFlags() {
   document.querySelectorAll('[name="bankruptcy"], [name="foreclosure"]').forEach(select => {
@@ -1007,269 +2064,408 @@ function setFlag(id, color) {
 
 // Income Calculations
 function updateIncomeCalculations() {
-  const primaryEmployers = collectEmployerData('primaryEmployers');
-  const coEmployers = collectEmployerData('coEmployers');
-  const primaryOther = collectOtherIncomeData('primaryOtherIncome');
-  const coOther = collectOtherIncomeData('coOtherIncome');
-
-  let primaryEmpIncome = 0;
-  primaryEmployers.forEach(emp => {
-    // Only include current employers (not previous) in the calculator
-    if (!emp.is_previous) {
-      primaryEmpIncome += calculateEmployerIncome(emp);
-    }
-  });
-
-  let coEmpIncome = 0;
-  coEmployers.forEach(emp => {
-    // Only include current employers (not previous) in the calculator
-    if (!emp.is_previous) {
-      coEmpIncome += calculateEmployerIncome(emp);
-    }
-  });
-
-  let primaryOtherIncome = 0;
-  primaryOther.forEach(inc => {
-    primaryOtherIncome += parseFloat(inc.monthly_amount) || 0;
-  });
-
-  let coOtherIncome = 0;
-  coOther.forEach(inc => {
-    coOtherIncome += parseFloat(inc.monthly_amount) || 0;
-  });
-
-  const totalMonthly = primaryEmpIncome + coEmpIncome + primaryOtherIncome + coOtherIncome;
-
-  document.getElementById('calcPrimaryEmployment').textContent = formatCurrency(primaryEmpIncome);
-  document.getElementById('calcPrimaryOther').textContent = formatCurrency(primaryOtherIncome);
-  document.getElementById('calcCoEmployment').textContent = formatCurrency(coEmpIncome);
-  document.getElementById('calcCoOther').textContent = formatCurrency(coOtherIncome);
-  document.getElementById('calcTotalMonthly').textContent = formatCurrency(totalMonthly);
-  document.getElementById('calcAnnualGross').textContent = formatCurrency(totalMonthly * 12);
-
   // Update monthly calculations in employer blocks
   updateEmployerMonthlyCalcs();
 
   updateAllCalculations();
 }
 
-function calculateEmployerIncome(emp) {
-  let monthly = 0;
-  if (emp.pay_type === 'salary') {
-    monthly = (parseFloat(emp.annual_salary) || 0) / 12;
-  } else {
-    monthly = (parseFloat(emp.hourly_rate) || 0) * (parseFloat(emp.hours_per_week) || 0) * 4.333;
-  }
-  monthly += parseFloat(emp.overtime_monthly) || 0;
-  monthly += parseFloat(emp.bonus_monthly) || 0;
-  monthly += parseFloat(emp.commission_monthly) || 0;
-  return monthly;
-}
-
 function updateEmployerMonthlyCalcs() {
   document.querySelectorAll('.employer-block').forEach(block => {
-    const isSalary = block.querySelector('.pay-type-btn.active')?.dataset.value === 'salary';
     const calcField = block.querySelector('.emp-monthly-calc');
-
-    if (isSalary) {
-      const amount = parseFloat(block.querySelector('[data-field="salary_amount"]')?.value) || 0;
-      const frequency = block.querySelector('[data-field="salary_frequency"]')?.value || 'annual';
-
-      let monthly = 0;
-      if (frequency === 'annual') {
-        monthly = amount / 12;
-      } else if (frequency === 'monthly') {
-        monthly = amount;
-      } else if (frequency === 'weekly') {
-        monthly = amount * 52 / 12;
-      }
-
-      if (calcField) calcField.value = formatCurrency(monthly);
-    } else {
-      const hourly = parseFloat(block.querySelector('[data-field="hourly_rate"]')?.value) || 0;
-      const hours = parseFloat(block.querySelector('[data-field="hours_per_week"]')?.value) || 0;
-      if (calcField) calcField.value = formatCurrency(hourly * hours * 4.333);
-    }
+    if (calcField) calcField.value = formatCurrency(PathFinderCalc.calculateEmployerBaseMonthly(collectEmployerBlock(block)));
+    block.querySelector('.emp-end-date-group')?.classList.toggle('hidden', !block.querySelector('.emp-previous')?.checked);
+    updateSelfEmploymentWorksheet(block);
   });
 }
 
-// Get total monthly income (excludes previous employers)
-function getMonthlyIncome() {
-  const primaryEmployers = collectEmployerData('primaryEmployers');
-  const coEmployers = collectEmployerData('coEmployers');
-  const primaryOther = collectOtherIncomeData('primaryOtherIncome');
-  const coOther = collectOtherIncomeData('coOtherIncome');
+// Update all calculations including summary
+function updateAllCalculations() {
+  const borrower = collectBorrowerFromForm();
+  const calc = PathFinderCalc.calculateBorrowerMetrics(borrower);
+  updateCalculationDisplay(calc);
+  renderPricingTable(borrower, calc);
+}
 
-  let total = 0;
-  primaryEmployers.forEach(emp => {
-    if (!emp.is_previous) {
-      total += calculateEmployerIncome(emp);
-    }
+// Current form state as a borrower record (same shape the server stores)
+function collectBorrowerFromForm() {
+  const borrower = {};
+
+  document.querySelectorAll('[data-autosave][name]').forEach(input => {
+    borrower[input.name] = input.type === 'checkbox' ? input.checked : input.value;
   });
-  coEmployers.forEach(emp => {
-    if (!emp.is_previous) {
-      total += calculateEmployerIncome(emp);
-    }
+  document.querySelectorAll('.toggle-btn[data-field].active').forEach(btn => {
+    borrower[btn.dataset.field] = btn.dataset.value;
   });
-  primaryOther.forEach(inc => total += parseFloat(inc.monthly_amount) || 0);
-  coOther.forEach(inc => total += parseFloat(inc.monthly_amount) || 0);
 
-  return total;
-}
+  borrower.employers = collectEmployerData('primaryEmployers');
+  borrower.co_employers = collectEmployerData('coEmployers');
+  borrower.other_income = collectOtherIncomeData('primaryOtherIncome');
+  borrower.co_other_income = collectOtherIncomeData('coOtherIncome');
+  borrower.reo_properties = collectReoData();
+  borrower.previous_residences = collectPreviousResidences('primary');
+  borrower.co_previous_residences = collectPreviousResidences('co');
+  borrower.loan_limits = borrowerLoanLimits;
+  borrower.assets = collectAssetData();
+  borrower.debts = collectDebtData();
+  borrower.closing_cost_fees = collectClosingCostFees();
+  borrower.bank_statement_deposits = collectBankStatementDeposits();
 
-// Get total monthly debts
-function getMonthlyDebts() {
-  let total = 0;
-  document.querySelectorAll('#debtsTable tbody tr').forEach(row => {
-    total += parseFloat(row.querySelector('.debt-payment')?.value) || 0;
-  });
-  return total;
+  return borrower;
 }
 
-// Update all calculations including summary
-function updateAllCalculations() {
-  const monthlyIncome = getMonthlyIncome();
-  const monthlyDebts = getMonthlyDebts();
-
-  // Get PITI
-  const pitiText = document.getElementById('calcPITI')?.textContent || '$0';
-  const piti = parseCurrency(pitiText);
-
-  // DTI calculations
-  const frontDTI = monthlyIncome > 0 ? (piti / monthlyIncome) * 100 : 0;
-  const backDTI = monthlyIncome > 0 ? ((monthlyDebts + piti) / monthlyIncome) * 100 : 0;
-
-  // Get other values
-  const loanAmountText = document.getElementById('calcLoanAmount')?.textContent || '$0';
-  const loanAmount = parseCurrency(loanAmountText);
-  const ltvText = document.getElementById('calcLTV')?.textContent || '0%';
-
-  const totalAssetsText = document.getElementById('calcTotalAssets')?.textContent || '$0';
-  const totalAssets = parseCurrency(totalAssetsText);
-
-  // Cash to close estimate
-  const downPayment = parseFloat(document.querySelector('[name="down_payment_amount"]')?.value) || 0;
-  const closingCosts = loanAmount * 0.03;
-  const cashToClose = downPayment + closingCosts;
-
-  // Max purchase power (returns {price, piti})
-  const power43 = calculateMaxPurchase(monthlyIncome, monthlyDebts, 43);
-  const power45 = calculateMaxPurchase(monthlyIncome, monthlyDebts, 45);
-  const power50 = calculateMaxPurchase(monthlyIncome, monthlyDebts, 50);
-
-  // Update summary tab
-  const summaryMonthlyIncome = document.getElementById('summaryMonthlyIncome');
-  const summaryMonthlyDebts = document.getElementById('summaryMonthlyDebts');
-  const summaryPITI = document.getElementById('summaryPITI');
-  const summaryFrontDTI = document.getElementById('summaryFrontDTI');
-  const summaryBackDTI = document.getElementById('summaryBackDTI');
-  const summaryLoanAmount = document.getElementById('summaryLoanAmount');
-  const summaryLTV = document.getElementById('summaryLTV');
-  const summaryAssets = document.getElementById('summaryAssets');
-  const summaryCashToClose = document.getElementById('summaryCashToClose');
-  const summaryCreditScore = document.getElementById('summaryCreditScore');
-  const max43 = document.getElementById('maxPurchase43');
-  const max45 = document.getElementById('maxPurchase45');
-  const max50 = document.getElementById('maxPurchase50');
-  const piti43 = document.getElementById('piti43');
-  const piti45 = document.getElementById('piti45');
-  const piti50 = document.getElementById('piti50');
-
-  if (summaryMonthlyIncome) summaryMonthlyIncome.textContent = formatCurrency(monthlyIncome);
-  if (summaryMonthlyDebts) summaryMonthlyDebts.textContent = formatCurrency(monthlyDebts);
-  if (summaryPITI) summaryPITI.textContent = formatCurrency(piti);
-  if (summaryFrontDTI) summaryFrontDTI.textContent = frontDTI.toFixed(1) + '%';
-  if (summaryBackDTI) summaryBackDTI.textContent = backDTI.toFixed(1) + '%';
-  if (summaryLoanAmount) summaryLoanAmount.textContent = formatCurrency(loanAmount);
-  if (summaryLTV) summaryLTV.textContent = ltvText;
-  if (summaryAssets) summaryAssets.textContent = formatCurrency(totalAssets);
-  if (summaryCashToClose) summaryCashToClose.textContent = formatCurrency(cashToClose);
-
-  const creditScore = document.querySelector('[name="credit_score"]')?.value;
-  if (summaryCreditScore) summaryCreditScore.textContent = creditScore || '-';
-
-  if (max43) max43.textContent = formatCurrency(power43.price);
-  if (max45) max45.textContent = formatCurrency(power45.price);
-  if (max50) max50.textContent = formatCurrency(power50.price);
-  if (piti43) piti43.textContent = 'PITI: ' + formatCurrency(power43.piti) + '/mo';
-  if (piti45) piti45.textContent = 'PITI: ' + formatCurrency(power45.piti) + '/mo';
-  if (piti50) piti50.textContent = 'PITI: ' + formatCurrency(power50.piti) + '/mo';
-}
-
-function calculateMaxPurchase(monthlyIncome, monthlyDebts, targetDTI) {
-  if (monthlyIncome <= 0) return { price: 0, piti: 0 };
-
-  const rate = parseFloat(document.querySelector('[name="interest_rate"]')?.value) || 7.0;
-  const taxesAnnual = parseFloat(document.querySelector('[name="property_taxes_annual"]')?.value) || 0;
-  const insuranceAnnual = parseFloat(document.querySelector('[name="insurance_annual"]')?.value) || 0;
-  const hoaMonthly = parseFloat(document.querySelector('[name="hoa_monthly"]')?.value) || 0;
-
-  const monthlyRate = rate / 100 / 12;
-  const numPayments = 360;
-
-  const maxTotalPayment = (monthlyIncome * targetDTI / 100) - monthlyDebts;
-  const monthlyTaxes = taxesAnnual / 12;
-  const monthlyInsurance = insuranceAnnual / 12;
-  const maxPI = maxTotalPayment - monthlyTaxes - monthlyInsurance - hoaMonthly;
-
-  if (maxPI <= 0 || monthlyRate <= 0) return { price: 0, piti: 0 };
-
-  const maxLoan = maxPI * (Math.pow(1 + monthlyRate, numPayments) - 1) / (monthlyRate * Math.pow(1 + monthlyRate, numPayments));
-
-  // Assume 3% down payment for max calculation
-  const downPaymentPercent = 0.03;
-  const maxPrice = maxLoan / (1 - downPaymentPercent);
-
-  // Calculate PITI for this max purchase
-  const piti = maxPI + monthlyTaxes + monthlyInsurance + hoaMonthly;
-
-  return { price: maxPrice, piti: piti };
-}
-
-// Update calculation display from server response
+// Render shared calculator results into the sidebars and Summary tab
 function updateCalculationDisplay(calc) {
   if (!calc) return;
 
+  const setText = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+  const toggleRow = (id, show) => document.getElementById(id)?.classList.toggle('hidden', !show);
+
   // Income
-  if (document.getElementById('calcPrimaryEmployment')) {
-    document.getElementById('calcPrimaryEmployment').textContent = formatCurrency(calc.monthlyEmploymentIncome || 0);
+  setText('calcPrimaryEmployment', formatCurrency(calc.monthlyEmploymentIncome));
+  setText('calcCoEmployment', formatCurrency(calc.coMonthlyEmploymentIncome));
+  setText('calcPrimaryOther', formatCurrency(calc.monthlyOtherIncome));
+  setText('calcCoOther', formatCurrency(calc.coMonthlyOtherIncome));
+  toggleRow('calcReoIncomeRow', calc.reoRentalIncome > 0);
+  setText('calcReoIncome', formatCurrency(calc.reoRentalIncome));
+  toggleRow('calcSubjectRentRow', calc.subjectRentalIncome > 0);
+  setText('calcSubjectRent', formatCurrency(calc.subjectRentalIncome));
+  toggleRow('calcNonTaxableGrossUpRow', calc.nonTaxableGrossUp > 0);
+  setText('calcNonTaxableGrossUpLabel', `Non-Taxable Gross-Up (${calc.nonTaxableGrossUpPercent}%, included above)`);
+  setText('calcNonTaxableGrossUp', formatCurrency(calc.nonTaxableGrossUp));
+  document.querySelectorAll('.employer-block').forEach(block => updateMilitaryWorksheet(block, calc.nonTaxableGrossUpPercent));
+  renderHistoryValidation(calc);
+  toggleRow('calcAssetDepletionRow', calc.assetDepletion.monthlyIncome > 0);
+  setText('calcAssetDepletionLabel', calc.assetDepletion.included ? 'Asset Depletion' : 'Asset Depletion (not counted)');
+  setText('calcAssetDepletionIncome', formatCurrency(calc.assetDepletion.monthlyIncome));
+  toggleRow('calcBankStatementRow', !!calc.bankStatementAnalysis);
+  if (calc.bankStatementAnalysis) setText('calcBankStatementIncome', formatCurrency(calc.bankStatementAnalysis.qualifyingIncome));
+  setText('calcTotalMonthly', formatCurrency(calc.totalMonthlyIncome));
+  setText('calcAnnualGross', formatCurrency(calc.annualIncome));
+
+  // Assets
+  setText('calcTotalAssets', formatCurrency(calc.totalAssets));
+  setText('calcLiquidAssets', formatCurrency(calc.liquidAssets));
+  setText('calcAssetsCashToClose', formatCurrency(calc.cashToClose));
+  setText('calcReserveEligible', formatCurrency(calc.reserveEligibleAssets));
+  setText('calcReservesAfterClose', formatCurrency(calc.reservesAfterClose));
+  setText('calcReserveMonths', calc.reserveMonths.toFixed(1));
+  setText('calcReserveRequirementLabel', `Required (${calc.reserveRequirementLabel})`);
+  setText('calcReserveMonthsRequired', `${calc.reserveMonthsRequired} mo`);
+  toggleRow('calcOtherPropertyReservesRow', calc.otherPropertyReserves > 0);
+  setText('calcOtherPropertyReservesLabel', `Other Financed Properties (${calc.otherPropertyReservePercent}% of UPB)`);
+  setText('calcOtherPropertyReserves', formatCurrency(calc.otherPropertyReserves));
+  setText('calcAssetVerdict', calc.assetVerdict);
+  document.getElementById('calcAssetVerdict')?.classList.toggle('calc-warning', calc.assetVerdict !== 'Sufficient');
+  setText('calcDepletionEligibleAssets', formatCurrency(calc.assetDepletion.eligibleAssets));
+  setText('calcDepletionMonths', calc.assetDepletion.months ? `${calc.assetDepletion.months} mo` : '-');
+  setText('calcDepletionIncome', formatCurrency(calc.assetDepletion.monthlyIncome));
+  setText('calcDepletionNote', calc.assetDepletion.notes.join('. ')
+    || (calc.assetDepletion.included ? 'Counted in qualifying income' : 'Not counted in qualifying income'));
+
+  // Credit
+  setText('calcMiddleScore', calc.middleScore || '-');
+  setText('calcCoMiddleScore', calc.coMiddleScore || '-');
+  setText('calcCreditScoreMethod', `Representative Score (${calc.creditScoreMethod.toLowerCase()})`);
+  setText('calcRepresentativeScore', calc.creditScore || '-');
+
+  // Debts
+  toggleRow('calcReoDebtRow', calc.reoMonthlyDebt > 0);
+  setText('calcReoDebt', formatCurrency(calc.reoMonthlyDebt));
+  toggleRow('calcRentalLossRow', calc.rentalLoss > 0);
+  setText('calcRentalLoss', formatCurrency(calc.rentalLoss));
+  setText('calcTotalDebts', formatCurrency(calc.totalMonthlyDebts));
+  toggleRow('calcDebtPayoffsRow', calc.debtPayoffs > 0);
+  setText('calcDebtPayoffs', formatCurrency(calc.debtPayoffs));
+  renderDebtQualifyingPayments(calc);
+  setText('calcCurrentDTI', calc.currentDTI.toFixed(1) + '%');
+
+  // Property sidebar
+  setText('calcLoanAmount', formatCurrency(calc.loanAmount));
+  setText('calcLTV', calc.ltv.toFixed(1) + '%');
+  toggleRow('calcUpfrontFeeRow', calc.upfrontFee > 0);
+  toggleRow('calcTotalLoanRow', calc.upfrontFee > 0);
+  setText('calcUpfrontFeeLabel', `${calc.upfrontFeeLabel || 'Upfront Fee'} (${calc.upfrontFeeRate}%)`);
+  setText('calcUpfrontFee', formatCurrency(calc.upfrontFee));
+  setText('calcTotalLoan', formatCurrency(calc.totalLoanAmount));
+  setText('calcPI', formatCurrency(calc.principalAndInterest));
+  toggleRow('calcMIRow', calc.monthlyMI > 0);
+  setText('calcMILabel', calc.miLabel || 'Mortgage Insurance');
+  setText('calcMI', formatCurrency(calc.monthlyMI));
+  setText('calcTaxes', formatCurrency(calc.monthlyTaxes));
+  setText('calcInsurance', formatCurrency(calc.monthlyInsurance));
+  setText('calcHOA', formatCurrency(calc.monthlyHOA));
+  setText('calcPITI', formatCurrency(calc.totalPITI));
+  toggleRow('calcDSCRRow', !!calc.dscrAnalysis);
+  toggleRow('summaryDSCRRow', !!calc.dscrAnalysis);
+  if (calc.dscrAnalysis) {
+    setText('calcDSCR', calc.dscrAnalysis.ratio.toFixed(2));
+    setText('summaryDSCR', `${calc.dscrAnalysis.ratio.toFixed(2)} (min ${calc.dscrAnalysis.minRatio.toFixed(2)})`);
   }
-  if (document.getElementById('calcCoEmployment')) {
-    document.getElementById('calcCoEmployment').textContent = formatCurrency(calc.coMonthlyEmploymentIncome || 0);
+  renderNonQMResult(calc);
+  toggleRow('calcCLTVRow', calc.secondLienAmount > 0);
+  setText('calcCLTV', `${calc.cltv.toFixed(1)}%`);
+  toggleRow('calcSecondLienRow', calc.secondLienAmount > 0);
+  setText('calcSecondLien', formatCurrency(calc.secondLienPayment));
+  renderDpaMatches(calc);
+  toggleRow('calcLoanLimitRow', calc.loanLimit !== null && calc.loanAmount > 0);
+  setText('calcLoanLimitLabel', calc.loanLimitLabel);
+  setText('calcLoanLimit', calc.loanLimit !== null ? formatCurrency(calc.loanLimit) : '-');
+  document.getElementById('calcLoanLimit')?.classList.toggle('calc-warning', calc.exceedsLoanLimit);
+  const loanLimitNotes = [...calc.loanLimitWarnings];
+  if (calc.suggestedPrograms.length) loanLimitNotes.push(`Consider: ${calc.suggestedPrograms.join(', ')}`);
+  toggleRow('calcLoanLimitWarnings', loanLimitNotes.length > 0 && calc.loanAmount > 0);
+  setText('calcLoanLimitWarnings', loanLimitNotes.join('. '));
+  setText('loanLimitStatus', `Loan limits: ${calc.loanLimitSource}`);
+  toggleRow('calcQualifyingPITIRow', Math.abs(calc.qualifyingPITI - calc.totalPITI) >= 0.01);
+  setText('calcQualifyingLabel', `Qualifying PITI (${calc.qualifyingRate}%)`);
+  setText('calcQualifyingPITI', formatCurrency(calc.qualifyingPITI));
+  toggleRow('calcSubjectRentOffsetRow', calc.subjectRentOffset > 0);
+  setText('calcSubjectRentOffset', formatCurrency(calc.subjectRentOffset));
+
+  // Summary tab - The Numbers
+  setText('summaryMonthlyIncome', formatCurrency(calc.totalMonthlyIncome));
+  setText('summaryMonthlyDebts', formatCurrency(calc.totalMonthlyDebts));
+  setText('summaryPITI', formatCurrency(calc.totalPITI));
+  setText('summaryFrontDTI', formatDTI(calc, calc.frontEndDTI));
+  setText('summaryBackDTI', formatDTI(calc, calc.backEndDTI));
+  setText('summaryLoanAmount', formatCurrency(calc.loanAmount));
+  setText('summaryLTV', calc.ltv.toFixed(1) + '%');
+  setText('summaryAssets', formatCurrency(calc.totalAssets));
+  setText('summaryClosingCosts', formatCurrency(calc.closingCosts));
+  setText('summaryPrepaids', formatCurrency(calc.prepaidItems));
+  setText('summaryClosingCredits', calc.closingCredits > 0 ? '-' + formatCurrency(calc.closingCredits) : formatCurrency(0));
+  setText('summaryCashToClose', formatCurrency(calc.cashToClose));
+  setText('summaryCreditScore', calc.creditScore || '-');
+
+  renderBuydownSchedule(calc);
+  renderVAResidualIncome(calc);
+  renderCashOutLimits(calc);
+  renderAmortization(calc);
+  renderRefinanceAnalysis(calc);
+
+  // Closing cost worksheet (Property tab)
+  renderClosingCostWorksheet(calc);
+  if (calc.interestedPartyLimit !== null) {
+    const closingCostsNote = calc.sellerPaidClosingCosts > 0 ? `; ${formatCurrency(calc.sellerPaidClosingCosts)} of seller-paid closing costs not counted` : '';
+    setText('concessionStatus', `Seller contributions: ${formatCurrency(calc.interestedPartyContributions)} of ${formatCurrency(calc.interestedPartyLimit)} allowed (${calc.interestedPartyLimitPercent}% interested-party limit)${closingCostsNote}`);
+  } else {
+    setText('concessionStatus', '');
   }
-  if (document.getElementById('calcPrimaryOther')) {
-    document.getElementById('calcPrimaryOther').textContent = formatCurrency(calc.monthlyOtherIncome || 0);
+  toggleRow('concessionWarnings', calc.concessionWarnings.length > 0);
+  setText('concessionWarnings', calc.concessionWarnings.join('. '));
+
+  // Max purchase power
+  updateMaxPurchaseDisplay(calc);
+}
+
+// Summary tab amortization: yearly table, equity chart and the effect of any extra payments
+function renderAmortization(calc) {
+  const rows = document.getElementById('amortizationRows');
+  if (!rows) return;
+
+  const value = name => document.querySelector(`[name="${name}"]`).value;
+  const amortization = PathFinderCalc.calculateAmortization(calc, {
+    extraMonthly: parseFloat(value('extra_monthly_payment')) || 0,
+    lumpSum: parseFloat(value('lump_sum_payment')) || 0,
+    lumpSumMonth: parseInt(value('lump_sum_month')) || null
+  });
+
+  if (!amortization) {
+    rows.innerHTML = '';
+    document.getElementById('amortizationChart').innerHTML = '';
+    document.getElementById('amortizationSummary').textContent = 'Enter a loan amount to see the amortization schedule.';
+    return;
   }
-  if (document.getElementById('calcCoOther')) {
-    document.getElementById('calcCoOther').textContent = formatCurrency(calc.coMonthlyOtherIncome || 0);
+
+  const summary = [`${formatCurrency(amortization.totalInterest)} total interest over ${Math.ceil(amortization.payoffMonth / 12)} years.`];
+  if (amortization.miDropOffRule) {
+    summary.push(amortization.miDropOffMonth
+      ? `${amortization.miDropOffRule}: month ${amortization.miDropOffMonth} (year ${Math.ceil(amortization.miDropOffMonth / 12)}).`
+      : `${amortization.miDropOffRule}.`);
   }
-  if (document.getElementById('calcTotalMonthly')) {
-    document.getElementById('calcTotalMonthly').textContent = formatCurrency(calc.totalMonthlyIncome || 0);
+  if (amortization.extraMonthly > 0 || amortization.lumpSum > 0) {
+    summary.push(`Extra payments pay it off ${amortization.monthsSaved} months early and save ${formatCurrency(amortization.interestSaved)} in interest${amortization.miSaved > 0 ? ` and ${formatCurrency(amortization.miSaved)} in MI` : ''}.`);
   }
-  if (document.getElementById('calcAnnualGross')) {
-    document.getElementById('calcAnnualGross').textContent = formatCurrency(calc.annualIncome || 0);
+  document.getElementById('amortizationSummary').textContent = summary.join(' ');
+
+  document.getElementById('amortizationChart').innerHTML = amortization.years.map(year => `
+    <div class="amortization-bar" style="height: ${Math.max(0, Math.min(100, year.equityPercent))}%" title="Year ${year.year}: ${year.equityPercent.toFixed(1)}% equity"></div>
+  `).join('');
+
+  rows.innerHTML = amortization.years.map(year => `
+    <tr>
+      <td>${year.year}</td>
+      <td>${formatCurrency(year.principal)}</td>
+      <td>${formatCurrency(year.interest)}</td>
+      <td>${formatCurrency(year.mi)}</td>
+      <td>${formatCurrency(year.endingBalance)}</td>
+      <td>${formatCurrency(year.equity)} (${year.equityPercent.toFixed(0)}%)</td>
+    </tr>
+  `).join('');
+}
+
+// Property tab maximum cash-out by program, with the selected program highlighted
+function renderCashOutLimits(calc) {
+  const section = document.getElementById('cashOutLimits');
+  if (!section) return;
+
+  section.classList.toggle('hidden', !calc.cashOutLimits);
+  if (!calc.cashOutLimits) return;
+
+  const warnings = document.getElementById('cashOutWarnings');
+  warnings.classList.toggle('hidden', calc.cashOutWarnings.length === 0);
+  warnings.textContent = calc.cashOutWarnings.join('. ');
+
+  document.getElementById('cashOutLimitRows').innerHTML = calc.cashOutLimits.map(limit => {
+    const maxLoan = limit.maxLoanByDTI !== null ? Math.min(limit.maxLoanByLTV, limit.maxLoanByDTI) : limit.maxLoanByLTV;
+    const detail = limit.eligible
+      ? [limit.limitedBy === 'DTI' ? `Limited by ${limit.maxDTI}% DTI` : '', ...limit.notes].filter(Boolean).join('; ')
+      : limit.reasons.join('; ');
+    return `
+      <tr class="${limit.program === calc.loanProgram ? 'selected-program' : ''} ${limit.eligible ? '' : 'text-muted'}">
+        <td>${limit.programName}</td>
+        <td>${limit.maxLTV !== null ? `${limit.maxLTV}%` : '—'}</td>
+        <td>${limit.eligible ? formatCurrency(maxLoan) : '—'}</td>
+        <td>${formatCurrency(limit.maxCashOut)}</td>
+        <td class="text-muted">${detail}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// Property tab refinance comparison: existing loan vs. proposed
+function renderRefinanceAnalysis(calc) {
+  const section = document.getElementById('refinanceAnalysis');
+  if (!section) return;
+
+  const analysis = calc.refinanceAnalysis;
+  section.classList.toggle('hidden', !analysis);
+  if (!analysis) return;
+
+  const row = (label, current, proposed) => `<tr><td>${label}</td><td>${current}</td><td>${proposed}</td></tr>`;
+  document.getElementById('refinanceAnalysisRows').innerHTML = [
+    row('Loan Amount', formatCurrency(analysis.currentBalance), formatCurrency(calc.totalLoanAmount)),
+    row('Rate', `${analysis.currentRate}%`, `${calc.noteRate}%`),
+    row('Term Remaining', `${analysis.remainingMonths} months${analysis.remainingMonthsAssumed ? ' (assumed)' : ''}`, `${calc.loanTermMonths} months`),
+    row('Principal & Interest', formatCurrency(analysis.currentPrincipalAndInterest), formatCurrency(calc.principalAndInterest)),
+    row('Mortgage Insurance', formatCurrency(analysis.currentMonthlyMI), formatCurrency(calc.monthlyMI)),
+    row('Monthly Payment', formatCurrency(analysis.currentPayment), formatCurrency(analysis.proposedPayment)),
+    row('Interest Over Remaining Life', formatCurrency(analysis.currentRemainingInterest), formatCurrency(analysis.proposedLifetimeInterest))
+  ].join('');
+
+  const savings = analysis.monthlySavings >= 0
+    ? `Saves ${formatCurrency(analysis.monthlySavings)}/mo`
+    : `Costs ${formatCurrency(-analysis.monthlySavings)}/mo more`;
+  const breakeven = analysis.breakevenMonths !== null
+    ? `breakeven on ${formatCurrency(analysis.refinanceCosts)} in costs after ${Math.ceil(analysis.breakevenMonths)} months`
+    : 'no breakeven';
+  const interest = analysis.interestSavings >= 0
+    ? `${formatCurrency(analysis.interestSavings)} less interest`
+    : `${formatCurrency(-analysis.interestSavings)} more interest`;
+  document.getElementById('refinanceAnalysisNote').textContent = `${savings}, ${breakeven}, ${interest} over the life of the loan.`;
+
+  const benefit = document.getElementById('refinanceNetTangibleBenefit');
+  const ntb = analysis.netTangibleBenefit;
+  benefit.classList.toggle('hidden', !ntb);
+  if (ntb) {
+    benefit.classList.toggle('calc-warning', !ntb.passed);
+    benefit.textContent = `${ntb.test} net tangible benefit ${ntb.passed ? 'met' : 'NOT met'}: ${ntb.details.join('; ')}`;
   }
+}
 
-  // Assets
-  if (document.getElementById('calcTotalAssets')) {
-    document.getElementById('calcTotalAssets').textContent = formatCurrency(calc.totalAssets || 0);
-  }
-  if (document.getElementById('calcLiquidAssets')) {
-    document.getElementById('calcLiquidAssets').textContent = formatCurrency(calc.liquidAssets || 0);
-  }
+// Summary tab payment step-ups for a temporary buydown
+function renderBuydownSchedule(calc) {
+  const section = document.getElementById('summaryBuydown');
+  if (!section) return;
 
-  // Debts
-  if (document.getElementById('calcTotalDebts')) {
-    document.getElementById('calcTotalDebts').textContent = formatCurrency(calc.totalMonthlyDebts || 0);
-  }
-  if (document.getElementById('calcCurrentDTI')) {
-    document.getElementById('calcCurrentDTI').textContent = (calc.currentDTI || 0).toFixed(1) + '%';
+  section.classList.toggle('hidden', !calc.buydownType);
+  if (!calc.buydownType) return;
+
+  const otherCosts = calc.totalPITI - calc.principalAndInterest;
+  const lastYear = calc.buydownSchedule.length;
+  document.getElementById('summaryBuydownType').textContent = calc.buydownType;
+  document.getElementById('summaryBuydownSchedule').innerHTML = calc.buydownSchedule.map(year => `
+    <tr>
+      <td>Year ${year.year}${year.year === lastYear ? '+' : ''} (${year.rate.toFixed(3)}%)</td>
+      <td>${formatCurrency(year.principalAndInterest + otherCosts)}/mo</td>
+    </tr>
+  `).join('');
+  document.getElementById('summaryBuydownNote').textContent =
+    `Subsidy of ${formatCurrency(calc.buydownCost)} paid by the ${calc.buydownPaidBy.toLowerCase()}. Qualifying payment is at the ${calc.noteRate}% note rate.`;
+}
+
+// Monthly deposits in entry order (month 1 = most recent); blanks kept so months stay in place
+function collectBankStatementDeposits() {
+  return Array.from(document.querySelectorAll('.bank-deposit'), input => parseFloat(input.value) || 0);
+}
+
+// Property tab Non-QM result: DSCR against its minimum, or the bank statement income calculation
+function renderNonQMResult(calc) {
+  const result = document.getElementById('nonQMResult');
+  if (!result) return;
+
+  const dscr = calc.dscrAnalysis;
+  const bankStatement = calc.bankStatementAnalysis;
+  result.classList.toggle('hidden', !dscr && !bankStatement);
+
+  if (dscr) {
+    result.classList.toggle('calc-warning', !dscr.passed);
+    result.textContent = dscr.passed
+      ? `DSCR ${dscr.ratio.toFixed(2)} meets the ${dscr.minRatio.toFixed(2)} minimum (${formatCurrency(dscr.marketRent)} rent / ${formatCurrency(dscr.pitia)} PITIA). Borrower income and DTI are not used.`
+      : `${dscr.reasons.join('. ')}. Rent needed: ${formatCurrency(dscr.breakevenRent)}/mo.`;
+  } else if (bankStatement) {
+    result.classList.toggle('calc-warning', bankStatement.warnings.length > 0);
+    result.textContent = `Qualifying income ${formatCurrency(bankStatement.qualifyingIncome)}/mo: ${formatCurrency(bankStatement.averageMonthlyDeposits)} average deposits ` +
+      `less ${bankStatement.expenseFactor}% expenses at ${bankStatement.ownershipPercent}% ownership.` +
+      (bankStatement.warnings.length ? ` ${bankStatement.warnings.join('. ')}.` : '');
   }
+}
 
-  // DON'T overwrite property calculations from server - always use form values
-  // This prevents stale server data from overwriting correct client-side calculations
-  // Instead, recalculate property values from form inputs
-  updatePropertyCalculations();
+// Summary tab VA residual income test
+function renderVAResidualIncome(calc) {
+  const section = document.getElementById('summaryResidualIncome');
+  if (!section) return;
+
+  const residual = calc.vaResidualIncome;
+  section.classList.toggle('hidden', !residual);
+  if (!residual) return;
+
+  const status = document.getElementById('summaryResidualStatus');
+  status.textContent = residual.passed ? 'Pass' : 'Fail';
+  status.className = `status-badge ${residual.passed ? 'status-qualified' : 'status-not_qualified'}`;
+
+  const row = (label, value) => `<tr><td>${label}</td><td>${value}</td></tr>`;
+  document.getElementById('summaryResidualRows').innerHTML = [
+    row('Gross Monthly Income', formatCurrency(calc.totalMonthlyIncome)),
+    row('Est. Taxes (Federal, State, FICA)', `-${formatCurrency(residual.totalTaxes)}`),
+    row('Housing Payment', `-${formatCurrency(residual.housingPayment)}`),
+    row(`Maintenance & Utilities (${residual.squareFeet.toLocaleString()} sq ft${residual.squareFeetAssumed ? ', assumed' : ''})`, `-${formatCurrency(residual.maintenance)}`),
+    row('Monthly Debts', `-${formatCurrency(residual.monthlyDebts)}`),
+    row('Residual Income', formatCurrency(residual.residualIncome)),
+    row('Required', formatCurrency(residual.requiredResidual)),
+    row('Margin', residual.margin >= 0 ? formatCurrency(residual.margin) : `-${formatCurrency(-residual.margin)}`)
+  ].join('');
+  document.getElementById('summaryResidualNote').textContent =
+    `Family of ${residual.familySize}, ${residual.region} region, loan ${residual.loanTier}.` +
+    (residual.dtiOverThreshold ? ' DTI is over 41%, so 120% of the table figure is required.' : '');
+}
+
+// DSCR loans qualify on the property's rent, so borrower DTI does not apply
+function formatDTI(calc, dti) {
+  return calc.dscrAnalysis ? 'N/A (DSCR)' : dti.toFixed(1) + '%';
+}
+
+function updateMaxPurchaseDisplay(calc) {
+  [43, 45, 50].forEach(dti => {
+    const max = document.getElementById(`maxPurchase${dti}`);
+    const piti = document.getElementById(`piti${dti}`);
+    if (max) max.textContent = calc.dscrAnalysis ? 'N/A' : formatCurrency(calc[`maxPurchase${dti}`]);
+    if (piti) piti.textContent = calc.dscrAnalysis ? 'DSCR qualifies on rent' : 'PITI: ' + formatCurrency(calc[`maxPurchasePITI${dti}`]) + '/mo';
+  });
 }
 
 // Quick Reference Generation (Loan Officer sidebar only)
@@ -1972,12 +3168,16 @@ function reindexBlocks(container, blockClass, prefix) {
     block.dataset.index = i;
     const header = block.querySelector('h4');
     if (header) {
-      header.textContent = blockClass.includes('employer') ? `Employer ${i + 1}` : `Income Source ${i + 1}`;
+      if (blockClass.includes('employer')) header.textContent = `Employer ${i + 1}`;
+      else if (blockClass.includes('reo')) header.textContent = `Property ${i + 1}`;
+      else header.textContent = `Income Source ${i + 1}`;
     }
     const removeBtn = block.querySelector('.btn-danger');
     if (removeBtn) {
       if (blockClass.includes('employer')) {
         removeBtn.onclick = () => removeEmployer(prefix, i);
+      } else if (blockClass.includes('reo')) {
+        removeBtn.onclick = () => removeReoProperty(i);
       } else {
         removeBtn.onclick = () => removeOtherIncome(prefix, i);
       }
@@ -2019,37 +3219,31 @@ document.addEventListener('keydown', (e) => {
 });
 
 // Quick Adjustments for Max Purchase Power
-let originalPropertyValues = null;
-
-function getOriginalPropertyValues() {
-  return {
-    homePrice: parseFloat(document.querySelector('[name="purchase_price"]')?.value) || 0,
-    downPaymentPct: parseFloat(document.querySelector('[name="down_payment_percent"]')?.value) || 3,
-    interestRate: parseFloat(document.querySelector('[name="interest_rate"]')?.value) || 7.0,
-    taxes: parseFloat(document.querySelector('[name="property_taxes_annual"]')?.value) || 0,
-    hoi: parseFloat(document.querySelector('[name="insurance_annual"]')?.value) || 0,
-    hoa: parseFloat(document.querySelector('[name="hoa_monthly"]')?.value) || 0
-  };
+const QUICK_ADJUSTMENT_INPUTS = {
+  adjustHomePrice: 'purchase_price',
+  adjustDownPaymentPct: 'down_payment_percent',
+  adjustInterestRate: 'interest_rate',
+  adjustTaxes: 'property_taxes_annual',
+  adjustHOI: 'insurance_annual',
+  adjustHOA: 'hoa_monthly',
+  adjustLoanType: 'preferred_loan_type',
+  adjustLoanTerm: 'loan_term_months'
+};
+
+// Adjustments that have a value, keyed by borrower field (same shape as a saved scenario)
+function getQuickAdjustmentValues() {
+  const adjustments = {};
+  Object.entries(QUICK_ADJUSTMENT_INPUTS).forEach(([id, field]) => {
+    const value = document.getElementById(id)?.value;
+    if (value) adjustments[field] = value;
+  });
+  return adjustments;
 }
 
 function applyQuickAdjustments() {
-  // Store original values on first adjustment
-  if (!originalPropertyValues) {
-    originalPropertyValues = getOriginalPropertyValues();
-  }
-
-  // Get adjustment values (use original if empty)
-  const adjustHomePrice = document.getElementById('adjustHomePrice').value;
-  const adjustDownPaymentPct = document.getElementById('adjustDownPaymentPct').value;
-  const adjustInterestRate = document.getElementById('adjustInterestRate').value;
-  const adjustTaxes = document.getElementById('adjustTaxes').value;
-  const adjustHOI = document.getElementById('adjustHOI').value;
-  const adjustHOA = document.getElementById('adjustHOA').value;
+  const adjustments = getQuickAdjustmentValues();
 
-  // Check if any adjustments are made
-  const hasAdjustments = adjustHomePrice || adjustDownPaymentPct || adjustInterestRate || adjustTaxes || adjustHOI || adjustHOA;
-
-  if (!hasAdjustments) {
+  if (Object.keys(adjustments).length === 0) {
     // No adjustments, hide indicator and reset button
     document.getElementById('adjustedIndicator').style.display = 'none';
     document.getElementById('resetAdjustmentsBtn').style.display = 'none';
@@ -2061,105 +3255,140 @@ function applyQuickAdjustments() {
   document.getElementById('adjustedIndicator').style.display = 'inline';
   document.getElementById('resetAdjustmentsBtn').style.display = 'inline-block';
 
-  // Use adjusted values or fallback to original
-  const homePrice = adjustHomePrice ? parseFloat(adjustHomePrice) : originalPropertyValues.homePrice;
-  const downPaymentPct = adjustDownPaymentPct ? parseFloat(adjustDownPaymentPct) : originalPropertyValues.downPaymentPct;
-  const rate = adjustInterestRate ? parseFloat(adjustInterestRate) : originalPropertyValues.interestRate;
-  const taxesAnnual = adjustTaxes ? parseFloat(adjustTaxes) : originalPropertyValues.taxes;
-  const hoiAnnual = adjustHOI ? parseFloat(adjustHOI) : originalPropertyValues.hoi;
-  const hoaMonthly = adjustHOA ? parseFloat(adjustHOA) : originalPropertyValues.hoa;
-
-  // Calculate adjusted max purchase power
-  const monthlyIncome = getMonthlyIncome();
-  const monthlyDebts = getMonthlyDebts();
-
-  const power43 = calculateMaxPurchaseAdjusted(monthlyIncome, monthlyDebts, 43, rate, taxesAnnual, hoiAnnual, hoaMonthly, downPaymentPct);
-  const power45 = calculateMaxPurchaseAdjusted(monthlyIncome, monthlyDebts, 45, rate, taxesAnnual, hoiAnnual, hoaMonthly, downPaymentPct);
-  const power50 = calculateMaxPurchaseAdjusted(monthlyIncome, monthlyDebts, 50, rate, taxesAnnual, hoiAnnual, hoaMonthly, downPaymentPct);
-
-  // Update display
-  document.getElementById('maxPurchase43').textContent = formatCurrency(power43.price);
-  document.getElementById('maxPurchase45').textContent = formatCurrency(power45.price);
-  document.getElementById('maxPurchase50').textContent = formatCurrency(power50.price);
-  document.getElementById('piti43').textContent = 'PITI: ' + formatCurrency(power43.piti) + '/mo';
-  document.getElementById('piti45').textContent = 'PITI: ' + formatCurrency(power45.piti) + '/mo';
-  document.getElementById('piti50').textContent = 'PITI: ' + formatCurrency(power50.piti) + '/mo';
-
-  // Also update The Numbers card if home price is set
-  if (adjustHomePrice) {
-    const downPaymentAmt = homePrice * (downPaymentPct / 100);
-    const loanAmount = homePrice - downPaymentAmt;
-    const ltv = homePrice > 0 ? (loanAmount / homePrice) * 100 : 0;
-
-    // Calculate PITI for this home price
-    const monthlyRate = rate / 100 / 12;
-    const numPayments = 360;
-    let pi = 0;
-    if (loanAmount > 0 && monthlyRate > 0) {
-      pi = loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / (Math.pow(1 + monthlyRate, numPayments) - 1);
-    }
-    const monthlyTaxes = taxesAnnual / 12;
-    const monthlyInsurance = hoiAnnual / 12;
-    const totalPITI = pi + monthlyTaxes + monthlyInsurance + hoaMonthly;
+  // Run the shared calculator on the form values with the adjustments applied
+  const calc = PathFinderCalc.calculateBorrowerMetrics(PathFinderCalc.applyScenario(collectBorrowerFromForm(), adjustments));
+  updateMaxPurchaseDisplay(calc);
 
-    document.getElementById('summaryLoanAmount').textContent = formatCurrency(loanAmount);
-    document.getElementById('summaryLTV').textContent = ltv.toFixed(1) + '%';
-    document.getElementById('summaryPITI').textContent = formatCurrency(totalPITI);
+  // Also update The Numbers card
+  document.getElementById('summaryLoanAmount').textContent = formatCurrency(calc.loanAmount);
+  document.getElementById('summaryLTV').textContent = calc.ltv.toFixed(1) + '%';
+  document.getElementById('summaryPITI').textContent = formatCurrency(calc.totalPITI);
+  document.getElementById('summaryFrontDTI').textContent = formatDTI(calc, calc.frontEndDTI);
+  document.getElementById('summaryBackDTI').textContent = formatDTI(calc, calc.backEndDTI);
+  document.getElementById('summaryCashToClose').textContent = formatCurrency(calc.cashToClose);
+}
+
+function resetAdjustments() {
+  // Clear all adjustment inputs
+  Object.keys(QUICK_ADJUSTMENT_INPUTS).forEach(id => {
+    document.getElementById(id).value = '';
+  });
+
+  // Hide indicator and reset button
+  document.getElementById('adjustedIndicator').style.display = 'none';
+  document.getElementById('resetAdjustmentsBtn').style.display = 'none';
+
+  // Recalculate with original property tab values
+  updateAllCalculations();
+}
+
+// ============================================
+// SAVED SCENARIOS
+// ============================================
 
-    // Update DTI
-    const frontDTI = monthlyIncome > 0 ? (totalPITI / monthlyIncome) * 100 : 0;
-    const backDTI = monthlyIncome > 0 ? ((monthlyDebts + totalPITI) / monthlyIncome) * 100 : 0;
-    document.getElementById('summaryFrontDTI').textContent = frontDTI.toFixed(1) + '%';
-    document.getElementById('summaryBackDTI').textContent = backDTI.toFixed(1) + '%';
+async function loadScenarios() {
+  if (!document.getElementById('scenarioGrid')) return;
 
-    // Update cash to close
-    const closingCosts = loanAmount * 0.03;
-    const cashToClose = downPaymentAmt + closingCosts;
-    document.getElementById('summaryCashToClose').textContent = formatCurrency(cashToClose);
+  try {
+    const response = await fetch(`/borrowers/${BORROWER_ID}/scenarios`);
+    const { scenarios, maxScenarios } = await response.json();
+    renderScenarioGrid(scenarios, maxScenarios);
+  } catch (error) {
+    console.error('Failed to load scenarios:', error);
   }
 }
 
-function calculateMaxPurchaseAdjusted(monthlyIncome, monthlyDebts, targetDTI, rate, taxesAnnual, insuranceAnnual, hoaMonthly, downPaymentPct) {
-  if (monthlyIncome <= 0) return { price: 0, piti: 0 };
+// Save the current property values plus any quick adjustments as a named scenario
+async function saveScenario() {
+  const borrower = collectBorrowerFromForm();
+  const adjustments = getQuickAdjustmentValues();
+  const applied = PathFinderCalc.applyScenario(borrower, adjustments);
 
-  const monthlyRate = rate / 100 / 12;
-  const numPayments = 360;
+  const scenario = {};
+  PathFinderCalc.SCENARIO_FIELDS.forEach(field => {
+    scenario[field] = applied[field];
+  });
+
+  // Refinances only become purchase what-ifs when a price or down payment was adjusted
+  if (applied.loan_purpose === 'Refinance') {
+    delete scenario.purchase_price;
+    delete scenario.down_payment_percent;
+  }
 
-  const maxTotalPayment = (monthlyIncome * targetDTI / 100) - monthlyDebts;
-  const monthlyTaxes = taxesAnnual / 12;
-  const monthlyInsurance = insuranceAnnual / 12;
-  const maxPI = maxTotalPayment - monthlyTaxes - monthlyInsurance - hoaMonthly;
+  const name = prompt('Name this scenario:', '');
+  if (name === null) return;
+  scenario.name = name;
 
-  if (maxPI <= 0 || monthlyRate <= 0) return { price: 0, piti: 0 };
+  try {
+    const response = await fetch(`/borrowers/${BORROWER_ID}/scenarios`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(scenario)
+    });
+    const result = await response.json();
 
-  const maxLoan = maxPI * (Math.pow(1 + monthlyRate, numPayments) - 1) / (monthlyRate * Math.pow(1 + monthlyRate, numPayments));
+    if (!response.ok) {
+      alert(result.error || 'Failed to save scenario. Please try again.');
+      return;
+    }
 
-  // Use adjusted down payment percentage
-  const downPaymentDecimal = (downPaymentPct || 3) / 100;
-  const maxPrice = maxLoan / (1 - downPaymentDecimal);
+    loadScenarios();
+  } catch (error) {
+    console.error('Save scenario error:', error);
+    alert('Failed to save scenario. Please try again.');
+  }
+}
 
-  // Calculate PITI for this max purchase
-  const piti = maxPI + monthlyTaxes + monthlyInsurance + hoaMonthly;
+async function deleteScenario(scenarioId) {
+  if (!confirm('Delete this scenario?')) return;
 
-  return { price: maxPrice, piti: piti };
+  await fetch(`/borrowers/${BORROWER_ID}/scenarios/${scenarioId}`, { method: 'DELETE' });
+  loadScenarios();
 }
 
-function resetAdjustments() {
-  // Clear all adjustment inputs
-  document.getElementById('adjustHomePrice').value = '';
-  document.getElementById('adjustDownPaymentPct').value = '';
-  document.getElementById('adjustInterestRate').value = '';
-  document.getElementById('adjustTaxes').value = '';
-  document.getElementById('adjustHOI').value = '';
-  document.getElementById('adjustHOA').value = '';
+async function toggleScenarioPdf(scenarioId, includeInPdf) {
+  await fetch(`/borrowers/${BORROWER_ID}/scenarios/${scenarioId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ include_in_pdf: includeInPdf })
+  });
+}
 
-  // Hide indicator and reset button
-  document.getElementById('adjustedIndicator').style.display = 'none';
-  document.getElementById('resetAdjustmentsBtn').style.display = 'none';
+function renderScenarioGrid(scenarios, maxScenarios) {
+  const grid = document.getElementById('scenarioGrid');
+  const placeholder = document.getElementById('scenarioPlaceholder');
+  const saveBtn = document.getElementById('saveScenarioBtn');
 
-  // Clear stored original values
-  originalPropertyValues = null;
+  saveBtn.disabled = scenarios.length >= maxScenarios;
+  saveBtn.title = saveBtn.disabled ? `Delete a scenario to save another (max ${maxScenarios})` : '';
+  placeholder.style.display = scenarios.length < 2 ? 'block' : 'none';
 
-  // Recalculate with original property tab values
-  updateAllCalculations();
+  if (scenarios.length === 0) {
+    grid.innerHTML = '';
+    return;
+  }
+
+  const headers = scenarios.map(s => `
+    <th>
+      ${escapeHtml(s.name)}
+      <div class="scenario-actions">
+        <label title="Include in client PDF"><input type="checkbox" ${s.include_in_pdf ? 'checked' : ''} onchange="toggleScenarioPdf(${s.id}, this.checked)"> PDF</label>
+        <button class="btn btn-sm btn-danger" onclick="deleteScenario(${s.id})">Delete</button>
+      </div>
+    </th>
+  `).join('');
+
+  const rows = PathFinderCalc.buildScenarioComparison(scenarios).map(row => `
+    <tr>
+      <td>${row.label}</td>
+      ${row.values.map(value => `<td>${escapeHtml(value)}</td>`).join('')}
+    </tr>
+  `).join('');
+
+  grid.innerHTML = `
+    <table class="data-table scenario-table">
+      <thead><tr><th></th>${headers}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
 }
@@ -0,0 +1,2692 @@
+// PathFinder Pro - Qualification Calculator
+// Shared by the browser (window.PathFinderCalc) and the server (require),
+// so the sidebar, Summary tab, PDF, MISMO and Arive payloads use the same math.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PathFinderCalc = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // ============================================
+  // LOAN PROGRAM FEES & MORTGAGE INSURANCE
+  // ============================================
+
+  // FHA: 1.75% UFMIP, annual MIP per HUD ML 2023-05
+  const FHA_UFMIP_RATE = 1.75;
+  const FHA_MIP_LOAN_AMOUNT_BREAKPOINT = 726200;
+
+  // USDA guarantee fees (FY2024+)
+  const USDA_UPFRONT_FEE_RATE = 1.0;
+  const USDA_ANNUAL_FEE_RATE = 0.35;
+
+  // Conventional borrower-paid monthly PMI (annual % of loan amount)
+  // Columns are FICO bands: 760+, 740-759, 720-739, 700-719, 680-699, 660-679, 640-659, <640
+  const PMI_FICO_BANDS = [760, 740, 720, 700, 680, 660, 640, 0];
+  const PMI_RATE_TABLE = [
+    { maxLTV: 85, rates: [0.19, 0.23, 0.28, 0.33, 0.40, 0.53, 0.59, 0.67] },
+    { maxLTV: 90, rates: [0.28, 0.37, 0.46, 0.54, 0.65, 0.85, 0.93, 1.06] },
+    { maxLTV: 95, rates: [0.38, 0.49, 0.62, 0.72, 0.87, 1.12, 1.22, 1.41] },
+    { maxLTV: 97, rates: [0.58, 0.70, 0.87, 1.00, 1.21, 1.54, 1.65, 1.86] }
+  ];
+
+  // Normalize preferred_loan_type ("Not Sure" quotes as Conventional)
+  function getLoanProgram(borrower) {
+    const valid = ['Conventional', 'FHA', 'VA', 'USDARuralDevelopment', 'NonQM'];
+    return valid.includes(borrower.preferred_loan_type) ? borrower.preferred_loan_type : 'Conventional';
+  }
+
+  // VA funding fee percent (38 U.S.C. 3729 table, effective April 2023)
+  function getVAFundingFeeRate(borrower, downPaymentPercent) {
+    if (parseInt(borrower.va_funding_fee_exempt)) return 0;
+    const subsequentUse = !!parseInt(borrower.va_prior_use);
+
+    if (borrower.loan_purpose === 'Refinance') {
+      // A rate/term refinance of a VA loan is an IRRRL. Cash-out, and refinancing any other loan into VA
+      // (including a blank current loan type), uses the purchase "< 5% down" tier
+      if (borrower.refinance_type !== 'Cash Out' && borrower.current_loan_type === 'VA') return 0.5;
+      return subsequentUse ? 3.3 : 2.15;
+    }
+
+    if (downPaymentPercent >= 10) return 1.25;
+    if (downPaymentPercent >= 5) return 1.5;
+    return subsequentUse ? 3.3 : 2.15;
+  }
+
+  function getFHAAnnualMIPRate(baseLoanAmount, ltv, termMonths) {
+    const highBalance = baseLoanAmount > FHA_MIP_LOAN_AMOUNT_BREAKPOINT;
+    if (termMonths <= 180) {
+      if (!highBalance) return ltv <= 90 ? 0.15 : 0.40;
+      if (ltv <= 78) return 0.15;
+      return ltv <= 90 ? 0.40 : 0.65;
+    }
+    if (!highBalance) return ltv <= 95 ? 0.50 : 0.55;
+    return ltv <= 95 ? 0.70 : 0.75;
+  }
+
+  function getPMIRate(ltv, creditScore) {
+    if (ltv <= 80) return 0;
+    const row = PMI_RATE_TABLE.find(r => ltv <= r.maxLTV) || PMI_RATE_TABLE[PMI_RATE_TABLE.length - 1];
+    const bandIndex = PMI_FICO_BANDS.findIndex(min => (creditScore || 0) >= min);
+    return row.rates[bandIndex];
+  }
+
+  // Upfront fee and annual MI rate for the borrower's program.
+  // miBasis tells whether the annual rate applies to the base or the total (financed) loan amount.
+  function getProgramCosts(borrower, { baseLoanAmount, ltv, downPaymentPercent, termMonths, creditScore }) {
+    const program = getLoanProgram(borrower);
+    const costs = {
+      program,
+      upfrontFeeRate: 0,
+      upfrontFeeLabel: null,
+      miAnnualRate: 0,
+      miLabel: null,
+      miBasis: 'base'
+    };
+
+    if (baseLoanAmount <= 0) return costs;
+
+    if (program === 'FHA') {
+      costs.upfrontFeeRate = FHA_UFMIP_RATE;
+      costs.upfrontFeeLabel = 'FHA Upfront MIP';
+      costs.miAnnualRate = getFHAAnnualMIPRate(baseLoanAmount, ltv, termMonths);
+      costs.miLabel = 'FHA Annual MIP';
+    } else if (program === 'VA') {
+      costs.upfrontFeeRate = getVAFundingFeeRate(borrower, downPaymentPercent);
+      costs.upfrontFeeLabel = 'VA Funding Fee';
+    } else if (program === 'USDARuralDevelopment') {
+      costs.upfrontFeeRate = USDA_UPFRONT_FEE_RATE;
+      costs.upfrontFeeLabel = 'USDA Guarantee Fee';
+      costs.miAnnualRate = USDA_ANNUAL_FEE_RATE;
+      costs.miLabel = 'USDA Annual Fee';
+      costs.miBasis = 'total';
+    } else if (program === 'Conventional') {
+      costs.miAnnualRate = getPMIRate(ltv, creditScore);
+      costs.miLabel = costs.miAnnualRate > 0 ? 'Conventional PMI' : null;
+    }
+
+    return costs;
+  }
+
+  // ============================================
+  // LOAN TERM & AMORTIZATION
+  // ============================================
+
+  const LOAN_TERMS = [180, 240, 300, 360];
+  const ARM_TYPES = ['5/6', '7/6', '10/6'];
+
+  // ARMs with an initial fixed period of 5 years or less qualify at note rate + 2%
+  const SHORT_ARM_QUALIFYING_ADDER = 2.0;
+  const SHORT_ARM_TYPES = ['5/6'];
+
+  // Term, amortization and qualifying rate for the borrower's loan structure
+  function getLoanStructure(borrower, noteRate) {
+    const termMonths = LOAN_TERMS.includes(parseInt(borrower.loan_term_months)) ? parseInt(borrower.loan_term_months) : 360;
+    const isARM = borrower.amortization_type === 'ARM';
+    const armType = isARM ? (ARM_TYPES.includes(borrower.arm_type) ? borrower.arm_type : '5/6') : null;
+    const interestOnly = !!parseInt(borrower.interest_only);
+    const interestOnlyMonths = interestOnly
+      ? Math.min(Math.max(parseInt(borrower.interest_only_months) || 120, 12), termMonths - 12)
+      : 0;
+
+    const qualifyingRate = isARM && SHORT_ARM_TYPES.includes(armType)
+      ? noteRate + SHORT_ARM_QUALIFYING_ADDER
+      : noteRate;
+
+    return {
+      termMonths,
+      amortizationType: isARM ? 'ARM' : 'Fixed',
+      armType,
+      interestOnly,
+      interestOnlyMonths,
+      // Interest-only loans qualify on the payment that fully amortizes over the remaining term
+      amortizingMonths: termMonths - interestOnlyMonths,
+      qualifyingRate
+    };
+  }
+
+  // Fully amortizing monthly payment factor (payment per dollar borrowed)
+  function getPaymentFactor(annualRate, months) {
+    const monthlyRate = annualRate / 100 / 12;
+    if (months <= 0) return 0;
+    if (monthlyRate <= 0) return 1 / months;
+    return (monthlyRate * Math.pow(1 + monthlyRate, months)) / (Math.pow(1 + monthlyRate, months) - 1);
+  }
+
+  // ============================================
+  // INCOME
+  // ============================================
+
+  // JSON list fields arrive as strings from SQLite and as arrays from the form
+  function parseList(value) {
+    if (typeof value === 'string') return JSON.parse(value || '[]');
+    return value || [];
+  }
+
+  // Annual salary from amount and frequency
+  function calculateAnnualSalary(emp) {
+    const amount = parseFloat(emp.salary_amount) || parseFloat(emp.annual_salary) || 0;
+    const frequency = emp.salary_frequency || 'annual';
+
+    if (frequency === 'monthly') return amount * 12;
+    if (frequency === 'weekly') return amount * 52;
+    return amount;
+  }
+
+  // Base pay only (salary or hourly), before overtime/bonus/commission
+  function calculateEmployerBaseMonthly(emp) {
+    if (emp.pay_type === 'hourly') {
+      return (parseFloat(emp.hourly_rate) || 0) * (parseFloat(emp.hours_per_week) || 0) * 4.333;
+    }
+    return calculateAnnualSalary(emp) / 12;
+  }
+
+  // Percent added to non-taxable income so it compares with taxable gross pay, by program.
+  // A borrower-level nontaxable_gross_up_percent overrides it.
+  const NONTAXABLE_GROSS_UP_PERCENT = {
+    Conventional: 25,
+    FHA: 15,
+    VA: 25,
+    USDARuralDevelopment: 25,
+    NonQM: 25
+  };
+
+  // Other income types that are non-taxable without being marked; any other source can set non_taxable
+  const NONTAXABLE_INCOME_TYPES = ['Social Security', 'VA Disability'];
+
+  function getNonTaxableGrossUpPercent(borrower) {
+    const override = parseFloat(borrower.nontaxable_gross_up_percent);
+    if (!isNaN(override) && override >= 0) return override;
+    return NONTAXABLE_GROSS_UP_PERCENT[getLoanProgram(borrower)];
+  }
+
+  function isNonTaxableIncome(inc) {
+    return NONTAXABLE_INCOME_TYPES.includes(inc.type) || !!inc.non_taxable;
+  }
+
+  // An ETS (expiration of term of service) inside this many months needs evidence of reenlistment
+  const MILITARY_ETS_WARNING_MONTHS = 12;
+
+  function usesLESWorksheet(emp) {
+    return emp.employment_type === 'Military';
+  }
+
+  // Monthly military pay from the Leave and Earnings Statement. Base and special pays are taxable;
+  // BAH and BAS are not, so they are grossed up. asOf (ms) is when the ETS is measured from.
+  function calculateMilitaryIncome(emp, { grossUpPercent = 0, asOf = null } = {}) {
+    const basePay = parseFloat(emp.les_base_pay) || 0;
+    const specialPays = parseFloat(emp.les_special_pays) || 0;
+    const bah = parseFloat(emp.les_bah) || 0;
+    const bas = parseFloat(emp.les_bas) || 0;
+    const taxableIncome = basePay + specialPays;
+    const nonTaxableIncome = bah + bas;
+    const grossUp = nonTaxableIncome * grossUpPercent / 100;
+    const warnings = [];
+
+    const etsDate = parseIsoDate(emp.les_ets_date);
+    let monthsToETS = null;
+    if (etsDate !== null) {
+      const from = asOf ?? parseIsoDate(new Date().toISOString());
+      monthsToETS = etsDate > from ? wholeMonthsBetween(from, etsDate) : 0;
+      if (monthsToETS === 0) {
+        warnings.push('ETS date has passed - income cannot be used without proof of reenlistment or extension');
+      } else if (monthsToETS < MILITARY_ETS_WARNING_MONTHS) {
+        warnings.push(`ETS in ${monthsToETS} months - underwriting needs evidence of reenlistment or intent to continue serving`);
+      }
+    } else if (basePay > 0) {
+      warnings.push('ETS date not entered - needed to show the income will continue');
+    }
+
+    return {
+      employerName: emp.employer_name || '',
+      basePay,
+      specialPays,
+      bah,
+      bas,
+      taxableIncome,
+      nonTaxableIncome,
+      grossUpPercent,
+      grossUp,
+      etsDate: emp.les_ets_date || null,
+      monthsToETS,
+      monthlyIncome: taxableIncome + nonTaxableIncome + grossUp,
+      warnings
+    };
+  }
+
+  // Fannie Mae Form 1084 cash-flow line items. sign: add back (+1) or deduct (-1).
+  // scaled: business return types where the line is multiplied by the ownership percent
+  // (K-1 ordinary income is already the borrower's share; 1120 taxable income is not).
+  const SELF_EMPLOYMENT_BUSINESS_TYPES = ['ScheduleC', '1120S', '1065', '1120'];
+  const SELF_EMPLOYMENT_LINE_ITEMS = [
+    { field: 'net_income', label: 'Net Profit / K-1 Ordinary Income / Taxable Income', sign: 1, scaled: ['1120'] },
+    { field: 'guaranteed_payments', label: 'Guaranteed Payments to Partner', sign: 1, types: ['1065'] },
+    { field: 'w2_wages', label: 'W-2 Wages Paid to Borrower', sign: 1, types: ['1120S', '1120'] },
+    { field: 'depreciation', label: 'Depreciation', sign: 1, scaled: ['1120S', '1065', '1120'] },
+    { field: 'depletion', label: 'Depletion', sign: 1, scaled: ['1120S', '1065', '1120'] },
+    { field: 'amortization', label: 'Amortization / Casualty Loss', sign: 1, scaled: ['1120S', '1065', '1120'] },
+    { field: 'nonrecurring', label: 'Nonrecurring Income (Loss)', sign: -1, scaled: ['1120S', '1065', '1120'] },
+    { field: 'meals', label: 'Non-Deductible Meals', sign: -1, scaled: ['1120S', '1065', '1120'] },
+    { field: 'notes_payable', label: 'Notes Payable in Less Than 1 Year', sign: -1, types: ['1120S', '1065', '1120'], scaled: ['1120S', '1065', '1120'] },
+    { field: 'total_tax', label: 'Total Tax', sign: -1, types: ['1120'], scaled: ['1120'] }
+  ];
+
+  // Year-over-year decline beyond which the income may not be usable without a written analysis
+  const SELF_EMPLOYMENT_SIGNIFICANT_DECLINE = 20;
+
+  function usesSelfEmploymentWorksheet(emp) {
+    return emp.employment_type === 'Self-Employed' && SELF_EMPLOYMENT_BUSINESS_TYPES.includes(emp.se_business_type);
+  }
+
+  // Qualifying monthly income from two years of business returns, with trending.
+  // Worksheet fields live on the employer as se_y1_<field> (most recent year) and se_y2_<field> (prior year).
+  function calculateSelfEmploymentIncome(emp) {
+    const businessType = emp.se_business_type;
+    const ownership = businessType === 'ScheduleC' ? 1 : (parseFloat(emp.se_ownership_percent) || 100) / 100;
+    const lineItems = SELF_EMPLOYMENT_LINE_ITEMS.filter(item => !item.types || item.types.includes(businessType));
+    const isEntered = prefix => lineItems.some(item => emp[`${prefix}${item.field}`] !== undefined && emp[`${prefix}${item.field}`] !== '');
+
+    const yearTotal = prefix => lineItems.reduce((total, item) => {
+      const value = parseFloat(emp[`${prefix}${item.field}`]) || 0;
+      const factor = item.scaled && item.scaled.includes(businessType) ? ownership : 1;
+      return total + item.sign * value * factor;
+    }, 0);
+
+    const hasPriorYear = isEntered('se_y2_');
+    const year1Income = yearTotal('se_y1_');
+    const year2Income = hasPriorYear ? yearTotal('se_y2_') : null;
+    const warnings = [];
+    let monthlyIncome;
+    let trend = null;
+    let changePercent = null;
+
+    if (!hasPriorYear) {
+      monthlyIncome = year1Income / 12;
+      warnings.push('Only one year of returns entered - two years are normally required');
+    } else {
+      changePercent = year2Income !== 0 ? ((year1Income - year2Income) / Math.abs(year2Income)) * 100 : 0;
+      if (year1Income >= year2Income) {
+        // Stable or increasing: two-year average
+        monthlyIncome = (year1Income + year2Income) / 24;
+        trend = changePercent >= 5 ? 'Increasing' : 'Stable';
+      } else {
+        // Declining: most recent year only
+        monthlyIncome = year1Income / 12;
+        trend = 'Declining';
+        warnings.push(`Income declined ${Math.abs(changePercent).toFixed(1)}% year over year - qualifying on the most recent year only`);
+        if (Math.abs(changePercent) > SELF_EMPLOYMENT_SIGNIFICANT_DECLINE) {
+          warnings.push('Significant decline - underwriter will require a written analysis and may not allow this income');
+        }
+      }
+    }
+
+    if (year1Income < 0) {
+      warnings.push('Business loss in the most recent year reduces qualifying income');
+    }
+
+    return {
+      employerName: emp.employer_name || '',
+      businessType,
+      ownershipPercent: ownership * 100,
+      year1: emp.se_y1_year || null,
+      year2: emp.se_y2_year || null,
+      year1Income,
+      year2Income,
+      changePercent,
+      trend,
+      monthlyIncome,
+      warnings
+    };
+  }
+
+  function calculateEmployerMonthlyIncome(emp, grossUpPercent = 0) {
+    // Self-employed income comes from the business returns, military pay from the LES, not salary/hourly entries
+    if (usesSelfEmploymentWorksheet(emp)) return calculateSelfEmploymentIncome(emp).monthlyIncome;
+    if (usesLESWorksheet(emp)) return calculateMilitaryIncome(emp, { grossUpPercent }).monthlyIncome;
+
+    return calculateEmployerBaseMonthly(emp)
+      + (parseFloat(emp.overtime_monthly) || 0)
+      + (parseFloat(emp.bonus_monthly) || 0)
+      + (parseFloat(emp.commission_monthly) || 0);
+  }
+
+  // Current employers only - previous employers are history, not qualifying income
+  function sumEmploymentIncome(employers, grossUpPercent = 0) {
+    return employers
+      .filter(emp => !emp.is_previous)
+      .reduce((total, emp) => total + calculateEmployerMonthlyIncome(emp, grossUpPercent), 0);
+  }
+
+  // Rental income worksheets replace the face-value monthly amount; non-taxable sources are grossed up
+  function sumOtherIncome(incomes, grossUpPercent = 0) {
+    return incomes
+      .filter(inc => !usesRentalWorksheet(inc))
+      .reduce((total, inc) => {
+        const amount = parseFloat(inc.monthly_amount) || 0;
+        return total + (isNonTaxableIncome(inc) ? amount * (1 + grossUpPercent / 100) : amount);
+      }, 0);
+  }
+
+  // Non-taxable other income before the gross-up
+  function sumNonTaxableOtherIncome(incomes) {
+    return incomes
+      .filter(inc => !usesRentalWorksheet(inc) && isNonTaxableIncome(inc))
+      .reduce((total, inc) => total + (parseFloat(inc.monthly_amount) || 0), 0);
+  }
+
+  // ============================================
+  // RENTAL INCOME
+  // ============================================
+
+  // Lease method: 75% of gross rent, the remaining 25% covering vacancy and maintenance
+  const RENTAL_VACANCY_FACTOR = 0.75;
+
+  // Schedule E lines (annual amounts from the most recent return); non-cash and PITIA items are added back
+  const SCHEDULE_E_LINE_ITEMS = [
+    { field: 'rents', label: 'Rents Received', sign: 1 },
+    { field: 'expenses', label: 'Total Expenses', sign: -1 },
+    { field: 'depreciation', label: 'Depreciation', sign: 1 },
+    { field: 'insurance', label: 'Insurance', sign: 1 },
+    { field: 'mortgage_interest', label: 'Mortgage Interest', sign: 1 },
+    { field: 'taxes', label: 'Taxes', sign: 1 },
+    { field: 'hoa', label: 'HOA Dues', sign: 1 },
+    { field: 'amortization', label: 'Amortization/Casualty Loss', sign: 1 }
+  ];
+
+  const isChecked = value => value === true || value === 'true' || value === 1 || value === '1';
+
+  function usesRentalWorksheet(inc) {
+    return inc.type === 'Rental Income' && ['ScheduleE', 'Lease'].includes(inc.rental_method);
+  }
+
+  // Net monthly rental income (positive) or loss (negative) for one rental property, after its PITIA
+  function calculateRentalIncome(inc) {
+    const pitia = parseFloat(inc.rental_pitia) || 0;
+    const departingResidence = isChecked(inc.rental_departing);
+    const warnings = [];
+    let qualifyingRent;
+
+    if (inc.rental_method === 'ScheduleE') {
+      const monthsInService = Math.min(12, Math.max(1, parseInt(inc.sche_months) || 12));
+      const annual = SCHEDULE_E_LINE_ITEMS.reduce((total, item) => total + item.sign * (parseFloat(inc[`sche_${item.field}`]) || 0), 0);
+      qualifyingRent = annual / monthsInService;
+      if (departingResidence) {
+        warnings.push('A departing residence has no Schedule E history - the lease method normally applies');
+      }
+    } else {
+      qualifyingRent = (parseFloat(inc.rental_gross_rent) || 0) * RENTAL_VACANCY_FACTOR;
+    }
+
+    let netRental = qualifyingRent - pitia;
+
+    // Without landlord history, departing-residence rent can only offset its own payment
+    if (departingResidence && netRental > 0 && !isChecked(inc.rental_landlord_history)) {
+      warnings.push('No landlord history - rental income limited to offsetting the departing residence payment');
+      netRental = 0;
+    }
+
+    return {
+      property: inc.rental_property || inc.business_name || '',
+      method: inc.rental_method,
+      qualifyingRent,
+      pitia,
+      netRental,
+      departingResidence,
+      warnings
+    };
+  }
+
+  // Rent from the subject property: 2-4 unit primary residences add 75% of the other units' rent to
+  // income; investment properties offset their own PITIA with it
+  function calculateSubjectRental(borrower, qualifyingPITI) {
+    const grossRent = parseFloat(borrower.subject_rent_monthly) || 0;
+    const units = { TWO_UNIT: 2, THREE_UNIT: 3, FOUR_UNIT: 4 }[borrower.property_type] || 1;
+    const qualifyingRent = grossRent * RENTAL_VACANCY_FACTOR;
+
+    if (borrower.occupancy === 'Investment') {
+      return { qualifyingRent, subjectRentalIncome: Math.max(0, qualifyingRent - qualifyingPITI), subjectRentOffset: Math.min(qualifyingRent, qualifyingPITI) };
+    }
+    if (units > 1 && borrower.occupancy !== 'Second Home') {
+      return { qualifyingRent, subjectRentalIncome: qualifyingRent, subjectRentOffset: 0 };
+    }
+    return { qualifyingRent: 0, subjectRentalIncome: 0, subjectRentOffset: 0 };
+  }
+
+  // ============================================
+  // TEMPORARY BUYDOWNS & CONCESSIONS
+  // ============================================
+
+  // Rate reduction below the note rate for each buydown year
+  const TEMPORARY_BUYDOWNS = {
+    '3-2-1': [3, 2, 1],
+    '2-1': [2, 1],
+    '1-1': [1, 1]
+  };
+
+  // Year-by-year payments for a temporary buydown. The subsidy (the payment shortfall for the bought-down
+  // years) is escrowed at closing; the borrower still qualifies at the note rate.
+  function calculateBuydown(borrower, { totalLoanAmount, noteRate, principalAndInterest, loanStructure }) {
+    const reductions = TEMPORARY_BUYDOWNS[borrower.buydown_type];
+    if (!reductions || totalLoanAmount <= 0) {
+      return { buydownType: null, buydownPaidBy: null, buydownSchedule: [], buydownCost: 0 };
+    }
+
+    const paymentAt = rate => (loanStructure.interestOnly
+      ? totalLoanAmount * rate / 100 / 12
+      : totalLoanAmount * getPaymentFactor(rate, loanStructure.termMonths));
+    const schedule = reductions.map((reduction, i) => {
+      const rate = Math.max(0, noteRate - reduction);
+      const payment = paymentAt(rate);
+      return {
+        year: i + 1,
+        rate,
+        principalAndInterest: payment,
+        monthlySubsidy: principalAndInterest - payment,
+        annualSubsidy: (principalAndInterest - payment) * 12
+      };
+    });
+    schedule.push({
+      year: reductions.length + 1,
+      rate: noteRate,
+      principalAndInterest,
+      monthlySubsidy: 0,
+      annualSubsidy: 0
+    });
+
+    return {
+      buydownType: borrower.buydown_type,
+      buydownPaidBy: borrower.buydown_paid_by || 'Seller',
+      buydownSchedule: schedule,
+      buydownCost: schedule.reduce((total, year) => total + year.annualSubsidy, 0)
+    };
+  }
+
+  // Programs whose interested-party limit counts concessions (buydowns, prepaids, paying off debt) but not
+  // seller-paid normal closing costs, which are uncapped
+  const INTERESTED_PARTY_EXCLUDES_CLOSING_COSTS = ['VA'];
+
+  // Maximum interested-party (seller, builder, agent) contributions as a percent of the price
+  function getInterestedPartyLimitPercent(loanProgram, { ltv, occupancy }) {
+    if (loanProgram === 'Conventional') {
+      if (occupancy === 'Investment') return 2;
+      if (ltv > 90) return 3;
+      if (ltv > 75) return 6;
+      return 9;
+    }
+    // VA's 4% covers concessions only; seller-paid normal closing costs are left out of it
+    if (loanProgram === 'VA') return 4;
+    return 6;
+  }
+
+  // ============================================
+  // CLOSING COSTS
+  // ============================================
+
+  // Statewide Utah fee defaults. County templates (closing_cost_templates table) override these,
+  // and the borrower's closing_cost_fees worksheet overrides both.
+  // *_percent fees are a percent of the loan amount (owner's title: of the price); *_months are escrow months.
+  const DEFAULT_CLOSING_COST_TEMPLATE = {
+    origination_percent: 1.0,
+    credit_report: 75,
+    appraisal: 650,
+    title_escrow: 700,
+    recording: 80,
+    lenders_title_percent: 0.3,
+    // Customarily seller-paid in Utah
+    owners_title_percent: 0,
+    escrow_tax_months: 3,
+    escrow_insurance_months: 2
+  };
+
+  const CLOSING_COST_SECTIONS = ['Lender Fees', 'Third-Party Fees', 'Prepaids & Escrow', 'Credits'];
+
+  // Days of per-diem interest from the closing date through month end (15 when no date is set)
+  function getPrepaidInterestDays(closingDate) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(closingDate || '');
+    if (!match) return 15;
+    const [year, month, day] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return daysInMonth - day + 1;
+  }
+
+  // Itemized closing cost worksheet. Credits are negative items.
+  function calculateClosingCosts(borrower, { loanAmount, totalLoanAmount, propertyValue, noteRate, monthlyTaxes, monthlyInsurance, isPurchase, buydown = null, interestedPartyLimitPercent = null, excludeSellerClosingCosts = false }) {
+    const fees = { ...DEFAULT_CLOSING_COST_TEMPLATE };
+    const worksheet = typeof borrower.closing_cost_fees === 'string'
+      ? JSON.parse(borrower.closing_cost_fees || '{}')
+      : (borrower.closing_cost_fees || {});
+    for (const [key, value] of Object.entries(worksheet)) {
+      if (value !== null && value !== '' && !isNaN(parseFloat(value))) fees[key] = parseFloat(value);
+    }
+
+    const hasLoan = loanAmount > 0;
+    const prepaidInterestDays = getPrepaidInterestDays(borrower.closing_date);
+    const items = [];
+    const add = (key, label, section, amount) => items.push({ key, label, section, amount });
+
+    add('origination', `Origination (${fees.origination_percent}%)`, 'Lender Fees', hasLoan ? loanAmount * fees.origination_percent / 100 : 0);
+    add('credit_report', 'Credit Report', 'Lender Fees', hasLoan ? fees.credit_report : 0);
+
+    add('appraisal', 'Appraisal', 'Third-Party Fees', hasLoan ? fees.appraisal : 0);
+    add('title_escrow', 'Title / Escrow Settlement', 'Third-Party Fees', hasLoan ? fees.title_escrow : 0);
+    add('lenders_title', "Lender's Title Policy", 'Third-Party Fees', totalLoanAmount * fees.lenders_title_percent / 100);
+    if (isPurchase) {
+      add('owners_title', "Owner's Title Policy", 'Third-Party Fees', propertyValue * fees.owners_title_percent / 100);
+    }
+    add('recording', 'Recording Fees', 'Third-Party Fees', hasLoan ? fees.recording : 0);
+
+    // Discount points chosen from the rate sheet; negative points are a lender credit for a rate above par
+    const discountPoints = parseFloat(borrower.discount_points) || 0;
+    if (discountPoints > 0 && hasLoan) {
+      add('discount_points', `Discount Points (${discountPoints}%)`, 'Lender Fees', loanAmount * discountPoints / 100);
+    }
+    const pricingCredit = discountPoints < 0 ? loanAmount * -discountPoints / 100 : 0;
+
+    add('prepaid_interest', `Prepaid Interest (${prepaidInterestDays} days)`, 'Prepaids & Escrow', totalLoanAmount * noteRate / 100 / 365 * prepaidInterestDays);
+    if (isPurchase) {
+      // First year's homeowners insurance premium is paid at closing on a purchase
+      add('insurance_premium', 'Homeowners Insurance (12 months)', 'Prepaids & Escrow', monthlyInsurance * 12);
+    }
+    add('escrow_deposit', 'Initial Escrow Deposit',
+      'Prepaids & Escrow', monthlyTaxes * fees.escrow_tax_months + monthlyInsurance * fees.escrow_insurance_months);
+    const buydownCost = buydown ? buydown.buydownCost : 0;
+    if (buydownCost > 0) {
+      add('buydown', `Temporary Buydown Subsidy (${buydown.buydownType})`, 'Prepaids & Escrow', buydownCost);
+    }
+
+    const closingCosts = items
+      .filter(i => i.section === 'Lender Fees' || i.section === 'Third-Party Fees')
+      .reduce((total, i) => total + i.amount, 0);
+    const prepaidItems = items
+      .filter(i => i.section === 'Prepaids & Escrow')
+      .reduce((total, i) => total + i.amount, 0);
+
+    // A buydown is funded by whoever the borrower negotiated it from; seller money counts toward the IPC limit
+    // unless the program leaves seller-paid closing costs out of it (credits cover closing costs first)
+    const buydownPaidBy = buydown ? buydown.buydownPaidBy : null;
+    const requestedSellerCredits = parseFloat(borrower.seller_credits) || 0;
+    const sellerPaidClosingCosts = excludeSellerClosingCosts ? Math.min(requestedSellerCredits, closingCosts) : 0;
+    const interestedPartyContributions = requestedSellerCredits - sellerPaidClosingCosts + (buydownPaidBy === 'Seller' ? buydownCost : 0);
+    const interestedPartyLimit = interestedPartyLimitPercent !== null ? propertyValue * interestedPartyLimitPercent / 100 : Infinity;
+    const allowedConcessions = Math.min(interestedPartyContributions, interestedPartyLimit);
+    const allowedSellerCredits = sellerPaidClosingCosts + allowedConcessions;
+    const requestedLenderCredits = (parseFloat(borrower.lender_credits) || 0) + pricingCredit + (buydownPaidBy === 'Lender' ? buydownCost : 0);
+
+    // Seller and lender credits can only offset costs, never come back to the borrower as cash
+    const requestedCredits = allowedSellerCredits + requestedLenderCredits;
+    const appliedCredits = Math.min(requestedCredits, closingCosts + prepaidItems);
+    const sellerCredits = Math.min(allowedSellerCredits, appliedCredits);
+    const lenderCredits = appliedCredits - sellerCredits;
+    const earnestMoney = isPurchase ? (parseFloat(borrower.earnest_money) || 0) : 0;
+
+    if (sellerCredits > 0) add('seller_credits', 'Seller Credits', 'Credits', -sellerCredits);
+    if (lenderCredits > 0) add('lender_credits', 'Lender Credits', 'Credits', -lenderCredits);
+    if (earnestMoney > 0) add('earnest_money', 'Earnest Money Deposit (paid)', 'Credits', -earnestMoney);
+
+    return {
+      items,
+      closingCosts,
+      prepaidItems,
+      totalCredits: appliedCredits + earnestMoney,
+      sellerPaidClosingCosts,
+      interestedPartyContributions,
+      interestedPartyLimit: Number.isFinite(interestedPartyLimit) ? interestedPartyLimit : null,
+      interestedPartyExcess: interestedPartyContributions - allowedConcessions
+    };
+  }
+
+  // ============================================
+  // PRICING
+  // ============================================
+
+  // Loan-level price adjustments in points (a cost to the borrower). Grids are indexed by credit score band
+  // (minimum score, highest first) and LTV band (maximum LTV; anything higher uses the last column).
+  // Uploaded rate sheets store their own copy so each lender's grid can be edited.
+  const DEFAULT_PRICING_ADJUSTMENTS = {
+    creditScoreBands: [780, 760, 740, 720, 700, 680, 660, 640, 0],
+    ltvBands: [30, 60, 70, 75, 80, 85, 90, 95, 97],
+    creditScoreLtv: [
+      [0, 0, 0, 0, 0.375, 0.375, 0.25, 0.25, 0.125],
+      [0, 0, 0, 0.25, 0.625, 0.625, 0.5, 0.5, 0.25],
+      [0, 0, 0.125, 0.375, 0.875, 1.0, 0.75, 0.625, 0.5],
+      [0, 0, 0.25, 0.75, 1.25, 1.25, 1.0, 0.875, 0.75],
+      [0, 0, 0.375, 0.875, 1.375, 1.5, 1.25, 1.125, 0.875],
+      [0, 0, 0.625, 1.125, 1.75, 1.875, 1.5, 1.375, 1.125],
+      [0, 0, 0.75, 1.375, 1.875, 2.125, 1.75, 1.625, 1.25],
+      [0, 0, 1.125, 1.5, 2.25, 2.5, 2.0, 1.875, 1.5],
+      [0, 0.125, 1.5, 2.125, 2.75, 2.875, 2.625, 2.25, 1.75]
+    ],
+    // One value per LTV band
+    cashOut: [0.375, 0.375, 0.625, 0.875, 1.375, 1.375, 1.375, 1.375, 1.375],
+    investment: [1.125, 1.125, 1.125, 2.125, 3.375, 4.125, 4.125, 4.125, 4.125],
+    condo: [0, 0, 0, 0, 0.75, 0.75, 0.75, 0.75, 0.75],
+    multiUnit: [0.625, 0.625, 0.625, 0.625, 1.625, 1.625, 1.625, 1.625, 1.625]
+  };
+
+  const PRICING_ADJUSTMENT_LABELS = {
+    cashOut: 'Cash-out refinance',
+    investment: 'Investment property',
+    condo: 'Condo',
+    multiUnit: '2-4 unit'
+  };
+
+  // LLPAs that apply to this borrower and scenario
+  function getPricingAdjustments(borrower, { ltv, creditScore, adjustments }) {
+    const grid = { ...DEFAULT_PRICING_ADJUSTMENTS, ...(adjustments || {}) };
+    const ltvIndex = grid.ltvBands.findIndex(max => ltv <= max);
+    const column = ltvIndex === -1 ? grid.ltvBands.length - 1 : ltvIndex;
+    const scoreIndex = grid.creditScoreBands.findIndex(min => creditScore >= min);
+    const row = scoreIndex === -1 ? grid.creditScoreBands.length - 1 : scoreIndex;
+    const units = { TWO_UNIT: 2, THREE_UNIT: 3, FOUR_UNIT: 4 }[borrower.property_type] || 1;
+
+    const applied = [];
+    const add = (key, label, points) => {
+      if (points) applied.push({ key, label, points });
+    };
+    add('creditScoreLtv', `Credit score ${creditScore || 'n/a'} / LTV ${ltv.toFixed(2)}%`, (grid.creditScoreLtv[row] || [])[column] || 0);
+    const flags = {
+      cashOut: borrower.loan_purpose === 'Refinance' && borrower.refinance_type === 'Cash Out',
+      investment: borrower.occupancy === 'Investment',
+      condo: (borrower.property_type || '').startsWith('CONDO'),
+      multiUnit: units > 1
+    };
+    for (const [key, applies] of Object.entries(flags)) {
+      if (applies) add(key, PRICING_ADJUSTMENT_LABELS[key], (grid[key] || [])[column] || 0);
+    }
+    return applied;
+  }
+
+  // Price every rate on a rate sheet for this scenario. Prices are per 100 of loan amount: below 100 the
+  // borrower pays discount points, above 100 the lender credits the difference.
+  function priceRateSheet(rateSheet, borrower, { ltv, creditScore, loanAmount, totalLoanAmount, loanTermMonths, lockDays }) {
+    const lockPeriods = parseList(rateSheet.lock_periods).map(Number);
+    const lock = lockPeriods.includes(Number(lockDays)) ? Number(lockDays) : lockPeriods[0];
+    const adjustments = typeof rateSheet.adjustments === 'string'
+      ? JSON.parse(rateSheet.adjustments || '{}')
+      : (rateSheet.adjustments || {});
+    const applied = getPricingAdjustments(borrower, { ltv, creditScore, adjustments });
+    const totalAdjustment = applied.reduce((total, adj) => total + adj.points, 0);
+
+    const rows = parseList(rateSheet.rates)
+      .filter(row => row.prices && row.prices[lock] !== undefined && row.prices[lock] !== null)
+      .map(row => {
+        const rate = parseFloat(row.rate);
+        const basePrice = parseFloat(row.prices[lock]);
+        const finalPrice = basePrice - totalAdjustment;
+        const points = 100 - finalPrice;
+        return {
+          rate,
+          basePrice,
+          finalPrice,
+          points,
+          pointsAmount: loanAmount * points / 100,
+          principalAndInterest: totalLoanAmount > 0 ? totalLoanAmount * getPaymentFactor(rate, loanTermMonths || 360) : 0
+        };
+      })
+      .sort((a, b) => a.rate - b.rate);
+
+    // Par: the lowest rate that costs the borrower nothing
+    const par = rows.find(row => row.points <= 0);
+    rows.forEach(row => { row.isPar = row === par; });
+
+    return { lockDays: lock, lockPeriods, adjustments: applied, totalAdjustment, rows };
+  }
+
+  // ============================================
+  // TAX & INSURANCE ESTIMATES
+  // ============================================
+
+  // Defaults for pre-filling taxes and insurance before the actual figures are known.
+  // Overrides are saved in the estimate_rates table. Tax rates are approximate average county
+  // levies (% of taxable value); Utah taxes a primary residence on 55% of market value.
+  // Insurance is annual premium per $1,000 of value (condos price an HO-6 walls-in policy).
+  const DEFAULT_ESTIMATE_RATES = {
+    primaryResidenceExemptionPercent: 45,
+    tax: {
+      'Salt Lake': 1.00, 'Utah': 0.95, 'Davis': 1.05, 'Weber': 1.10, 'Cache': 1.05,
+      'Washington': 0.85, 'Box Elder': 1.05, 'Tooele': 1.05, 'Summit': 0.70, 'Iron': 1.00,
+      'Sanpete': 1.10, 'Sevier': 1.05, 'Carbon': 1.25, 'Uintah': 1.00, 'Duchesne': 1.00,
+      'Wasatch': 0.80, 'Morgan': 0.95, 'Juab': 1.10, 'Millard': 1.10, 'Beaver': 1.00,
+      'Grand': 0.90, 'Emery': 1.30, 'San Juan': 1.20, 'Kane': 0.85, 'Garfield': 0.85,
+      'Wayne': 0.95, 'Piute': 1.10, 'Rich': 0.75, 'Daggett': 0.90,
+      default: 1.00
+    },
+    insurance: {
+      SINGLE_FAMILY_DETACHED: 3.50, SINGLE_FAMILY_ATTACHED: 3.25, TOWNHOUSE: 3.00,
+      CONDO_UNDER_5_STORIES: 1.25, CONDO_5_TO_8_STORIES: 1.25, CONDO_HIGH_RISE: 1.25,
+      TWO_UNIT: 4.00, THREE_UNIT: 4.25, FOUR_UNIT: 4.50,
+      MANUFACTURED_SINGLE_WIDE: 6.00, MANUFACTURED_DOUBLE_WIDE: 5.50,
+      default: 3.50
+    }
+  };
+
+  // Annual property tax and homeowners insurance estimates from the subject value, county and property type
+  function estimatePropertyCosts(borrower, rates = DEFAULT_ESTIMATE_RATES) {
+    const propertyValue = parseFloat(borrower.loan_purpose === 'Refinance' ? borrower.property_value : borrower.purchase_price) || 0;
+    const county = borrower.property_county || '';
+    const taxRate = rates.tax[county] ?? rates.tax.default;
+    const isPrimary = !borrower.occupancy || borrower.occupancy === 'Primary Residence';
+    const exemptionPercent = isPrimary ? rates.primaryResidenceExemptionPercent : 0;
+    const insuranceRate = rates.insurance[borrower.property_type] ?? rates.insurance.default;
+
+    return {
+      propertyValue,
+      county,
+      taxRate,
+      exemptionPercent,
+      effectiveTaxRate: taxRate * (100 - exemptionPercent) / 100,
+      propertyTaxesAnnual: Math.round(propertyValue * (100 - exemptionPercent) / 100 * taxRate / 100),
+      insuranceRate,
+      insuranceAnnual: Math.round(propertyValue / 1000 * insuranceRate)
+    };
+  }
+
+  // ============================================
+  // DOWN PAYMENT ASSISTANCE
+  // ============================================
+
+  // Down payment assistance programs, funded as a second lien at closing.
+  // incomeLimits / purchasePriceLimits are keyed by county (default for the rest of the state);
+  // income limit lists are by household size, the last entry covering larger households.
+  // secondLien: maxPercent of the first loan (total, with financed fees) and/or a flat maxAmount,
+  // rate as a spread over the first mortgage rate or a fixed rate; deferred liens have no payment.
+  // Limits change yearly - confirm against the administrator's current bulletin.
+  const DPA_PROGRAMS = [
+    {
+      id: 'UH_FIRSTHOME',
+      name: 'Utah Housing FirstHome',
+      loanPrograms: ['FHA', 'VA', 'USDARuralDevelopment'],
+      firstTimeBuyerRequired: true,
+      minCreditScore: 660,
+      maxDTI: 45,
+      incomeLimits: { default: [115500, 115500, 132800], Summit: [140700, 140700, 164150], Wasatch: [133300, 133300, 155500] },
+      purchasePriceLimits: { default: 581000, Summit: 968000, Wasatch: 968000 },
+      secondLien: { maxPercent: 6, rateSpread: 2, termMonths: 360 }
+    },
+    {
+      id: 'UH_HOMEAGAIN',
+      name: 'Utah Housing HomeAgain',
+      loanPrograms: ['FHA', 'VA', 'USDARuralDevelopment'],
+      firstTimeBuyerRequired: false,
+      minCreditScore: 660,
+      maxDTI: 45,
+      incomeLimits: { default: [115500, 115500, 132800], Summit: [140700, 140700, 164150], Wasatch: [133300, 133300, 155500] },
+      purchasePriceLimits: { default: 581000, Summit: 968000, Wasatch: 968000 },
+      secondLien: { maxPercent: 6, rateSpread: 2, termMonths: 360 }
+    },
+    {
+      id: 'UH_SCORE',
+      name: 'Utah Housing Score',
+      loanPrograms: ['FHA', 'Conventional'],
+      firstTimeBuyerRequired: false,
+      minCreditScore: 660,
+      maxDTI: 45,
+      incomeLimits: { default: [156900] },
+      purchasePriceLimits: null,
+      secondLien: { maxPercent: 6, rateSpread: 2, termMonths: 360 }
+    },
+    {
+      id: 'SLCO_DPA',
+      name: 'Salt Lake County Down Payment Assistance',
+      counties: ['Salt Lake'],
+      loanPrograms: ['FHA', 'VA', 'USDARuralDevelopment', 'Conventional'],
+      firstTimeBuyerRequired: true,
+      minCreditScore: 640,
+      maxDTI: 45,
+      // 80% of area median income
+      incomeLimits: { default: [72250, 82600, 92900, 103200, 111500, 119750, 128000, 136250] },
+      purchasePriceLimits: { default: 500000 },
+      secondLien: { maxAmount: 10000, rate: 0, termMonths: 360, deferred: true }
+    }
+  ];
+
+  // Second lien amount, rate and payment for a DPA program. A requested amount is capped at the program maximum.
+  function calculateSecondLien(program, { totalLoanAmount, noteRate, requestedAmount }) {
+    const lien = program.secondLien;
+    const caps = [];
+    if (lien.maxPercent) caps.push(totalLoanAmount * lien.maxPercent / 100);
+    if (lien.maxAmount) caps.push(lien.maxAmount);
+    const maxAmount = caps.length ? Math.min(...caps) : 0;
+    const amount = requestedAmount > 0 ? Math.min(requestedAmount, maxAmount) : maxAmount;
+    const rate = lien.rate ?? noteRate + (lien.rateSpread || 0);
+
+    return {
+      amount,
+      maxAmount,
+      rate,
+      termMonths: lien.termMonths,
+      deferred: !!lien.deferred,
+      payment: lien.deferred || amount <= 0 ? 0 : amount * getPaymentFactor(rate, lien.termMonths)
+    };
+  }
+
+  // Every DPA program with the reasons the borrower does or doesn't qualify.
+  // baseDTI excludes any second lien so each program is tested with its own payment.
+  function matchDpaPrograms(borrower, { loanProgram, loanPurpose, propertyValue, totalLoanAmount, noteRate, annualIncome, creditScore, baseDTI, totalMonthlyIncome }) {
+    const county = borrower.property_county || '';
+    const householdSize = 1 + (parseInt(borrower.has_coborrower) ? 1 : 0) + (parseInt(borrower.dependents) || 0);
+    const forCounty = limits => (limits ? (limits[county] ?? limits.default) : null);
+
+    return DPA_PROGRAMS.map(program => {
+      const reasons = [];
+      const secondLien = calculateSecondLien(program, { totalLoanAmount, noteRate, requestedAmount: 0 });
+      const dti = totalMonthlyIncome > 0 ? baseDTI + secondLien.payment / totalMonthlyIncome * 100 : 0;
+
+      if (loanPurpose === 'Refinance') reasons.push('Purchase only');
+      if (borrower.occupancy && borrower.occupancy !== 'Primary Residence') reasons.push('Primary residence only');
+      if (program.counties && !program.counties.includes(county)) reasons.push(`Only available in ${program.counties.join(', ')} County`);
+      if (!program.loanPrograms.includes(loanProgram)) reasons.push(`Not available with ${PROGRAM_NAMES[loanProgram] || loanProgram} financing`);
+      if (program.firstTimeBuyerRequired && !parseInt(borrower.first_time_homebuyer)) reasons.push('First-time homebuyers only');
+      if (creditScore < program.minCreditScore) reasons.push(`Credit score ${creditScore || 'not provided'} below ${program.minCreditScore} minimum`);
+      if (dti > program.maxDTI) reasons.push(`DTI ${dti.toFixed(1)}% with this second lien exceeds ${program.maxDTI}%`);
+
+      const incomeLimits = forCounty(program.incomeLimits);
+      const incomeLimit = incomeLimits ? incomeLimits[Math.min(householdSize, incomeLimits.length) - 1] : null;
+      if (incomeLimit !== null && annualIncome > incomeLimit) {
+        reasons.push(`Income $${Math.round(annualIncome).toLocaleString()} over the $${incomeLimit.toLocaleString()} limit for a household of ${householdSize}`);
+      }
+      const priceLimit = forCounty(program.purchasePriceLimits);
+      if (priceLimit !== null && propertyValue > priceLimit) {
+        reasons.push(`Price over the $${priceLimit.toLocaleString()} limit`);
+      }
+
+      return {
+        id: program.id,
+        name: program.name,
+        eligible: reasons.length === 0,
+        reasons,
+        householdSize,
+        incomeLimit,
+        priceLimit,
+        maxAmount: secondLien.maxAmount,
+        rate: secondLien.rate,
+        termMonths: secondLien.termMonths,
+        deferred: secondLien.deferred,
+        payment: secondLien.payment
+      };
+    });
+  }
+
+  // ============================================
+  // LOAN LIMITS
+  // ============================================
+
+  // 2026 national limits by unit count (1-4 units): the conforming baseline and the FHA floor
+  // (65% of the baseline). Counties without loaded limits fall back to these.
+  const NATIONAL_LOAN_LIMITS = {
+    year: 2026,
+    conforming: [832750, 1066250, 1288800, 1601750],
+    fha: [541287, 693062, 837720, 1041137]
+  };
+
+  // Published FHFA conforming baselines by year (1-4 units), for limits loaded from earlier years
+  const NATIONAL_CONFORMING_BASELINES = {
+    2024: [766550, 981500, 1186350, 1474400],
+    2025: [806500, 1032650, 1248150, 1551250],
+    [NATIONAL_LOAN_LIMITS.year]: NATIONAL_LOAN_LIMITS.conforming
+  };
+
+  // Baseline for a limit year: the latest published year on or before it, else the earliest
+  function getNationalConformingBaseline(year) {
+    const years = Object.keys(NATIONAL_CONFORMING_BASELINES).map(Number).sort((a, b) => a - b);
+    const match = years.filter(y => y <= year).pop() ?? years[0];
+    return NATIONAL_CONFORMING_BASELINES[match];
+  }
+
+  const STATE_ABBREVIATIONS = {
+    'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA', 'colorado': 'CO',
+    'connecticut': 'CT', 'delaware': 'DE', 'district of columbia': 'DC', 'florida': 'FL', 'georgia': 'GA',
+    'hawaii': 'HI', 'idaho': 'ID', 'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS',
+    'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD', 'massachusetts': 'MA',
+    'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT',
+    'nebraska': 'NE', 'nevada': 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM',
+    'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK',
+    'oregon': 'OR', 'pennsylvania': 'PA', 'puerto rico': 'PR', 'rhode island': 'RI', 'south carolina': 'SC',
+    'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA',
+    'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY'
+  };
+
+  // "Utah" / "ut" -> "UT", null when unrecognized
+  function getStateCode(state) {
+    const value = String(state || '').trim();
+    if (value.length === 2) return value.toUpperCase();
+    return STATE_ABBREVIATIONS[value.toLowerCase()] || null;
+  }
+
+  // Limits for the subject's unit count. borrower.loan_limits is the property county's row from the
+  // loan_limits table, stored on the borrower when the county is chosen.
+  function getLoanLimits(borrower) {
+    const units = { TWO_UNIT: 2, THREE_UNIT: 3, FOUR_UNIT: 4 }[borrower.property_type] || 1;
+    const county = typeof borrower.loan_limits === 'string'
+      ? JSON.parse(borrower.loan_limits || 'null')
+      : borrower.loan_limits;
+    const forUnits = (list, fallback) => parseFloat((list || [])[units - 1]) || fallback[units - 1];
+
+    if (!county || !county.county) {
+      const baseline = NATIONAL_LOAN_LIMITS.conforming[units - 1];
+      return {
+        units,
+        source: `National baseline (${NATIONAL_LOAN_LIMITS.year})`,
+        conformingBaseline: baseline,
+        conformingLimit: baseline,
+        fhaLimit: NATIONAL_LOAN_LIMITS.fha[units - 1],
+        vaLimit: baseline
+      };
+    }
+
+    const conformingLimit = forUnits(county.conforming, NATIONAL_LOAN_LIMITS.conforming);
+    return {
+      units,
+      source: `${county.county} County (${county.year})`,
+      conformingBaseline: forUnits(county.conforming_baseline, NATIONAL_LOAN_LIMITS.conforming),
+      conformingLimit,
+      fhaLimit: forUnits(county.fha, NATIONAL_LOAN_LIMITS.fha),
+      vaLimit: parseFloat(county.va_limit) || conformingLimit
+    };
+  }
+
+  // Loan amount against the chosen program's limit, with alternatives when it doesn't fit.
+  // FHA limits apply to the base loan before the financed UFMIP.
+  function checkLoanLimits(borrower, { loanProgram, baseLoanAmount }) {
+    const limits = getLoanLimits(borrower);
+    const warnings = [];
+    const suggestedPrograms = [];
+    let loanLimit = null;
+    let loanLimitLabel = 'No loan limit';
+    let isHighBalance = false;
+
+    if (loanProgram === 'Conventional') {
+      loanLimit = limits.conformingLimit;
+      loanLimitLabel = limits.conformingLimit > limits.conformingBaseline ? 'High-balance conforming limit' : 'Conforming limit';
+      isHighBalance = baseLoanAmount > limits.conformingBaseline && baseLoanAmount <= limits.conformingLimit;
+      if (isHighBalance) warnings.push('High-balance conforming loan - expect higher pricing and tighter LTV limits');
+    } else if (loanProgram === 'FHA') {
+      loanLimit = limits.fhaLimit;
+      loanLimitLabel = 'FHA county limit';
+    } else if (loanProgram === 'VA') {
+      // Full entitlement has no limit; with entitlement in use the county limit caps the guaranty
+      if (parseInt(borrower.va_prior_use)) {
+        loanLimit = limits.vaLimit;
+        loanLimitLabel = 'VA county limit (reduced entitlement)';
+      } else {
+        loanLimitLabel = 'No VA limit (full entitlement)';
+      }
+    }
+
+    const exceedsLoanLimit = loanLimit !== null && baseLoanAmount > loanLimit;
+    if (exceedsLoanLimit) {
+      const over = baseLoanAmount - loanLimit;
+      if (loanProgram === 'VA') {
+        warnings.push(`Loan exceeds the county limit by $${Math.round(over).toLocaleString()} - reduced entitlement may require 25% of that amount down ($${Math.round(over * 0.25).toLocaleString()})`);
+      } else {
+        warnings.push(`${loanLimitLabel} of $${Math.round(loanLimit).toLocaleString()} exceeded by $${Math.round(over).toLocaleString()}`);
+      }
+      if (loanProgram === 'FHA' && baseLoanAmount <= limits.conformingLimit) {
+        suggestedPrograms.push(baseLoanAmount > limits.conformingBaseline ? 'Conventional high-balance' : 'Conventional');
+      }
+      if (baseLoanAmount > limits.conformingLimit) suggestedPrograms.push('Jumbo');
+      suggestedPrograms.push('Non-QM');
+    }
+
+    return {
+      loanLimit,
+      loanLimitLabel,
+      loanLimitSource: limits.source,
+      conformingLimit: limits.conformingLimit,
+      fhaLimit: limits.fhaLimit,
+      isHighBalance,
+      exceedsLoanLimit,
+      loanLimitWarnings: warnings,
+      suggestedPrograms
+    };
+  }
+
+  // ============================================
+  // REFINANCE BENEFIT
+  // ============================================
+
+  // Minimum drop in rate for a fixed-to-fixed streamline (FHA: note rate + annual MIP)
+  const STREAMLINE_MIN_RATE_REDUCTION = 0.5;
+  // VA IRRRL closing costs must be recouped from the payment savings within 36 months
+  const IRRRL_MAX_RECOUPMENT_MONTHS = 36;
+
+  // Existing loan vs. the proposed refinance: payment savings, breakeven, remaining interest, and the
+  // FHA Streamline / VA IRRRL net tangible benefit tests when a rate/term refi stays in the same program.
+  function analyzeRefinance(borrower, { loanProgram, loanStructure, noteRate, totalLoanAmount, principalAndInterest, monthlyMI, miAnnualRate, closingCosts, upfrontFee, closingCredits }) {
+    const currentBalance = parseFloat(borrower.current_loan_balance) || 0;
+    const currentRate = parseFloat(borrower.current_interest_rate) || 0;
+    if (currentBalance <= 0 || currentRate <= 0) return null;
+
+    const remainingEntered = parseInt(borrower.current_loan_remaining_months) || 0;
+    const remainingMonths = remainingEntered > 0 ? remainingEntered : loanStructure.termMonths;
+    const currentPrincipalAndInterest = currentBalance * getPaymentFactor(currentRate, remainingMonths);
+    const currentMonthlyMI = parseFloat(borrower.current_monthly_mi) || 0;
+    const currentPayment = currentPrincipalAndInterest + currentMonthlyMI;
+    const proposedPayment = principalAndInterest + monthlyMI;
+    const monthlySavings = currentPayment - proposedPayment;
+    const principalAndInterestSavings = currentPrincipalAndInterest - principalAndInterest;
+
+    // Fees to recover; financed upfront MIP / funding fee counts, prepaids and escrow don't
+    const refinanceCosts = Math.max(0, closingCosts + upfrontFee - closingCredits);
+    const breakevenMonths = monthlySavings > 0 ? refinanceCosts / monthlySavings : null;
+
+    const currentRemainingInterest = currentPrincipalAndInterest * remainingMonths - currentBalance;
+    const amortizingPayment = totalLoanAmount * getPaymentFactor(noteRate, loanStructure.amortizingMonths);
+    const proposedLifetimeInterest = (loanStructure.interestOnly ? principalAndInterest * loanStructure.interestOnlyMonths : 0)
+      + amortizingPayment * loanStructure.amortizingMonths - totalLoanAmount;
+
+    const currentLoanType = borrower.current_loan_type || null;
+    const isStreamline = borrower.refinance_type !== 'Cash Out' && currentLoanType === loanProgram && ['FHA', 'VA'].includes(loanProgram);
+    let netTangibleBenefit = null;
+    if (isStreamline && loanProgram === 'FHA') {
+      const currentMIPRate = currentMonthlyMI * 12 / currentBalance * 100;
+      const currentCombinedRate = currentRate + currentMIPRate;
+      const proposedCombinedRate = noteRate + miAnnualRate;
+      const reduction = currentCombinedRate - proposedCombinedRate;
+      netTangibleBenefit = {
+        test: 'FHA Streamline',
+        passed: reduction >= STREAMLINE_MIN_RATE_REDUCTION,
+        details: [`Combined rate (note + MIP) ${currentCombinedRate.toFixed(3)}% to ${proposedCombinedRate.toFixed(3)}%, a ${reduction.toFixed(3)}% reduction (${STREAMLINE_MIN_RATE_REDUCTION}% required)`]
+      };
+    } else if (isStreamline && loanProgram === 'VA') {
+      const reduction = currentRate - noteRate;
+      // IRRRL recoupment excludes the funding fee, prepaids and escrow
+      const recoupmentCosts = Math.max(0, closingCosts - closingCredits);
+      const recoupmentMonths = principalAndInterestSavings > 0 ? recoupmentCosts / principalAndInterestSavings : null;
+      const ratePassed = reduction >= STREAMLINE_MIN_RATE_REDUCTION;
+      const recoupmentPassed = recoupmentCosts === 0 || (recoupmentMonths !== null && recoupmentMonths <= IRRRL_MAX_RECOUPMENT_MONTHS);
+      netTangibleBenefit = {
+        test: 'VA IRRRL',
+        passed: ratePassed && recoupmentPassed,
+        details: [
+          `Rate ${currentRate}% to ${noteRate}%, a ${reduction.toFixed(3)}% reduction (${STREAMLINE_MIN_RATE_REDUCTION}% required)`,
+          recoupmentMonths !== null
+            ? `Recoups $${Math.round(recoupmentCosts).toLocaleString()} in costs in ${Math.ceil(recoupmentMonths)} months (${IRRRL_MAX_RECOUPMENT_MONTHS} allowed)`
+            : `No P&I savings to recoup $${Math.round(recoupmentCosts).toLocaleString()} in costs`
+        ],
+        recoupmentMonths
+      };
+    }
+
+    return {
+      currentBalance,
+      currentRate,
+      currentLoanType,
+      remainingMonths,
+      remainingMonthsAssumed: remainingEntered <= 0,
+      currentPrincipalAndInterest,
+      currentMonthlyMI,
+      currentPayment,
+      proposedPayment,
+      monthlySavings,
+      refinanceCosts,
+      breakevenMonths,
+      currentRemainingInterest,
+      proposedLifetimeInterest,
+      interestSavings: currentRemainingInterest - proposedLifetimeInterest,
+      netTangibleBenefit
+    };
+  }
+
+  // ============================================
+  // CASH-OUT LIMITS
+  // ============================================
+
+  // Cash-out refinance rules by program. USDA has no cash-out option; FHA and VA cash-out is owner-occupied only.
+  // ownedMonths: time since acquisition; loanSeasoningMonths: age of the existing first lien;
+  // paymentsMade / firstPaymentDays: payments on the existing loan and days since its first payment due date.
+  const CASH_OUT_RULES = {
+    Conventional: { maxLTV: 80, multiUnitMaxLTV: 75, nonOwnerMaxLTV: 75, maxDTI: 50, ownedMonths: 6, loanSeasoningMonths: 12 },
+    FHA: { maxLTV: 80, maxDTI: 56.9, ownedMonths: 12, paymentsMade: 6, primaryOnly: true },
+    // VA allows 100%; most investors cap cash-out at 90% below a 620 score
+    VA: { maxLTV: 100, reducedMaxLTV: 90, reducedBelowScore: 620, maxDTI: 50, paymentsMade: 6, firstPaymentDays: 210, primaryOnly: true },
+    NonQM: { maxLTV: 80, nonOwnerMaxLTV: 75, maxDTI: 50, ownedMonths: 6 }
+  };
+
+  // Milliseconds for a YYYY-MM-DD date, null when missing or malformed
+  function parseIsoDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+    return match ? Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])) : null;
+  }
+
+  // Whole calendar months from one date (ms) to a later one
+  function wholeMonthsBetween(from, to) {
+    const start = new Date(from);
+    const end = new Date(to);
+    const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+    return end.getUTCDate() < start.getUTCDate() ? months - 1 : months;
+  }
+
+  function getCashOutMaxLTV(rules, { occupancy, units, creditScore }) {
+    if (occupancy && occupancy !== 'Primary Residence' && rules.nonOwnerMaxLTV) return rules.nonOwnerMaxLTV;
+    if (units > 1 && rules.multiUnitMaxLTV) return rules.multiUnitMaxLTV;
+    if (rules.reducedBelowScore && creditScore > 0 && creditScore < rules.reducedBelowScore) return rules.reducedMaxLTV;
+    return rules.maxLTV;
+  }
+
+  // Ownership and existing-loan seasoning as of the closing date (today when none is set).
+  // Returns blocking reasons and notes for checks that could not be run.
+  function checkCashOutSeasoning(borrower, rules, { currentLoanBalance }) {
+    const reasons = [];
+    const notes = [];
+    const asOf = parseIsoDate(borrower.closing_date) || parseIsoDate(new Date().toISOString());
+    const acquired = parseIsoDate(borrower.property_acquired_date);
+    const firstPayment = parseIsoDate(borrower.current_loan_first_payment_date);
+
+    if (rules.ownedMonths) {
+      if (acquired === null) {
+        notes.push(`Enter the acquisition date to check ${rules.ownedMonths}-month ownership seasoning`);
+      } else if (wholeMonthsBetween(acquired, asOf) < rules.ownedMonths) {
+        reasons.push(`Owned ${Math.max(0, wholeMonthsBetween(acquired, asOf))} months (${rules.ownedMonths} required)`);
+      }
+    }
+
+    const loanRules = rules.loanSeasoningMonths || rules.paymentsMade || rules.firstPaymentDays;
+    if (loanRules && currentLoanBalance > 0) {
+      if (firstPayment === null) {
+        notes.push('Enter the current loan\'s first payment date to check loan seasoning');
+      } else {
+        const monthsSinceFirstPayment = asOf >= firstPayment ? wholeMonthsBetween(firstPayment, asOf) : -1;
+        // The first payment counts as made once its due date has passed
+        const paymentsMade = monthsSinceFirstPayment + 1;
+        if (rules.loanSeasoningMonths && monthsSinceFirstPayment < rules.loanSeasoningMonths) {
+          reasons.push(`Existing loan seasoned ${Math.max(0, monthsSinceFirstPayment)} months (${rules.loanSeasoningMonths} required)`);
+        }
+        if (rules.paymentsMade && paymentsMade < rules.paymentsMade) {
+          reasons.push(`${paymentsMade} payments made on the existing loan (${rules.paymentsMade} required)`);
+        }
+        const daysSinceFirstPayment = Math.floor((asOf - firstPayment) / 86400000);
+        if (rules.firstPaymentDays && daysSinceFirstPayment < rules.firstPaymentDays) {
+          reasons.push(`${Math.max(0, daysSinceFirstPayment)} days since the first payment due date (${rules.firstPaymentDays} required)`);
+        }
+      }
+    }
+
+    return { reasons, notes };
+  }
+
+  // Maximum cash-out under each program: the lower of its max LTV and the largest loan that keeps DTI
+  // at the program ceiling, less the current payoff. Zero when the program or seasoning rules it out.
+  function calculateCashOutLimits(borrower, { propertyValue, currentLoanBalance, creditScore, totalMonthlyIncome, totalMonthlyDebts,
+    subjectQualifyingRent, subjectRentalIncome, monthlyTaxes, monthlyInsurance, monthlyHOA, qualifyingPaymentFactor, termMonths }) {
+    if (propertyValue <= 0) return null;
+
+    const units = { TWO_UNIT: 2, THREE_UNIT: 3, FOUR_UNIT: 4 }[borrower.property_type] || 1;
+    const isInvestment = borrower.occupancy === 'Investment';
+    // Same payment capacity as max purchase: investment rent offsets the payment instead of adding to income
+    const incomeForMax = totalMonthlyIncome - (isInvestment ? subjectRentalIncome : 0);
+    const rentOffset = isInvestment ? subjectQualifyingRent : 0;
+
+    return ['Conventional', 'FHA', 'VA', 'USDARuralDevelopment', 'NonQM'].map(program => {
+      const rules = CASH_OUT_RULES[program];
+      const limit = {
+        program,
+        programName: PROGRAM_NAMES[program],
+        maxLTV: null,
+        maxDTI: null,
+        maxLoanByLTV: 0,
+        maxLoanByDTI: null,
+        maxCashOut: 0,
+        limitedBy: null,
+        eligible: false,
+        reasons: [],
+        notes: []
+      };
+
+      if (!rules) {
+        limit.reasons.push(`${PROGRAM_NAMES[program]} does not offer cash-out refinancing`);
+        return limit;
+      }
+      if (rules.primaryOnly && borrower.occupancy && borrower.occupancy !== 'Primary Residence') {
+        limit.reasons.push('Primary residence only');
+      }
+
+      const seasoning = checkCashOutSeasoning(borrower, rules, { currentLoanBalance });
+      limit.reasons.push(...seasoning.reasons);
+      limit.notes.push(...seasoning.notes);
+
+      limit.maxLTV = getCashOutMaxLTV(rules, { occupancy: borrower.occupancy, units, creditScore });
+      limit.maxDTI = rules.maxDTI;
+      limit.maxLoanByLTV = propertyValue * limit.maxLTV / 100;
+
+      const maxPaymentForLoan = incomeForMax * rules.maxDTI / 100 - totalMonthlyDebts + rentOffset - monthlyTaxes - monthlyInsurance - monthlyHOA;
+      if (totalMonthlyIncome <= 0) {
+        limit.notes.push('No income entered - DTI not checked');
+      } else if (maxPaymentForLoan <= 0 || qualifyingPaymentFactor <= 0) {
+        limit.maxLoanByDTI = 0;
+      } else {
+        // Financed upfront fee and MI per dollar of base loan, priced at the max LTV
+        const costs = getProgramCosts({ ...borrower, preferred_loan_type: program, refinance_type: 'Cash Out' }, {
+          baseLoanAmount: limit.maxLoanByLTV,
+          ltv: limit.maxLTV,
+          downPaymentPercent: 100 - limit.maxLTV,
+          termMonths,
+          creditScore
+        });
+        const feeMultiplier = 1 + costs.upfrontFeeRate / 100;
+        const miPerDollar = (costs.miBasis === 'total' ? feeMultiplier : 1) * costs.miAnnualRate / 100 / 12;
+        limit.maxLoanByDTI = maxPaymentForLoan / (feeMultiplier * qualifyingPaymentFactor + miPerDollar);
+      }
+
+      const maxLoan = limit.maxLoanByDTI !== null ? Math.min(limit.maxLoanByLTV, limit.maxLoanByDTI) : limit.maxLoanByLTV;
+      limit.limitedBy = limit.maxLoanByDTI !== null && limit.maxLoanByDTI < limit.maxLoanByLTV ? 'DTI' : 'LTV';
+      limit.eligible = limit.reasons.length === 0;
+      limit.maxCashOut = limit.eligible ? Math.max(0, maxLoan - currentLoanBalance) : 0;
+      return limit;
+    });
+  }
+
+  // ============================================
+  // RESERVES
+  // ============================================
+
+  // Share of each asset type's balance that counts toward reserves. Gift funds can close the loan
+  // but never count as reserves.
+  const RESERVE_ASSET_FACTORS = {
+    'Checking': 1.0,
+    'Savings': 1.0,
+    '401(k)/IRA': 0.6,
+    'Stocks/Investments': 0.7,
+    'Gift Funds': 0,
+    'Other': 1.0
+  };
+
+  // Months of subject-property PITI required in reserves. The strictest rule that applies wins;
+  // a borrower-level reserve_months_required (e.g. from AUS findings) overrides all of them.
+  const RESERVE_REQUIREMENTS = {
+    conventionalInvestment: { label: 'Conventional investment property', months: 6 },
+    conventionalSecondHome: { label: 'Conventional second home', months: 2 },
+    conventionalMultiUnit: { label: 'Conventional 2-4 unit', months: 6 },
+    jumbo: { label: 'Jumbo (above conforming limit)', months: 6 },
+    fhaMultiUnit: { label: 'FHA 3-4 unit', months: 3 },
+    vaMultiUnit: { label: 'VA 2-4 unit', months: 6 },
+    nonQM: { label: 'Non-QM', months: 6 },
+    nonQMDSCR: { label: 'Non-QM DSCR', months: 6 }
+  };
+
+  function getReserveRequirement(borrower, { loanProgram, baseLoanAmount, conformingLimit }) {
+    const override = parseFloat(borrower.reserve_months_required);
+    if (!isNaN(override) && override >= 0) {
+      return { months: override, label: 'Loan officer override', isOverride: true };
+    }
+
+    const units = { TWO_UNIT: 2, THREE_UNIT: 3, FOUR_UNIT: 4 }[borrower.property_type] || 1;
+    const applicable = [];
+    if (loanProgram === 'Conventional') {
+      if (borrower.occupancy === 'Investment') applicable.push('conventionalInvestment');
+      if (borrower.occupancy === 'Second Home') applicable.push('conventionalSecondHome');
+      if (units > 1) applicable.push('conventionalMultiUnit');
+      if (baseLoanAmount > conformingLimit) applicable.push('jumbo');
+    } else if (loanProgram === 'FHA' && units > 2) {
+      applicable.push('fhaMultiUnit');
+    } else if (loanProgram === 'VA' && units > 1) {
+      applicable.push('vaMultiUnit');
+    } else if (loanProgram === 'NonQM' && getNonQMMode(borrower, loanProgram) === 'DSCR') {
+      const dscrMonths = parseFloat(borrower.dscr_reserve_months);
+      if (!isNaN(dscrMonths) && dscrMonths >= 0) return { ...RESERVE_REQUIREMENTS.nonQMDSCR, months: dscrMonths };
+      applicable.push('nonQMDSCR');
+    } else if (loanProgram === 'NonQM') {
+      applicable.push('nonQM');
+    }
+
+    return applicable
+      .map(key => RESERVE_REQUIREMENTS[key])
+      .reduce((strictest, rule) => (rule.months > strictest.months ? rule : strictest), { months: 0, label: 'No program minimum' });
+  }
+
+  // Reserves left after closing, in dollars and months of PITI, against the program requirement
+  function calculateReserves(borrower, { assets, liquidAssets, cashToClose, totalPITI, loanProgram, baseLoanAmount, conformingLimit, reoAnalyses }) {
+    let giftFunds = 0;
+    let reserveEligibleAssets = 0;
+    for (const asset of assets) {
+      const balance = parseFloat(asset.balance) || 0;
+      if (asset.type === 'Gift Funds') giftFunds += balance;
+      const factor = RESERVE_ASSET_FACTORS[asset.type];
+      reserveEligibleAssets += balance * (factor === undefined ? 1 : factor);
+    }
+
+    // Gift funds are spent on closing first; the rest of cash to close comes out of reserve-eligible funds
+    const fundsToCloseMet = liquidAssets >= cashToClose;
+    const reservesAfterClose = Math.max(0, reserveEligibleAssets - Math.max(0, cashToClose - giftFunds));
+    const reserveMonths = totalPITI > 0 ? reservesAfterClose / totalPITI : 0;
+
+    const requirement = getReserveRequirement(borrower, { loanProgram, baseLoanAmount, conformingLimit });
+    const otherProperty = requirement.isOverride
+      ? { otherFinancedProperties: 0, otherPropertyReservePercent: 0, otherPropertyReserves: 0 }
+      : calculateOtherPropertyReserves(borrower, reoAnalyses, { loanProgram, baseLoanAmount });
+    const reservesRequired = requirement.months * totalPITI + otherProperty.otherPropertyReserves;
+    const reservesMet = reservesAfterClose >= reservesRequired;
+
+    let assetVerdict = 'Sufficient';
+    if (!fundsToCloseMet) assetVerdict = 'Short funds to close';
+    else if (!reservesMet) assetVerdict = 'Short on reserves';
+
+    return {
+      giftFunds,
+      reserveEligibleAssets,
+      reservesAfterClose,
+      reserveMonths,
+      reserveMonthsRequired: requirement.months,
+      reserveRequirementLabel: requirement.label,
+      ...otherProperty,
+      reservesRequired,
+      fundsToCloseMet,
+      reservesMet,
+      assetVerdict
+    };
+  }
+
+  // ============================================
+  // ASSET DEPLETION
+  // ============================================
+
+  // Months the remaining eligible assets are spread over to derive a monthly income, by program.
+  // Null means the program does not allow asset depletion income.
+  const ASSET_DEPLETION_MONTHS = {
+    Conventional: 240,
+    FHA: 36,
+    VA: null,
+    USDARuralDevelopment: 36,
+    NonQM: 84
+  };
+
+  // Income from assets left after closing: reserve-eligible (haircut) assets, less cash to close
+  // and required reserves, divided over the program's depletion months (asset_depletion_months overrides).
+  // Only added to qualifying income when asset_depletion_included is set.
+  function calculateAssetDepletion(borrower, { loanProgram, reserves }) {
+    const override = parseFloat(borrower.asset_depletion_months);
+    const programMonths = ASSET_DEPLETION_MONTHS[loanProgram];
+    const months = !isNaN(override) && override > 0 ? override : programMonths;
+    const eligibleAssets = Math.max(0, reserves.reservesAfterClose - reserves.reservesRequired);
+    const notes = [];
+
+    if (!months) {
+      notes.push(`${PROGRAM_NAMES[loanProgram] || loanProgram} does not allow asset depletion income`);
+    } else if (eligibleAssets <= 0) {
+      notes.push('No assets left after cash to close and required reserves');
+    }
+
+    const monthlyIncome = months ? eligibleAssets / months : 0;
+    return {
+      reserveEligibleAssets: reserves.reserveEligibleAssets,
+      reservesAfterClose: reserves.reservesAfterClose,
+      reservesRequired: reserves.reservesRequired,
+      eligibleAssets,
+      months: months || null,
+      isOverride: !isNaN(override) && override > 0,
+      monthlyIncome,
+      included: !!Number(borrower.asset_depletion_included) && monthlyIncome > 0,
+      notes
+    };
+  }
+
+  // ============================================
+  // REAL ESTATE OWNED
+  // ============================================
+
+  const REO_STATUSES = { Retain: 'Retain', PendingSale: 'Pending Sale', Sell: 'Sell Before Closing' };
+
+  // Fannie Mae reserves on other financed properties: percent of their combined UPB by financed-property count
+  const OTHER_FINANCED_PROPERTY_RESERVES = [
+    { maxProperties: 4, percent: 2 },
+    { maxProperties: 6, percent: 4 },
+    { maxProperties: 10, percent: 6 }
+  ];
+
+  // Monthly debt or rental income from one owned property. Retained properties carry their PITIA as a
+  // debt unless rented, in which case 75% of rent offsets it; sold and pending-sale payments are excluded.
+  function calculateReoProperty(property) {
+    const liens = parseList(property.liens);
+    const lienBalance = liens.reduce((total, lien) => total + (parseFloat(lien.balance) || 0), 0);
+    const lienPayment = liens.reduce((total, lien) => total + (parseFloat(lien.monthly_payment) || 0), 0);
+    const pitia = lienPayment
+      + (parseFloat(property.taxes_monthly) || 0)
+      + (parseFloat(property.insurance_monthly) || 0)
+      + (parseFloat(property.hoa_monthly) || 0);
+    const marketValue = parseFloat(property.market_value) || 0;
+    const grossRent = parseFloat(property.gross_rent) || 0;
+    const status = REO_STATUSES[property.status] ? property.status : 'Retain';
+    const warnings = [];
+
+    let netRental = null;
+    let monthlyDebt = 0;
+    let monthlyIncome = 0;
+    if (status === 'Sell') {
+      warnings.push('Payment excluded - sale must close before or with the subject loan');
+    } else if (status === 'PendingSale') {
+      warnings.push('Payment excluded - requires an executed sales contract with contingencies cleared');
+    } else if (grossRent > 0) {
+      const rental = calculateRentalIncome({
+        rental_method: 'Lease',
+        rental_gross_rent: grossRent,
+        rental_pitia: pitia,
+        rental_departing: property.occupancy === 'Primary Residence',
+        rental_landlord_history: property.landlord_history
+      });
+      netRental = rental.netRental;
+      warnings.push(...rental.warnings);
+      if (netRental > 0) monthlyIncome = netRental;
+      else if (netRental < 0) monthlyDebt = -netRental;
+    } else {
+      monthlyDebt = pitia;
+    }
+
+    return {
+      address: property.address || '',
+      propertyType: property.property_type || '',
+      occupancy: property.occupancy || '',
+      status,
+      statusLabel: REO_STATUSES[status],
+      marketValue,
+      lienBalance,
+      lienPayment,
+      pitia,
+      equity: marketValue - lienBalance,
+      grossRent,
+      netRental,
+      monthlyDebt,
+      monthlyIncome,
+      warnings
+    };
+  }
+
+  // Extra reserves for retained financed properties other than the subject and the principal residence
+  // (conventional only; AUS findings entered as an override already include them)
+  function calculateOtherPropertyReserves(borrower, reoAnalyses, { loanProgram, baseLoanAmount }) {
+    const none = { otherFinancedProperties: 0, otherPropertyReservePercent: 0, otherPropertyReserves: 0 };
+    if (loanProgram !== 'Conventional') return none;
+
+    const movingOut = borrower.occupancy === 'Primary Residence';
+    const otherFinanced = reoAnalyses.filter(reo => reo.status === 'Retain' && reo.lienBalance > 0
+      && (movingOut || reo.occupancy !== 'Primary Residence'));
+    const financedCount = reoAnalyses.filter(reo => reo.status === 'Retain' && reo.lienBalance > 0).length
+      + (baseLoanAmount > 0 ? 1 : 0);
+    if (otherFinanced.length === 0) return none;
+
+    const tier = OTHER_FINANCED_PROPERTY_RESERVES.find(t => financedCount <= t.maxProperties)
+      || OTHER_FINANCED_PROPERTY_RESERVES[OTHER_FINANCED_PROPERTY_RESERVES.length - 1];
+    const upb = otherFinanced.reduce((total, reo) => total + reo.lienBalance, 0);
+    return {
+      otherFinancedProperties: financedCount,
+      otherPropertyReservePercent: tier.percent,
+      otherPropertyReserves: upb * tier.percent / 100
+    };
+  }
+
+  // ============================================
+  // STUDENT LOANS
+  // ============================================
+
+  const STUDENT_LOAN_STATUSES = ['Repayment', 'IDR', 'Deferred', 'Forbearance'];
+
+  // Qualifying student loan payment under the program's rule. Conventional follows the selected
+  // agency: Fannie Mae takes the documented payment (an IDR plan may be $0) or 1% of the balance;
+  // Freddie Mac takes 0.5% when the payment is $0 or deferred.
+  function calculateStudentLoanPayment(debt, { loanProgram, conventionalInvestor }) {
+    const balance = parseFloat(debt.balance) || 0;
+    const actualPayment = parseFloat(debt.monthly_payment) || 0;
+    const status = STUDENT_LOAN_STATUSES.includes(debt.student_status) ? debt.student_status : 'Repayment';
+    const deferred = status === 'Deferred' || status === 'Forbearance';
+    const warnings = [];
+    if (status === 'IDR' && debt.student_loan_type === 'Private') {
+      warnings.push('Income-driven repayment plans only apply to federal student loans');
+    }
+
+    let qualifyingPayment;
+    let rule;
+    if (loanProgram === 'FHA') {
+      rule = 'FHA: documented payment, or 0.5% of balance if $0';
+      qualifyingPayment = actualPayment > 0 && !deferred ? actualPayment : balance * 0.005;
+    } else if (loanProgram === 'VA') {
+      const deferredMonths = parseInt(debt.deferred_months_remaining) || 0;
+      if (deferred && deferredMonths >= 12) {
+        rule = 'VA: deferred 12+ months past closing, excluded';
+        qualifyingPayment = 0;
+      } else {
+        rule = 'VA: 5% of balance / 12, or the documented payment if higher';
+        qualifyingPayment = Math.max(deferred ? 0 : actualPayment, balance * 0.05 / 12);
+      }
+    } else if (loanProgram === 'USDARuralDevelopment') {
+      rule = 'USDA: documented fixed payment, or 0.5% of balance';
+      qualifyingPayment = actualPayment > 0 && status === 'Repayment' ? actualPayment : balance * 0.005;
+    } else if (loanProgram === 'Conventional' && conventionalInvestor === 'Freddie Mac') {
+      rule = 'Freddie Mac: documented payment, or 0.5% of balance if $0 or deferred';
+      qualifyingPayment = actualPayment > 0 && !deferred ? actualPayment : balance * 0.005;
+    } else {
+      rule = 'Fannie Mae: documented payment (IDR may be $0), or 1% of balance';
+      if (deferred || (actualPayment === 0 && status !== 'IDR')) qualifyingPayment = balance * 0.01;
+      else qualifyingPayment = actualPayment;
+    }
+
+    return {
+      creditor: debt.creditor || '',
+      loanType: debt.student_loan_type || 'Federal',
+      status,
+      balance,
+      actualPayment,
+      qualifyingPayment,
+      rule,
+      warnings
+    };
+  }
+
+  // ============================================
+  // DEBT EXCLUSIONS
+  // ============================================
+
+  const DEBT_EXCLUSIONS = {
+    PaidAtClosing: 'Paid off at or before closing',
+    FewerThan10Payments: 'Fewer than 10 payments remaining',
+    PaidByBusiness: 'Paid by business (12 months evidence)',
+    AuthorizedUser: 'Authorized user account',
+    PaidByOther: 'Co-signed, paid by other party (12 months evidence)'
+  };
+
+  // Whether a flagged debt's payment leaves DTI under the program's rules
+  function getDebtExclusion(debt, { loanProgram, monthlyIncome, payment }) {
+    const exclusion = DEBT_EXCLUSIONS[debt.exclusion] ? debt.exclusion : null;
+    if (!exclusion) return { exclusion: null, excluded: false, reason: null, warning: null };
+
+    const reason = DEBT_EXCLUSIONS[exclusion];
+    if (exclusion === 'FewerThan10Payments') {
+      if (['Credit Card', 'Current Rent/Mortgage'].includes(debt.type)) {
+        return { exclusion, excluded: false, reason, warning: 'Only installment debts can be excluded for payments remaining' };
+      }
+      if (loanProgram === 'FHA' && payment > monthlyIncome * 0.05) {
+        return { exclusion, excluded: false, reason, warning: 'FHA: payment exceeds 5% of gross monthly income, so it still counts' };
+      }
+    }
+    return { exclusion, excluded: true, reason, warning: null };
+  }
+
+  // ============================================
+  // CREDIT SCORES
+  // ============================================
+
+  const CREDIT_BUREAUS = ['experian', 'equifax', 'transunion'];
+
+  // Middle of three bureau scores, lower of two, or the only one
+  function getMiddleScore(scores) {
+    const valid = scores.filter(score => score > 0).sort((a, b) => a - b);
+    if (valid.length === 0) return 0;
+    if (valid.length === 3) return valid[1];
+    return valid[0];
+  }
+
+  // Tri-merge scores for one borrower ('' or 'co_' prefix), falling back to the single entered score
+  function getBorrowerCreditScores(borrower, prefix) {
+    const bureauScores = {};
+    for (const bureau of CREDIT_BUREAUS) {
+      bureauScores[bureau] = parseInt(borrower[`${prefix}credit_score_${bureau}`]) || 0;
+    }
+    const hasTriMerge = CREDIT_BUREAUS.some(bureau => bureauScores[bureau] > 0);
+    const middleScore = hasTriMerge
+      ? getMiddleScore(Object.values(bureauScores))
+      : parseInt(borrower[`${prefix}credit_score`]) || 0;
+    return { bureauScores, middleScore };
+  }
+
+  // Representative score: average of the borrowers' middle scores for Fannie Mae conventional loans,
+  // the lowest middle score everywhere else
+  function calculateCreditScores(borrower, { hasCoBorrower, loanProgram }) {
+    const primary = getBorrowerCreditScores(borrower, '');
+    const co = hasCoBorrower ? getBorrowerCreditScores(borrower, 'co_') : { bureauScores: {}, middleScore: 0 };
+    const middles = [primary.middleScore, co.middleScore].filter(score => score > 0);
+    const averageMedian = loanProgram === 'Conventional' && borrower.conventional_investor !== 'Freddie Mac';
+
+    let creditScore = 0;
+    if (middles.length > 0) {
+      creditScore = averageMedian
+        ? Math.round(middles.reduce((total, score) => total + score, 0) / middles.length)
+        : Math.min(...middles);
+    }
+
+    return {
+      creditScore,
+      creditScoreMethod: averageMedian && middles.length > 1 ? 'Average of middle scores' : 'Lowest middle score',
+      bureauScores: primary.bureauScores,
+      coBureauScores: co.bureauScores,
+      middleScore: primary.middleScore,
+      coMiddleScore: co.middleScore
+    };
+  }
+
+  // ============================================
+  // VA RESIDUAL INCOME
+  // ============================================
+
+  // VA Pamphlet 26-7 residual income table: monthly residual by loan tier, family size (1-5) and region
+  const VA_RESIDUAL_INCOME_TABLE = {
+    under80k: {
+      Northeast: [390, 654, 788, 888, 921],
+      Midwest: [382, 641, 772, 868, 902],
+      South: [382, 641, 772, 868, 902],
+      West: [425, 713, 859, 967, 1004],
+      perAdditionalMember: 75
+    },
+    '80kAndAbove': {
+      Northeast: [450, 755, 909, 1025, 1062],
+      Midwest: [441, 738, 889, 1003, 1039],
+      South: [441, 738, 889, 1003, 1039],
+      West: [491, 823, 990, 1117, 1158],
+      perAdditionalMember: 80
+    }
+  };
+  const VA_RESIDUAL_MAX_FAMILY_SIZE = 7;
+  // Above 41% DTI the residual must be at least 120% of the table figure
+  const VA_RESIDUAL_DTI_THRESHOLD = 41;
+  const VA_RESIDUAL_HIGH_DTI_FACTOR = 1.2;
+  // Maintenance and utilities per square foot of living area per month
+  const VA_MAINTENANCE_PER_SQUARE_FOOT = 0.14;
+  const VA_DEFAULT_SQUARE_FEET = 1800;
+
+  const VA_REGIONS = {
+    Northeast: ['CT', 'ME', 'MA', 'NH', 'NJ', 'NY', 'PA', 'RI', 'VT'],
+    Midwest: ['IL', 'IN', 'IA', 'KS', 'MI', 'MN', 'MO', 'NE', 'ND', 'OH', 'SD', 'WI'],
+    South: ['AL', 'AR', 'DE', 'DC', 'FL', 'GA', 'KY', 'LA', 'MD', 'MS', 'NC', 'OK', 'PR', 'SC', 'TN', 'TX', 'VA', 'WV'],
+    West: ['AK', 'AZ', 'CA', 'CO', 'HI', 'ID', 'MT', 'NV', 'NM', 'OR', 'UT', 'WA', 'WY']
+  };
+
+  // 2026 federal brackets: [upper bound of taxable income, rate %]
+  const FEDERAL_TAX_BRACKETS = {
+    single: [[12400, 10], [50400, 12], [105700, 22], [201775, 24], [256225, 32], [640600, 35], [Infinity, 37]],
+    joint: [[24800, 10], [100800, 12], [211400, 22], [403550, 24], [512450, 32], [768700, 35], [Infinity, 37]]
+  };
+  const FEDERAL_STANDARD_DEDUCTION = { single: 16100, joint: 32200 };
+  // Social Security on wages up to the wage base plus Medicare on all wages
+  const SOCIAL_SECURITY_RATE = 6.2;
+  const SOCIAL_SECURITY_WAGE_BASE = 184500;
+  const MEDICARE_RATE = 1.45;
+  // Flat approximation of each state's income tax on gross income (Utah's rate when the state is unknown)
+  const STATE_INCOME_TAX_RATES = {
+    UT: 4.5, AZ: 2.5, CA: 6.0, CO: 4.4, ID: 5.3, NM: 4.9, MT: 5.9, OR: 8.75,
+    NV: 0, WY: 0, TX: 0, WA: 0, FL: 0, AK: 0, SD: 0, TN: 0, NH: 0,
+    default: 4.5
+  };
+
+  // Monthly federal, state and FICA withholding estimated from annual gross income (standard deduction, no credits)
+  function estimateIncomeTaxes({ annualIncome, annualWages, filingStatus, stateCode }) {
+    const taxableIncome = Math.max(0, annualIncome - FEDERAL_STANDARD_DEDUCTION[filingStatus]);
+    let federal = 0;
+    let lowerBound = 0;
+    for (const [upperBound, rate] of FEDERAL_TAX_BRACKETS[filingStatus]) {
+      if (taxableIncome <= lowerBound) break;
+      federal += (Math.min(taxableIncome, upperBound) - lowerBound) * rate / 100;
+      lowerBound = upperBound;
+    }
+
+    const stateRate = STATE_INCOME_TAX_RATES[stateCode] ?? STATE_INCOME_TAX_RATES.default;
+    const fica = Math.min(annualWages, SOCIAL_SECURITY_WAGE_BASE) * SOCIAL_SECURITY_RATE / 100 + annualWages * MEDICARE_RATE / 100;
+
+    return {
+      federalTax: federal / 12,
+      stateTax: annualIncome * stateRate / 100 / 12,
+      fica: fica / 12
+    };
+  }
+
+  // VA residual income: what is left each month after taxes, the housing payment, maintenance/utilities and
+  // debts, compared to the regional table for the family size and loan amount
+  function calculateVAResidualIncome(borrower, { baseLoanAmount, totalMonthlyIncome, nonTaxableIncome = 0, monthlyWages, housingPayment, totalMonthlyDebts, backEndDTI }) {
+    const stateCode = getStateCode(borrower.property_state);
+    const region = Object.keys(VA_REGIONS).find(name => VA_REGIONS[name].includes(stateCode)) || 'West';
+    const familySize = 1 + (parseInt(borrower.has_coborrower) ? 1 : 0) + (parseInt(borrower.dependents) || 0);
+    const loanTier = baseLoanAmount < 80000 ? 'under80k' : '80kAndAbove';
+    const table = VA_RESIDUAL_INCOME_TABLE[loanTier];
+    const tableSize = Math.min(familySize, VA_RESIDUAL_MAX_FAMILY_SIZE);
+    const baseRequirement = table[region][Math.min(tableSize, 5) - 1] + Math.max(0, tableSize - 5) * table.perAdditionalMember;
+    const dtiOverThreshold = backEndDTI > VA_RESIDUAL_DTI_THRESHOLD;
+    const requiredResidual = dtiOverThreshold ? baseRequirement * VA_RESIDUAL_HIGH_DTI_FACTOR : baseRequirement;
+
+    const enteredSquareFeet = parseFloat(borrower.property_square_feet) || 0;
+    const squareFeet = enteredSquareFeet > 0 ? enteredSquareFeet : VA_DEFAULT_SQUARE_FEET;
+    const maintenance = squareFeet * VA_MAINTENANCE_PER_SQUARE_FOOT;
+
+    const taxes = estimateIncomeTaxes({
+      annualIncome: (totalMonthlyIncome - nonTaxableIncome) * 12,
+      annualWages: monthlyWages * 12,
+      filingStatus: borrower.marital_status === 'Married' ? 'joint' : 'single',
+      stateCode
+    });
+    const totalTaxes = taxes.federalTax + taxes.stateTax + taxes.fica;
+    const residualIncome = totalMonthlyIncome - totalTaxes - housingPayment - maintenance - totalMonthlyDebts;
+
+    return {
+      region,
+      familySize,
+      loanTier: loanTier === 'under80k' ? 'Under $80,000' : '$80,000 and above',
+      baseRequirement,
+      dtiOverThreshold,
+      requiredResidual,
+      squareFeet,
+      squareFeetAssumed: enteredSquareFeet <= 0,
+      maintenance,
+      ...taxes,
+      totalTaxes,
+      housingPayment,
+      monthlyDebts: totalMonthlyDebts,
+      residualIncome,
+      margin: residualIncome - requiredResidual,
+      passed: residualIncome >= requiredResidual
+    };
+  }
+
+  // ============================================
+  // NON-QM QUALIFICATION
+  // ============================================
+
+  // Non-QM loans qualify on full documentation (DTI), on the property's rent alone (DSCR), or on
+  // income from bank statement deposits in place of tax returns
+  const NONQM_MODES = { DSCR: 'DSCR', BankStatement: 'Bank Statement' };
+  // Minimum market rent / PITIA unless set on the borrower (dscr_reserve_months likewise overrides the
+  // Non-QM DSCR reserve requirement)
+  const DSCR_DEFAULTS = { minRatio: 1.0 };
+  const BANK_STATEMENT_DEFAULTS = { months: 12, expenseFactor: 50, ownershipPercent: 100 };
+
+  function getNonQMMode(borrower, loanProgram) {
+    return loanProgram === 'NonQM' && NONQM_MODES[borrower.nonqm_mode] ? borrower.nonqm_mode : null;
+  }
+
+  // Average monthly business deposits over 12 or 24 months, less the expense factor, times ownership
+  function calculateBankStatementIncome(borrower) {
+    const months = parseInt(borrower.bank_statement_months) === 24 ? 24 : BANK_STATEMENT_DEFAULTS.months;
+    const deposits = parseList(borrower.bank_statement_deposits).slice(0, months).map(amount => parseFloat(amount) || 0);
+    const setting = (value, fallback) => (value === null || value === undefined || value === '' || isNaN(parseFloat(value)) ? fallback : parseFloat(value));
+    const expenseFactor = setting(borrower.bank_statement_expense_factor, BANK_STATEMENT_DEFAULTS.expenseFactor);
+    const ownershipPercent = setting(borrower.bank_statement_ownership_percent, BANK_STATEMENT_DEFAULTS.ownershipPercent);
+
+    const monthsEntered = deposits.filter(amount => amount > 0).length;
+    const totalDeposits = deposits.reduce((sum, amount) => sum + amount, 0);
+    const averageMonthlyDeposits = totalDeposits / months;
+    const qualifyingIncome = averageMonthlyDeposits * (1 - expenseFactor / 100) * ownershipPercent / 100;
+
+    const warnings = [];
+    if (monthsEntered < months) warnings.push(`${monthsEntered} of ${months} months of deposits entered`);
+
+    return {
+      months,
+      monthsEntered,
+      totalDeposits,
+      averageMonthlyDeposits,
+      expenseFactor,
+      ownershipPercent,
+      qualifyingIncome,
+      warnings
+    };
+  }
+
+  // Debt service coverage: market rent over the full PITIA, against the minimum ratio
+  function calculateDSCR(borrower, { pitia }) {
+    const marketRent = parseFloat(borrower.subject_rent_monthly) || 0;
+    const minRatio = parseFloat(borrower.dscr_min_ratio) > 0 ? parseFloat(borrower.dscr_min_ratio) : DSCR_DEFAULTS.minRatio;
+    const ratio = pitia > 0 ? marketRent / pitia : 0;
+
+    const reasons = [];
+    if (borrower.occupancy !== 'Investment') reasons.push('DSCR loans are for investment properties only');
+    if (marketRent <= 0) reasons.push('Enter the market rent (lease or appraiser rent schedule)');
+    else if (ratio < minRatio) reasons.push(`DSCR ${ratio.toFixed(2)} is below the ${minRatio.toFixed(2)} minimum`);
+
+    return {
+      marketRent,
+      pitia,
+      ratio,
+      minRatio,
+      // Rent needed to reach the minimum ratio
+      breakevenRent: pitia * minRatio,
+      passed: reasons.length === 0,
+      reasons
+    };
+  }
+
+  // ============================================
+  // EMPLOYMENT & RESIDENCE HISTORY
+  // ============================================
+
+  // Underwriting wants two years of employment and residence history; unexplained gaps longer
+  // than 30 days need a letter of explanation.
+  const HISTORY_REQUIRED_MONTHS = 24;
+  const HISTORY_GAP_DAYS = 30;
+
+  // Same day of the month, a number of months later (negative for earlier)
+  function shiftMonths(date, months) {
+    const d = new Date(date);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, d.getUTCDate());
+  }
+
+  function formatIsoDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  function timeAtMonths(years, months) {
+    return (parseInt(years) || 0) * 12 + (parseInt(months) || 0);
+  }
+
+  // Start and end (ms) of one job. Current jobs run to asOf; a missing start is counted back from
+  // the end by the time at job, and a previous job without an end date ends that long after it started.
+  function getEmploymentSpan(emp, asOf) {
+    const durationMonths = timeAtMonths(emp.years_at_job, emp.months_at_job);
+    let start = parseIsoDate(emp.start_date);
+    let end = emp.is_previous ? parseIsoDate(emp.end_date) : asOf;
+    if (end === null && start !== null && durationMonths > 0) end = shiftMonths(start, durationMonths);
+    if (start === null && end !== null && durationMonths > 0) start = shiftMonths(end, -durationMonths);
+    return { start, end, durationMonths };
+  }
+
+  // Employment timeline for one borrower: months of history, gaps over 30 days and job changes in the last two years
+  function validateEmploymentHistory(employers, asOf) {
+    const windowStart = shiftMonths(asOf, -HISTORY_REQUIRED_MONTHS);
+    const jobs = employers
+      .filter(emp => emp.employer_name || emp.start_date || timeAtMonths(emp.years_at_job, emp.months_at_job) > 0)
+      .map(emp => ({ employerName: emp.employer_name || '', isPrevious: !!emp.is_previous, ...getEmploymentSpan(emp, asOf) }));
+    const dated = jobs.filter(job => job.start !== null && job.end !== null).sort((a, b) => a.start - b.start);
+
+    const gaps = [];
+    const jobChanges = [];
+    let coveredUntil = null;
+    dated.forEach((job, i) => {
+      if (coveredUntil !== null && job.start - coveredUntil > HISTORY_GAP_DAYS * 86400000 && job.start > windowStart) {
+        gaps.push({ from: formatIsoDate(coveredUntil), to: formatIsoDate(job.start), days: Math.round((job.start - coveredUntil) / 86400000) });
+      }
+      if (i > 0 && job.start > windowStart) {
+        jobChanges.push({ from: dated[i - 1].employerName, to: job.employerName, date: formatIsoDate(job.start) });
+      }
+      coveredUntil = coveredUntil === null ? job.end : Math.max(coveredUntil, job.end);
+    });
+    // Not working now
+    if (coveredUntil !== null && asOf - coveredUntil > HISTORY_GAP_DAYS * 86400000) {
+      gaps.push({ from: formatIsoDate(coveredUntil), to: formatIsoDate(asOf), days: Math.round((asOf - coveredUntil) / 86400000), current: true });
+    }
+
+    const spanMonths = dated.length ? Math.max(0, wholeMonthsBetween(dated[0].start, asOf)) : 0;
+    const months = Math.max(spanMonths, jobs.reduce((total, job) => total + job.durationMonths, 0));
+
+    const warnings = [];
+    if (months < HISTORY_REQUIRED_MONTHS) {
+      warnings.push(`Only ${months} months of employment history - add a prior employer to cover ${HISTORY_REQUIRED_MONTHS} months`);
+    }
+    gaps.forEach(gap => warnings.push(gap.current
+      ? `Not employed since ${gap.from} (${gap.days} days) - letter of explanation needed`
+      : `Employment gap of ${gap.days} days (${gap.from} to ${gap.to}) - letter of explanation needed`));
+    jobChanges.forEach(change => warnings.push(`Job change on ${change.date}${change.from ? ` from ${change.from}` : ''}${change.to ? ` to ${change.to}` : ''} - confirm same line of work`));
+
+    return {
+      jobs: jobs.map(job => ({
+        employerName: job.employerName,
+        isPrevious: job.isPrevious,
+        startDate: job.start !== null ? formatIsoDate(job.start) : null,
+        endDate: job.end !== null ? formatIsoDate(job.end) : null,
+        months: job.start !== null && job.end !== null ? Math.max(0, wholeMonthsBetween(job.start, job.end)) : job.durationMonths
+      })),
+      months,
+      gaps,
+      jobChanges,
+      complete: months >= HISTORY_REQUIRED_MONTHS && gaps.length === 0,
+      warnings
+    };
+  }
+
+  // Residence timeline from time at the current address plus previous addresses. Addresses carry a
+  // length of stay rather than dates, so they are taken as back to back.
+  function validateResidenceHistory(currentAddress, previousResidences) {
+    const addresses = [
+      { address: currentAddress.address, months: timeAtMonths(currentAddress.years, currentAddress.months), current: true },
+      ...previousResidences.map(residence => ({
+        address: [residence.street_address, residence.city, residence.state].filter(Boolean).join(', '),
+        months: timeAtMonths(residence.years, residence.months),
+        current: false
+      }))
+    ];
+    const months = addresses.reduce((total, address) => total + address.months, 0);
+
+    const warnings = [];
+    if (months < HISTORY_REQUIRED_MONTHS) {
+      warnings.push(`Only ${months} months of residence history - add previous addresses to cover ${HISTORY_REQUIRED_MONTHS} months`);
+    }
+    return { addresses, months, complete: months >= HISTORY_REQUIRED_MONTHS, warnings };
+  }
+
+  // Employment and residence history for the borrower and any co-borrower
+  function validateHistory(borrower, asOf) {
+    const people = [{ label: 'Borrower', prefix: '', residences: 'previous_residences' }];
+    if (Number(borrower.has_coborrower)) people.push({ label: 'Co-Borrower', prefix: 'co_', residences: 'co_previous_residences' });
+
+    return people.map(({ label, prefix, residences }) => {
+      const employment = validateEmploymentHistory(parseList(borrower[`${prefix}employers`]), asOf);
+      const residence = validateResidenceHistory({
+        address: [borrower[`${prefix}street_address`], borrower[`${prefix}city`], borrower[`${prefix}state`]].filter(Boolean).join(', '),
+        years: borrower[`${prefix}address_years`],
+        months: borrower[`${prefix}address_months`]
+      }, parseList(borrower[residences]));
+      return {
+        borrower: label,
+        employment,
+        residence,
+        complete: employment.complete && residence.complete
+      };
+    });
+  }
+
+  // ============================================
+  // BORROWER METRICS
+  // ============================================
+
+  // Calculate all borrower metrics
+  function calculateBorrowerMetrics(borrower) {
+    const hasCoBorrower = !!Number(borrower.has_coborrower);
+    const employers = parseList(borrower.employers);
+    const otherIncome = parseList(borrower.other_income);
+    const coEmployers = hasCoBorrower ? parseList(borrower.co_employers) : [];
+    const coOtherIncome = hasCoBorrower ? parseList(borrower.co_other_income) : [];
+    const assets = parseList(borrower.assets);
+    const debts = parseList(borrower.debts);
+    const reoAnalyses = parseList(borrower.reo_properties).map(calculateReoProperty);
+    const reoRentalIncome = reoAnalyses.reduce((total, reo) => total + reo.monthlyIncome, 0);
+    const reoMonthlyDebt = reoAnalyses.reduce((total, reo) => total + reo.monthlyDebt, 0);
+
+    // 1084 worksheets for current self-employed businesses
+    const selfEmploymentAnalyses = [
+      ...employers.map(emp => ({ emp, borrower: 'Borrower' })),
+      ...coEmployers.map(emp => ({ emp, borrower: 'Co-Borrower' }))
+    ]
+      .filter(({ emp }) => !emp.is_previous && usesSelfEmploymentWorksheet(emp))
+      .map(({ emp, borrower }) => ({ borrower, ...calculateSelfEmploymentIncome(emp) }));
+
+    // Rental properties: net income counts as other income, net losses as a monthly debt
+    const rentalIncomeAnalyses = [
+      ...otherIncome.map(inc => ({ inc, borrower: 'Borrower' })),
+      ...coOtherIncome.map(inc => ({ inc, borrower: 'Co-Borrower' }))
+    ]
+      .filter(({ inc }) => usesRentalWorksheet(inc))
+      .map(({ inc, borrower }) => ({ borrower, ...calculateRentalIncome(inc) }));
+    const sumRentalIncome = who => rentalIncomeAnalyses
+      .filter(r => r.borrower === who && r.netRental > 0)
+      .reduce((total, r) => total + r.netRental, 0);
+    const rentalLoss = rentalIncomeAnalyses
+      .filter(r => r.netRental < 0)
+      .reduce((total, r) => total - r.netRental, 0);
+
+    // LES worksheets for current military employers; BAH, BAS and other non-taxable income are grossed up
+    const nonTaxableGrossUpPercent = getNonTaxableGrossUpPercent(borrower);
+    // Dated checks (ETS, employment history) run as of closing, else today
+    const asOf = parseIsoDate(borrower.closing_date) || parseIsoDate(new Date().toISOString());
+    const militaryIncomeAnalyses = [
+      ...employers.map(emp => ({ emp, borrower: 'Borrower' })),
+      ...coEmployers.map(emp => ({ emp, borrower: 'Co-Borrower' }))
+    ]
+      .filter(({ emp }) => !emp.is_previous && usesLESWorksheet(emp))
+      .map(({ emp, borrower }) => ({ borrower, ...calculateMilitaryIncome(emp, { grossUpPercent: nonTaxableGrossUpPercent, asOf }) }));
+    const militaryNonTaxableIncome = militaryIncomeAnalyses.reduce((total, m) => total + m.nonTaxableIncome, 0);
+
+    // Income
+    const monthlyEmploymentIncome = sumEmploymentIncome(employers, nonTaxableGrossUpPercent);
+    const coMonthlyEmploymentIncome = sumEmploymentIncome(coEmployers, nonTaxableGrossUpPercent);
+    const monthlyOtherIncome = sumOtherIncome(otherIncome, nonTaxableGrossUpPercent) + sumRentalIncome('Borrower');
+    const coMonthlyOtherIncome = sumOtherIncome(coOtherIncome, nonTaxableGrossUpPercent) + sumRentalIncome('Co-Borrower');
+    const nonTaxableIncome = militaryNonTaxableIncome + sumNonTaxableOtherIncome(otherIncome) + sumNonTaxableOtherIncome(coOtherIncome);
+    const nonTaxableGrossUp = nonTaxableIncome * nonTaxableGrossUpPercent / 100;
+
+    // Calculate assets
+    let totalAssets = 0;
+    let liquidAssets = 0;
+    for (const asset of assets) {
+      const balance = parseFloat(asset.balance) || 0;
+      totalAssets += balance;
+      if (!['401(k)/IRA'].includes(asset.type)) {
+        liquidAssets += balance;
+      }
+    }
+
+    // Calculate debts (student loans at their program qualifying payment, flagged debts excluded per program)
+    const debtRules = {
+      loanProgram: getLoanProgram(borrower),
+      conventionalInvestor: borrower.conventional_investor,
+      monthlyIncome: monthlyEmploymentIncome + coMonthlyEmploymentIncome + monthlyOtherIncome + coMonthlyOtherIncome
+    };
+    const studentLoanAnalyses = [];
+    const debtAnalyses = [];
+    let totalMonthlyDebts = rentalLoss + reoMonthlyDebt;
+    let debtPayoffs = 0;
+    for (const debt of debts) {
+      const actualPayment = parseFloat(debt.monthly_payment) || 0;
+      let payment = actualPayment;
+      if (debt.type === 'Student Loans') {
+        const studentLoan = calculateStudentLoanPayment(debt, debtRules);
+        studentLoanAnalyses.push(studentLoan);
+        payment = studentLoan.qualifyingPayment;
+      }
+
+      const exclusion = getDebtExclusion(debt, { ...debtRules, payment });
+      const balance = parseFloat(debt.balance) || 0;
+      const payoffAmount = exclusion.excluded && exclusion.exclusion === 'PaidAtClosing' ? balance : 0;
+      debtPayoffs += payoffAmount;
+      if (!exclusion.excluded) totalMonthlyDebts += payment;
+
+      debtAnalyses.push({
+        type: debt.type || '',
+        creditor: debt.creditor || '',
+        balance,
+        actualPayment,
+        qualifyingPayment: exclusion.excluded ? 0 : payment,
+        ...exclusion,
+        payoffAmount
+      });
+    }
+    const excludedDebts = debtAnalyses.filter(d => d.excluded);
+
+    // Property calculations - handle Purchase vs Refinance
+    const loanPurpose = borrower.loan_purpose || 'Purchase';
+    let loanAmount = 0;
+    let ltv = 0;
+    let propertyValue = 0;
+    let downPaymentAmount = 0;
+
+    if (loanPurpose === 'Refinance') {
+      // Refinance: loan amount based on current balance + cash out
+      propertyValue = parseFloat(borrower.property_value) || 0;
+      const currentLoanBalance = parseFloat(borrower.current_loan_balance) || 0;
+      const cashOutAmount = parseFloat(borrower.cash_out_amount) || 0;
+      loanAmount = currentLoanBalance + cashOutAmount;
+      ltv = propertyValue > 0 ? (loanAmount / propertyValue) * 100 : 0;
+    } else {
+      // Purchase: loan amount = purchase price - down payment
+      propertyValue = parseFloat(borrower.purchase_price) || 0;
+      downPaymentAmount = parseFloat(borrower.down_payment_amount) || 0;
+      loanAmount = Math.max(0, propertyValue - downPaymentAmount);
+      ltv = propertyValue > 0 ? (loanAmount / propertyValue) * 100 : 0;
+    }
+
+    // Program-specific upfront fee (financed) and mortgage insurance
+    const downPaymentPercent = loanPurpose === 'Refinance'
+      ? Math.max(0, 100 - ltv)
+      : (propertyValue > 0 ? (downPaymentAmount / propertyValue) * 100 : 0);
+    const creditScores = calculateCreditScores(borrower, { hasCoBorrower, loanProgram: getLoanProgram(borrower) });
+    const { creditScore } = creditScores;
+
+    // Calculate monthly PITI
+    const interestRate = parseFloat(borrower.interest_rate) || 7.0;
+    const loanStructure = getLoanStructure(borrower, interestRate);
+    const numPayments = loanStructure.termMonths;
+
+    const programCosts = getProgramCosts(borrower, {
+      baseLoanAmount: loanAmount,
+      ltv,
+      downPaymentPercent,
+      termMonths: numPayments,
+      creditScore
+    });
+    const upfrontFee = loanAmount > 0 ? loanAmount * programCosts.upfrontFeeRate / 100 : 0;
+    const loanLimitCheck = checkLoanLimits(borrower, { loanProgram: programCosts.program, baseLoanAmount: loanAmount });
+    const totalLoanAmount = loanAmount + upfrontFee;
+
+    // Down payment assistance second lien (purchase only), counted in CLTV, payment and cash to close
+    const dpaProgram = loanPurpose !== 'Refinance' ? DPA_PROGRAMS.find(p => p.id === borrower.dpa_program) : null;
+    const secondLien = dpaProgram
+      ? calculateSecondLien(dpaProgram, { totalLoanAmount, noteRate: interestRate, requestedAmount: parseFloat(borrower.dpa_amount) || 0 })
+      : null;
+    const secondLienAmount = secondLien ? secondLien.amount : 0;
+    const secondLienPayment = secondLien ? secondLien.payment : 0;
+    const cltv = propertyValue > 0 ? ((loanAmount + secondLienAmount) / propertyValue) * 100 : 0;
+
+    // Initial payment at the note rate (interest only during the IO period)
+    let principalAndInterest = 0;
+    if (totalLoanAmount > 0) {
+      principalAndInterest = loanStructure.interestOnly
+        ? totalLoanAmount * interestRate / 100 / 12
+        : totalLoanAmount * getPaymentFactor(interestRate, numPayments);
+    }
+
+    // Qualifying payment: qualifying rate, amortized over the post-IO term
+    const qualifyingPaymentFactor = getPaymentFactor(loanStructure.qualifyingRate, loanStructure.amortizingMonths);
+    const qualifyingPrincipalAndInterest = totalLoanAmount > 0 ? totalLoanAmount * qualifyingPaymentFactor : 0;
+
+    const miBaseAmount = programCosts.miBasis === 'total' ? totalLoanAmount : loanAmount;
+    const monthlyMI = miBaseAmount > 0 ? miBaseAmount * programCosts.miAnnualRate / 100 / 12 : 0;
+
+    const monthlyTaxes = (parseFloat(borrower.property_taxes_annual) || 0) / 12;
+    const monthlyInsurance = (parseFloat(borrower.insurance_annual) || 0) / 12;
+    // Figures pre-filled by the estimator rather than taken from a tax record or insurance quote
+    const taxesEstimated = !!parseInt(borrower.property_taxes_estimated) && monthlyTaxes > 0;
+    const insuranceEstimated = !!parseInt(borrower.insurance_estimated) && monthlyInsurance > 0;
+    const monthlyHOA = parseFloat(borrower.hoa_monthly) || 0;
+
+    const totalPITI = principalAndInterest + monthlyMI + monthlyTaxes + monthlyInsurance + monthlyHOA + secondLienPayment;
+    const qualifyingPITI = qualifyingPrincipalAndInterest + monthlyMI + monthlyTaxes + monthlyInsurance + monthlyHOA + secondLienPayment;
+
+    const buydown = calculateBuydown(borrower, { totalLoanAmount, noteRate: interestRate, principalAndInterest, loanStructure });
+    const interestedPartyLimitPercent = loanPurpose !== 'Refinance'
+      ? getInterestedPartyLimitPercent(programCosts.program, { ltv, occupancy: borrower.occupancy })
+      : null;
+
+    // Cash to close from the itemized closing cost worksheet
+    const closingCostWorksheet = calculateClosingCosts(borrower, {
+      loanAmount,
+      totalLoanAmount,
+      propertyValue,
+      noteRate: interestRate,
+      monthlyTaxes,
+      monthlyInsurance,
+      isPurchase: loanPurpose !== 'Refinance',
+      buydown,
+      interestedPartyLimitPercent,
+      excludeSellerClosingCosts: INTERESTED_PARTY_EXCLUDES_CLOSING_COSTS.includes(programCosts.program)
+    });
+    const { closingCosts, prepaidItems, totalCredits: closingCredits } = closingCostWorksheet;
+    const concessionWarnings = [];
+    if (closingCostWorksheet.interestedPartyExcess > 0) {
+      concessionWarnings.push(`Seller contributions of $${Math.round(closingCostWorksheet.interestedPartyContributions).toLocaleString()} exceed the ${interestedPartyLimitPercent}% interested-party limit by $${Math.round(closingCostWorksheet.interestedPartyExcess).toLocaleString()} - the excess is not credited`);
+    }
+    let cashToClose = 0;
+
+    if (loanPurpose === 'Refinance') {
+      // For refinance, only closing costs (can potentially be rolled into loan)
+      cashToClose = closingCosts + prepaidItems - closingCredits;
+    } else {
+      // For purchase, down payment + closing costs + prepaids, less credits and any DPA second lien
+      cashToClose = Math.max(0, downPaymentAmount + closingCosts + prepaidItems - closingCredits - secondLienAmount);
+    }
+    // Debts flagged as paid off at closing are paid from the borrower's funds
+    cashToClose += debtPayoffs;
+
+    const reserves = calculateReserves(borrower, {
+      assets,
+      liquidAssets,
+      cashToClose,
+      totalPITI,
+      loanProgram: programCosts.program,
+      baseLoanAmount: loanAmount,
+      conformingLimit: loanLimitCheck.conformingLimit,
+      reoAnalyses
+    });
+
+    // Subject property rent (2-4 unit or investment) adds to income or offsets the housing payment
+    const { qualifyingRent: subjectQualifyingRent, subjectRentalIncome, subjectRentOffset } = calculateSubjectRental(borrower, qualifyingPITI);
+    const housingPaymentForDTI = qualifyingPITI - subjectRentOffset;
+
+    // Non-QM bank statement income stands in for the self-employed borrower's employment income;
+    // a co-borrower's full-doc W-2 and military income still counts
+    const nonQMMode = getNonQMMode(borrower, programCosts.program);
+    const bankStatementAnalysis = nonQMMode === 'BankStatement' ? calculateBankStatementIncome(borrower) : null;
+    const qualifyingEmploymentIncome = bankStatementAnalysis
+      ? bankStatementAnalysis.qualifyingIncome + coMonthlyEmploymentIncome
+      : monthlyEmploymentIncome + coMonthlyEmploymentIncome;
+
+    // Asset depletion income counts only when the loan officer toggles it in
+    const assetDepletion = calculateAssetDepletion(borrower, { loanProgram: programCosts.program, reserves });
+    const assetDepletionIncome = assetDepletion.included ? assetDepletion.monthlyIncome : 0;
+
+    const totalMonthlyIncome = qualifyingEmploymentIncome + monthlyOtherIncome + coMonthlyOtherIncome
+      + reoRentalIncome + subjectRentalIncome + assetDepletionIncome;
+    const annualIncome = totalMonthlyIncome * 12;
+
+    // DTI calculations (on the qualifying payment)
+    const frontEndDTI = totalMonthlyIncome > 0 ? (housingPaymentForDTI / totalMonthlyIncome) * 100 : 0;
+    const backEndDTI = totalMonthlyIncome > 0 ? ((totalMonthlyDebts + housingPaymentForDTI) / totalMonthlyIncome) * 100 : 0;
+    const currentDTI = totalMonthlyIncome > 0 ? (totalMonthlyDebts / totalMonthlyIncome) * 100 : 0;
+
+    // DSCR loans qualify on the property's rent instead of the borrower's DTI
+    const dscrAnalysis = nonQMMode === 'DSCR' ? calculateDSCR(borrower, { pitia: totalPITI }) : null;
+
+    const vaResidualIncome = programCosts.program === 'VA' && totalMonthlyIncome > 0
+      ? calculateVAResidualIncome(borrower, {
+        baseLoanAmount: loanAmount,
+        // Residual income uses actual income, so the gross-up comes back out
+        totalMonthlyIncome: totalMonthlyIncome - nonTaxableGrossUp,
+        nonTaxableIncome,
+        monthlyWages: monthlyEmploymentIncome + coMonthlyEmploymentIncome - militaryNonTaxableIncome * (1 + nonTaxableGrossUpPercent / 100),
+        housingPayment: qualifyingPITI,
+        totalMonthlyDebts,
+        backEndDTI
+      })
+      : null;
+
+    const dpaMatches = matchDpaPrograms(borrower, {
+      loanProgram: programCosts.program,
+      loanPurpose,
+      propertyValue,
+      totalLoanAmount,
+      noteRate: interestRate,
+      annualIncome,
+      creditScore,
+      baseDTI: totalMonthlyIncome > 0 ? ((totalMonthlyDebts + housingPaymentForDTI - secondLienPayment) / totalMonthlyIncome) * 100 : 0,
+      totalMonthlyIncome
+    });
+    const selectedDpa = dpaProgram ? dpaMatches.find(match => match.id === dpaProgram.id) : null;
+
+    // Max purchase power: borrower's down payment percent, else the entered percent, else 3%
+    const maxPurchaseDownPercent = propertyValue > 0 && loanPurpose !== 'Refinance'
+      ? downPaymentAmount / propertyValue
+      : (parseFloat(borrower.down_payment_percent) || 3) / 100;
+
+    const calculateMaxPurchase = (targetDTI) => {
+      const none = { price: 0, piti: 0 };
+      if (totalMonthlyIncome <= 0) return none;
+
+      // Investment rent offsets the payment, so it raises the PITI the borrower can carry
+      const rentOffset = borrower.occupancy === 'Investment' ? subjectQualifyingRent : 0;
+      const incomeForMax = totalMonthlyIncome - (borrower.occupancy === 'Investment' ? subjectRentalIncome : 0);
+      const maxPITI = (incomeForMax * targetDTI / 100) - totalMonthlyDebts + rentOffset;
+      const maxPaymentForLoan = maxPITI - monthlyTaxes - monthlyInsurance - monthlyHOA;
+      if (maxPaymentForLoan <= 0 || qualifyingPaymentFactor <= 0 || maxPurchaseDownPercent >= 1) return none;
+
+      // Monthly cost per dollar of base loan includes the financed fee and MI.
+      // Solve twice so loan-amount-dependent rates (FHA MIP breakpoint) settle.
+      let maxLoan = maxPaymentForLoan / qualifyingPaymentFactor;
+      for (let pass = 0; pass < 2; pass++) {
+        const costs = getProgramCosts(borrower, {
+          baseLoanAmount: maxLoan,
+          ltv: (1 - maxPurchaseDownPercent) * 100,
+          downPaymentPercent: maxPurchaseDownPercent * 100,
+          termMonths: numPayments,
+          creditScore
+        });
+        const feeMultiplier = 1 + costs.upfrontFeeRate / 100;
+        const miPerDollar = (costs.miBasis === 'total' ? feeMultiplier : 1) * costs.miAnnualRate / 100 / 12;
+        maxLoan = maxPaymentForLoan / (feeMultiplier * qualifyingPaymentFactor + miPerDollar);
+      }
+      return { price: maxLoan / (1 - maxPurchaseDownPercent), piti: maxPITI };
+    };
+    const max43 = calculateMaxPurchase(43);
+    const max45 = calculateMaxPurchase(45);
+    const max50 = calculateMaxPurchase(50);
+
+    const refinanceAnalysis = loanPurpose === 'Refinance'
+      ? analyzeRefinance(borrower, {
+        loanProgram: programCosts.program,
+        loanStructure,
+        noteRate: interestRate,
+        totalLoanAmount,
+        principalAndInterest,
+        monthlyMI,
+        miAnnualRate: programCosts.miAnnualRate,
+        closingCosts,
+        upfrontFee,
+        closingCredits
+      })
+      : null;
+
+    // Maximum cash-out under each program, and a warning when the entered amount is over the selected one
+    const cashOutLimits = loanPurpose === 'Refinance'
+      ? calculateCashOutLimits(borrower, {
+        propertyValue,
+        currentLoanBalance: parseFloat(borrower.current_loan_balance) || 0,
+        creditScore,
+        totalMonthlyIncome,
+        totalMonthlyDebts,
+        subjectQualifyingRent,
+        subjectRentalIncome,
+        monthlyTaxes,
+        monthlyInsurance,
+        monthlyHOA,
+        qualifyingPaymentFactor,
+        termMonths: numPayments
+      })
+      : null;
+    const selectedCashOutLimit = cashOutLimits ? cashOutLimits.find(limit => limit.program === programCosts.program) : null;
+    const cashOutWarnings = [];
+    if (selectedCashOutLimit && borrower.refinance_type === 'Cash Out') {
+      const requestedCashOut = parseFloat(borrower.cash_out_amount) || 0;
+      if (!selectedCashOutLimit.eligible) {
+        cashOutWarnings.push(`${selectedCashOutLimit.programName} cash-out not available: ${selectedCashOutLimit.reasons.join('; ')}`);
+      } else if (requestedCashOut > selectedCashOutLimit.maxCashOut) {
+        const limitedBy = selectedCashOutLimit.limitedBy === 'DTI' ? `${selectedCashOutLimit.maxDTI}% DTI` : `${selectedCashOutLimit.maxLTV}% LTV`;
+        cashOutWarnings.push(`Cash out of $${Math.round(requestedCashOut).toLocaleString()} exceeds the $${Math.floor(selectedCashOutLimit.maxCashOut).toLocaleString()} ${selectedCashOutLimit.programName} maximum (${limitedBy})`);
+      }
+    }
+
+    return {
+      // Income
+      monthlyEmploymentIncome,
+      coMonthlyEmploymentIncome,
+      monthlyOtherIncome,
+      coMonthlyOtherIncome,
+      totalMonthlyIncome,
+      annualIncome,
+      selfEmploymentAnalyses,
+      militaryIncomeAnalyses,
+      historyValidation: validateHistory(borrower, asOf),
+      nonTaxableGrossUpPercent,
+      nonTaxableIncome,
+      nonTaxableGrossUp,
+      rentalIncomeAnalyses,
+      rentalLoss,
+      subjectRentalIncome,
+      subjectRentOffset,
+      reoAnalyses,
+      reoRentalIncome,
+      reoMonthlyDebt,
+      assetDepletion,
+      assetDepletionIncome,
+
+      // Assets
+      totalAssets,
+      liquidAssets,
+
+      // Debts
+      totalMonthlyDebts,
+      studentLoanAnalyses,
+      debtAnalyses,
+      excludedDebts,
+      debtPayoffs,
+      currentDTI,
+
+      // Property
+      propertyValue,
+      downPaymentAmount,
+      loanAmount,
+      ltv,
+      ...creditScores,
+      loanProgram: programCosts.program,
+      upfrontFeeRate: programCosts.upfrontFeeRate,
+      upfrontFeeLabel: programCosts.upfrontFeeLabel,
+      upfrontFee,
+      totalLoanAmount,
+      dpaProgram: dpaProgram ? dpaProgram.id : null,
+      dpaProgramName: dpaProgram ? dpaProgram.name : null,
+      dpaIneligibleReasons: selectedDpa ? selectedDpa.reasons : [],
+      secondLienAmount,
+      secondLienRate: secondLien ? secondLien.rate : 0,
+      secondLienTermMonths: secondLien ? secondLien.termMonths : 0,
+      secondLienDeferred: secondLien ? secondLien.deferred : false,
+      secondLienPayment,
+      cltv,
+      dpaMatches,
+      ...loanLimitCheck,
+      loanTermMonths: loanStructure.termMonths,
+      amortizationType: loanStructure.amortizationType,
+      armType: loanStructure.armType,
+      interestOnly: loanStructure.interestOnly,
+      interestOnlyMonths: loanStructure.interestOnlyMonths,
+      amortizingMonths: loanStructure.amortizingMonths,
+      noteRate: interestRate,
+      qualifyingRate: loanStructure.qualifyingRate,
+      principalAndInterest,
+      qualifyingPrincipalAndInterest,
+      miAnnualRate: programCosts.miAnnualRate,
+      miBasis: programCosts.miBasis,
+      miLabel: programCosts.miLabel,
+      monthlyMI,
+      monthlyTaxes,
+      monthlyInsurance,
+      taxesEstimated,
+      insuranceEstimated,
+      monthlyHOA,
+      totalPITI,
+      qualifyingPITI,
+      housingPaymentForDTI,
+
+      // DTI
+      frontEndDTI,
+      backEndDTI,
+
+      // Max purchase
+      maxPurchase43: max43.price,
+      maxPurchase45: max45.price,
+      maxPurchase50: max50.price,
+      maxPurchasePITI43: max43.piti,
+      maxPurchasePITI45: max45.piti,
+      maxPurchasePITI50: max50.piti,
+
+      // Cash to close
+      closingCostItems: closingCostWorksheet.items,
+      closingCosts,
+      prepaidItems,
+      closingCredits,
+      cashToClose,
+
+      // Temporary buydown and concessions
+      ...buydown,
+      interestedPartyLimitPercent,
+      interestedPartyLimit: closingCostWorksheet.interestedPartyLimit,
+      sellerPaidClosingCosts: closingCostWorksheet.sellerPaidClosingCosts,
+      interestedPartyContributions: closingCostWorksheet.interestedPartyContributions,
+      interestedPartyExcess: closingCostWorksheet.interestedPartyExcess,
+      concessionWarnings,
+
+      // Refinance benefit (null for purchases)
+      refinanceAnalysis,
+
+      // Non-QM qualification mode (DSCR / bank statement analyses are null unless selected)
+      qualificationMethod: nonQMMode ? NONQM_MODES[nonQMMode] : 'Full Documentation',
+      dscrAnalysis,
+      bankStatementAnalysis,
+
+      // VA residual income (null unless VA)
+      vaResidualIncome,
+
+      // Cash-out limits by program (null for purchases)
+      cashOutLimits,
+      maxCashOut: selectedCashOutLimit ? selectedCashOutLimit.maxCashOut : null,
+      cashOutWarnings,
+
+      // Reserves
+      ...reserves
+    };
+  }
+
+  // ============================================
+  // AMORTIZATION SCHEDULE
+  // ============================================
+
+  // Conventional borrower-paid MI terminates automatically once the balance reaches 78% of the original value
+  const CONVENTIONAL_MI_TERMINATION_LTV = 78;
+  // FHA annual MIP runs 11 years when the original LTV is 90% or less, otherwise for the life of the loan
+  const FHA_MIP_LIMITED_LTV = 90;
+  const FHA_MIP_LIMITED_MONTHS = 132;
+
+  // Month-by-month schedule at the note rate (interest only during any IO period, then amortizing over the
+  // rest of the term) with optional extra principal each month and a one-time lump sum.
+  // Equity assumes no appreciation. Returns null when there is no loan amount.
+  function calculateAmortization(calc, { extraMonthly = 0, lumpSum = 0, lumpSumMonth = null } = {}) {
+    if (!(calc.totalLoanAmount > 0)) return null;
+    // A lump sum needs the month it is paid in; without one it is left out
+    const appliedLumpSum = lumpSumMonth >= 1 ? lumpSum : 0;
+
+    const monthlyRate = calc.noteRate / 100 / 12;
+    const miEndsAtBalance = calc.loanProgram === 'Conventional' ? calc.propertyValue * CONVENTIONAL_MI_TERMINATION_LTV / 100 : null;
+    const miEndsAfterMonth = calc.loanProgram === 'FHA' && calc.ltv <= FHA_MIP_LIMITED_LTV ? FHA_MIP_LIMITED_MONTHS : null;
+
+    const run = (extra, lump) => {
+      const schedule = [];
+      let balance = calc.totalLoanAmount;
+      let payment = calc.interestOnly ? 0 : calc.totalLoanAmount * getPaymentFactor(calc.noteRate, calc.amortizingMonths);
+      let miActive = calc.monthlyMI > 0;
+      let miDropOffMonth = null;
+
+      for (let month = 1; month <= calc.loanTermMonths && balance > 0.005; month++) {
+        // Interest-only loans recast to a fully amortizing payment on the balance left at the end of the IO period
+        if (calc.interestOnly && month === calc.interestOnlyMonths + 1) {
+          payment = balance * getPaymentFactor(calc.noteRate, calc.amortizingMonths);
+        }
+        const interest = balance * monthlyRate;
+        const principal = Math.min(balance, month <= calc.interestOnlyMonths ? 0 : payment - interest);
+        const extraPrincipal = Math.min(balance - principal, extra + (month === lumpSumMonth ? lump : 0));
+        const mi = miActive ? calc.monthlyMI : 0;
+        balance -= principal + extraPrincipal;
+        if (balance < 0.005) balance = 0;
+
+        schedule.push({ month, payment: interest + principal, principal, interest, extraPrincipal, mi, balance });
+
+        if (miActive && ((miEndsAtBalance !== null && balance <= miEndsAtBalance) || month === miEndsAfterMonth)) {
+          miActive = false;
+          miDropOffMonth = month + 1;
+        }
+      }
+
+      return {
+        schedule,
+        payoffMonth: schedule.length,
+        miDropOffMonth,
+        totalInterest: schedule.reduce((sum, row) => sum + row.interest, 0),
+        totalMI: schedule.reduce((sum, row) => sum + row.mi, 0)
+      };
+    };
+
+    const result = run(extraMonthly, appliedLumpSum);
+    const baseline = extraMonthly > 0 || appliedLumpSum > 0 ? run(0, 0) : result;
+
+    const years = [];
+    result.schedule.forEach(row => {
+      const index = Math.ceil(row.month / 12) - 1;
+      if (!years[index]) years[index] = { year: index + 1, principal: 0, interest: 0, mi: 0, endingBalance: 0, equity: 0, equityPercent: 0 };
+      const year = years[index];
+      year.principal += row.principal + row.extraPrincipal;
+      year.interest += row.interest;
+      year.mi += row.mi;
+      year.endingBalance = row.balance;
+      year.equity = calc.propertyValue - row.balance;
+      year.equityPercent = calc.propertyValue > 0 ? year.equity / calc.propertyValue * 100 : 0;
+    });
+
+    let miDropOffRule = null;
+    if (calc.monthlyMI > 0) {
+      if (miEndsAtBalance !== null) miDropOffRule = `${calc.miLabel || 'MI'} ends at ${CONVENTIONAL_MI_TERMINATION_LTV}% of the original value`;
+      else if (miEndsAfterMonth !== null) miDropOffRule = `${calc.miLabel || 'MI'} ends after ${FHA_MIP_LIMITED_MONTHS / 12} years (${FHA_MIP_LIMITED_LTV}% or lower original LTV)`;
+      else miDropOffRule = `${calc.miLabel || 'MI'} lasts for the life of the loan`;
+    }
+
+    return {
+      loanAmount: calc.totalLoanAmount,
+      noteRate: calc.noteRate,
+      termMonths: calc.loanTermMonths,
+      extraMonthly,
+      lumpSum: appliedLumpSum,
+      lumpSumMonth: appliedLumpSum > 0 ? lumpSumMonth : null,
+      schedule: result.schedule,
+      years,
+      payoffMonth: result.payoffMonth,
+      totalInterest: result.totalInterest,
+      totalMI: result.totalMI,
+      miDropOffMonth: result.miDropOffMonth,
+      miDropOffRule,
+      baseline: {
+        payoffMonth: baseline.payoffMonth,
+        totalInterest: baseline.totalInterest,
+        totalMI: baseline.totalMI,
+        miDropOffMonth: baseline.miDropOffMonth
+      },
+      monthsSaved: baseline.payoffMonth - result.payoffMonth,
+      interestSaved: baseline.totalInterest - result.totalInterest,
+      miSaved: baseline.totalMI - result.totalMI
+    };
+  }
+
+  // ============================================
+  // SCENARIOS
+  // ============================================
+
+  // Fields a saved what-if scenario may override (null/empty = keep the borrower's value)
+  const SCENARIO_FIELDS = [
+    'purchase_price', 'down_payment_percent', 'interest_rate', 'property_taxes_annual',
+    'insurance_annual', 'hoa_monthly', 'preferred_loan_type', 'loan_term_months'
+  ];
+
+  // Borrower record with a scenario's overrides applied, ready for calculateBorrowerMetrics
+  function applyScenario(borrower, scenario) {
+    const isSet = field => scenario[field] !== null && scenario[field] !== undefined && scenario[field] !== '';
+    const result = { ...borrower };
+    for (const field of SCENARIO_FIELDS) {
+      if (isSet(field)) result[field] = scenario[field];
+    }
+
+    // Scenarios are purchase what-ifs: down payment follows price x percent
+    if (isSet('purchase_price') || isSet('down_payment_percent')) {
+      const originalPrice = parseFloat(borrower.purchase_price) || 0;
+      const percent = isSet('down_payment_percent')
+        ? parseFloat(scenario.down_payment_percent) || 0
+        : (originalPrice > 0
+          ? ((parseFloat(borrower.down_payment_amount) || 0) / originalPrice) * 100
+          : parseFloat(borrower.down_payment_percent) || 0);
+      result.loan_purpose = 'Purchase';
+      result.down_payment_percent = percent;
+      result.down_payment_amount = (parseFloat(result.purchase_price) || 0) * percent / 100;
+    }
+
+    return result;
+  }
+
+  const PROGRAM_NAMES = {
+    Conventional: 'Conventional',
+    FHA: 'FHA',
+    VA: 'VA',
+    USDARuralDevelopment: 'USDA',
+    NonQM: 'Non-QM'
+  };
+
+  function formatMoney(amount) {
+    return '$' + Math.round(amount || 0).toLocaleString('en-US');
+  }
+
+  // Rows for the scenario comparison grid (Summary tab and client PDF).
+  // Each scenario needs its calculations attached; returns [{ label, values: [..one per scenario] }]
+  function buildScenarioComparison(scenarios) {
+    const row = (label, format) => ({ label, values: scenarios.map(s => format(s.calculations)) });
+    return [
+      row('Home Price', c => formatMoney(c.propertyValue)),
+      row('Down Payment', c => `${formatMoney(c.downPaymentAmount)} (${(100 - c.ltv).toFixed(1)}%)`),
+      row('Loan Program', c => `${PROGRAM_NAMES[c.loanProgram]} ${c.loanTermMonths / 12}-yr`),
+      row('Interest Rate', c => `${c.noteRate}%`),
+      row('Loan Amount', c => formatMoney(c.totalLoanAmount)),
+      row('Monthly Payment', c => formatMoney(c.totalPITI)),
+      row('Debt-to-Income', c => `${c.frontEndDTI.toFixed(1)}% / ${c.backEndDTI.toFixed(1)}%`),
+      row('Cash to Close', c => formatMoney(c.cashToClose)),
+      row('Max Purchase (45% DTI)', c => formatMoney(c.maxPurchase45))
+    ];
+  }
+
+  return {
+    calculateBorrowerMetrics,
+    calculateAmortization,
+    applyScenario,
+    buildScenarioComparison,
+    SCENARIO_FIELDS,
+    DEFAULT_CLOSING_COST_TEMPLATE,
+    CLOSING_COST_SECTIONS,
+    priceRateSheet,
+    getPricingAdjustments,
+    checkLoanLimits,
+    NATIONAL_LOAN_LIMITS,
+    getNationalConformingBaseline,
+    getStateCode,
+    estimatePropertyCosts,
+    DEFAULT_ESTIMATE_RATES,
+    matchDpaPrograms,
+    DPA_PROGRAMS,
+    TEMPORARY_BUYDOWNS,
+    DEFAULT_PRICING_ADJUSTMENTS,
+    PRICING_ADJUSTMENT_LABELS,
+    RESERVE_ASSET_FACTORS,
+    RESERVE_REQUIREMENTS,
+    ASSET_DEPLETION_MONTHS,
+    NONQM_MODES,
+    DSCR_DEFAULTS,
+    BANK_STATEMENT_DEFAULTS,
+    calculateEmployerMonthlyIncome,
+    calculateEmployerBaseMonthly,
+    calculateSelfEmploymentIncome,
+    usesSelfEmploymentWorksheet,
+    SELF_EMPLOYMENT_LINE_ITEMS,
+    calculateMilitaryIncome,
+    usesLESWorksheet,
+    validateHistory,
+    HISTORY_REQUIRED_MONTHS,
+    getNonTaxableGrossUpPercent,
+    NONTAXABLE_GROSS_UP_PERCENT,
+    NONTAXABLE_INCOME_TYPES,
+    isNonTaxableIncome,
+    calculateRentalIncome,
+    usesRentalWorksheet,
+    SCHEDULE_E_LINE_ITEMS,
+    RENTAL_VACANCY_FACTOR,
+    calculateReoProperty,
+    REO_STATUSES,
+    calculateStudentLoanPayment,
+    DEBT_EXCLUSIONS,
+    calculateCreditScores,
+    CREDIT_BUREAUS,
+    getLoanProgram,
+    getLoanStructure,
+    getProgramCosts,
+    getPaymentFactor
+  };
+});
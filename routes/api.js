@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database');
-const { calculateBorrowerMetrics } = require('./borrowers');
+const { calculateBorrowerMetrics, getScenariosWithCalculations } = require('./borrowers');
+const { buildScenarioComparison, calculateAmortization, DEFAULT_CLOSING_COST_TEMPLATE, isNonTaxableIncome, usesRentalWorksheet } = require('../public/js/calculator');
 
 // ============================================
 // ZAPIER INTEGRATION ENDPOINTS
@@ -157,14 +158,14 @@ function formatBorrowerForZapier(b, calc) {
     estimatedAssociationDuesMonthly: Math.round(calc.monthlyHOA || 0),
 
     // Credit & rates
-    estimatedFICO: b.credit_score ? String(b.credit_score) : undefined,
+    estimatedFICO: calc.creditScore ? String(calc.creditScore) : undefined,
     noteRate: b.interest_rate || undefined,
-    qualifyingRate: b.interest_rate || undefined,
+    qualifyingRate: b.interest_rate ? calc.qualifyingRate : undefined,
 
     // Loan structure
-    amortizationType: 'Fixed',
-    term: 360,
-    interestOnly: false,
+    amortizationType: calc.amortizationType === 'ARM' ? 'AdjustableRate' : 'Fixed',
+    term: calc.loanTermMonths || 360,
+    interestOnly: !!calc.interestOnly,
     lienPosition: 'FirstLien',
     impoundWaiver: 'None Waived',
 
@@ -190,7 +191,7 @@ function formatBorrowerForZapier(b, calc) {
       employmentType: mapEmployment(b.employment_type) || null,
       hasRealEstate: !b.first_time_homebuyer,
       annualIncome: calc.annualIncome || 0,
-      totalLiability: calc.totalMonthlyDebts || 0,
+      totalLiability: calc.totalMonthlyDebts || 0, // Qualifying payments, net of excluded debts
       firstTimeHomeBuyer: b.first_time_homebuyer ? true : false,
       yearsSinceForeclosure: mapYears(b.foreclosure) || null,
       yearsSinceBankruptcy: mapYears(b.bankruptcy) || null,
@@ -228,6 +229,12 @@ function formatBorrowerForZapier(b, calc) {
   // Add extra fields for Zapier mapping convenience
   payload.borrower_durationYearsCount = parseInt(b.address_years) || 0;
   payload.borrower_durationMonthsCount = parseInt(b.address_months) || 0;
+  payload.excludedLiabilities = calc.excludedDebts.map(d => ({
+    creditor: d.creditor || d.type,
+    monthlyPayment: d.actualPayment,
+    reason: d.reason,
+    payoffAmount: d.payoffAmount
+  }));
 
   // Remove undefined values
   return JSON.parse(JSON.stringify(payload));
@@ -781,6 +788,36 @@ router.post('/chat/:borrowerId', async (req, res) => {
   }
 });
 
+// Closing cost fee template for a county (falls back to the statewide defaults)
+router.get('/closing-cost-templates/:county', (req, res) => {
+  const database = db.getDb();
+  const template = database.prepare('SELECT * FROM closing_cost_templates WHERE county = ?').get(req.params.county);
+
+  res.json({
+    county: req.params.county,
+    fees: { ...DEFAULT_CLOSING_COST_TEMPLATE, ...(template ? JSON.parse(template.fees || '{}') : {}) },
+    isDefault: !template
+  });
+});
+
+// Save a county's closing cost fee template
+router.put('/closing-cost-templates/:county', (req, res) => {
+  const database = db.getDb();
+  const fees = {};
+
+  for (const key of Object.keys(DEFAULT_CLOSING_COST_TEMPLATE)) {
+    const value = parseFloat((req.body.fees || {})[key]);
+    if (!isNaN(value)) fees[key] = value;
+  }
+
+  database.prepare(`
+    INSERT INTO closing_cost_templates (county, fees, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(county) DO UPDATE SET fees = excluded.fees, updated_at = CURRENT_TIMESTAMP
+  `).run(req.params.county, JSON.stringify(fees));
+
+  res.json({ success: true, county: req.params.county, fees: { ...DEFAULT_CLOSING_COST_TEMPLATE, ...fees } });
+});
+
 // MISMO 3.4 XML Export
 router.get('/export/mismo/:borrowerId', (req, res) => {
   const database = db.getDb();
@@ -804,6 +841,39 @@ router.get('/export/mismo/:borrowerId', (req, res) => {
   res.send(xml);
 });
 
+// Extra payment options for the amortization schedule: query/body overrides, else the borrower's saved values.
+// A blank or 0 lump sum month leaves the lump sum out.
+function getAmortizationOptions(borrower, overrides = {}) {
+  const value = (key, column) => (overrides[key] !== undefined && overrides[key] !== '' ? overrides[key] : borrower[column]);
+  return {
+    extraMonthly: parseFloat(value('extra_monthly', 'extra_monthly_payment')) || 0,
+    lumpSum: parseFloat(value('lump_sum', 'lump_sum_payment')) || 0,
+    lumpSumMonth: parseInt(value('lump_sum_month', 'lump_sum_month')) || null
+  };
+}
+
+// Amortization schedule (GET /borrower/1/amortization?extra_monthly=200&lump_sum=10000&lump_sum_month=12)
+router.get('/borrower/:id/amortization', (req, res) => {
+  const database = db.getDb();
+  const borrower = database.prepare('SELECT * FROM borrowers WHERE id = ?').get(req.params.id);
+
+  if (!borrower) {
+    return res.status(404).json({ error: 'Borrower not found' });
+  }
+
+  const options = getAmortizationOptions(borrower, req.query);
+  if (options.extraMonthly < 0 || options.lumpSum < 0 || (options.lumpSumMonth !== null && options.lumpSumMonth < 1)) {
+    return res.status(400).json({ error: 'Extra payments must be positive and the lump sum month 1 or later' });
+  }
+
+  const amortization = calculateAmortization(calculateBorrowerMetrics(borrower), options);
+  if (!amortization) {
+    return res.status(400).json({ error: 'No loan amount to amortize' });
+  }
+
+  res.json({ amortization });
+});
+
 // Download Analysis as PDF (accepts POST with edited content or GET for cached)
 router.post('/analysis/:borrowerId/pdf', async (req, res) => {
   const database = db.getDb();
@@ -982,6 +1052,162 @@ router.post('/analysis/:borrowerId/pdf', async (req, res) => {
     const margin = 60;
     const contentWidth = pageWidth - (margin * 2);
 
+    // Saved scenarios the loan officer marked for the client, side by side
+    const renderScenarioComparison = () => {
+      const scenarios = getScenariosWithCalculations(borrower).filter(s => s.include_in_pdf);
+      if (!scenarios.length) return;
+
+      const rows = buildScenarioComparison(scenarios);
+      const labelWidth = 130;
+      const columnWidth = (contentWidth - labelWidth) / scenarios.length;
+      const rowHeight = 18;
+
+      // Keep the table on one page
+      if (doc.y + rowHeight * (rows.length + 2) + 40 > pageHeight - 150) {
+        doc.addPage();
+        doc.y = 50;
+      }
+
+      const title = 'YOUR SCENARIO COMPARISON';
+      doc.fontSize(11).fillColor('#2a2a2a').font('Helvetica-Bold');
+      doc.text(title, margin);
+      const titleWidth = doc.widthOfString(title);
+      doc.strokeColor('#8FA38F').lineWidth(1.5);
+      doc.moveTo(margin, doc.y + 2).lineTo(margin + titleWidth, doc.y + 2).stroke();
+      doc.moveDown(0.6);
+
+      let rowY = doc.y;
+      doc.fontSize(9).font('Helvetica-Bold').fillColor('#2a2a2a');
+      scenarios.forEach((scenario, i) => {
+        doc.text(scenario.name, margin + labelWidth + i * columnWidth, rowY, { width: columnWidth - 6, align: 'right', ellipsis: true, height: rowHeight });
+      });
+      rowY += rowHeight;
+
+      rows.forEach(row => {
+        doc.strokeColor('#d8d2c4').lineWidth(0.5);
+        doc.moveTo(margin, rowY - 4).lineTo(margin + contentWidth, rowY - 4).stroke();
+        doc.font('Helvetica').fillColor('#666666');
+        doc.text(row.label, margin, rowY, { width: labelWidth });
+        doc.fillColor('#333333');
+        row.values.forEach((value, i) => {
+          doc.text(value, margin + labelWidth + i * columnWidth, rowY, { width: columnWidth - 6, align: 'right' });
+        });
+        rowY += rowHeight;
+      });
+
+      doc.x = margin;
+      doc.y = rowY;
+      doc.fontSize(8).font('Helvetica-Oblique').fillColor('#8f8c83');
+      doc.text('Estimates only. Monthly payment includes principal, interest, taxes, insurance, HOA and mortgage insurance. Not a commitment to lend.', margin, doc.y, { width: contentWidth });
+      doc.moveDown(1);
+    };
+
+    // Year-by-year payments when a temporary buydown is in place
+    const renderPaymentStepUps = () => {
+      const calculations = calculateBorrowerMetrics(borrower);
+      if (!calculations.buydownType) return;
+
+      const rowHeight = 18;
+      if (doc.y + rowHeight * (calculations.buydownSchedule.length + 2) + 40 > pageHeight - 150) {
+        doc.addPage();
+        doc.y = 50;
+      }
+
+      const title = `YOUR PAYMENT STEP-UPS (${calculations.buydownType} BUYDOWN)`;
+      doc.fontSize(11).fillColor('#2a2a2a').font('Helvetica-Bold');
+      doc.text(title, margin);
+      const titleWidth = doc.widthOfString(title);
+      doc.strokeColor('#8FA38F').lineWidth(1.5);
+      doc.moveTo(margin, doc.y + 2).lineTo(margin + titleWidth, doc.y + 2).stroke();
+      doc.moveDown(0.6);
+
+      const otherCosts = calculations.totalPITI - calculations.principalAndInterest;
+      const lastYear = calculations.buydownSchedule.length;
+      let rowY = doc.y;
+      doc.fontSize(9);
+      calculations.buydownSchedule.forEach(year => {
+        doc.strokeColor('#d8d2c4').lineWidth(0.5);
+        doc.moveTo(margin, rowY - 4).lineTo(margin + contentWidth, rowY - 4).stroke();
+        doc.font('Helvetica').fillColor('#666666');
+        doc.text(`Year ${year.year}${year.year === lastYear ? ' and after' : ''} at ${year.rate.toFixed(3)}%`, margin, rowY, { width: 200 });
+        doc.fillColor('#333333');
+        doc.text(`$${Math.round(year.principalAndInterest + otherCosts).toLocaleString()}/mo`, margin + 200, rowY, { width: contentWidth - 200, align: 'right' });
+        rowY += rowHeight;
+      });
+
+      doc.x = margin;
+      doc.y = rowY;
+      doc.fontSize(8).font('Helvetica-Oblique').fillColor('#8f8c83');
+      doc.text(`Your payment rises each year until it reaches the full note-rate payment. The $${Math.round(calculations.buydownCost).toLocaleString()} buydown is paid by the ${calculations.buydownPaidBy.toLowerCase()} at closing.`, margin, doc.y, { width: contentWidth });
+      doc.moveDown(1);
+    };
+
+    // Appendix page: year-by-year amortization, when the loan officer opted in on the Summary tab
+    const renderAmortizationAppendix = () => {
+      const amortization = calculateAmortization(calculateBorrowerMetrics(borrower), getAmortizationOptions(borrower));
+      if (!amortization) return;
+
+      doc.addPage();
+      doc.y = 50;
+
+      const title = 'APPENDIX: YOUR AMORTIZATION SCHEDULE';
+      doc.fontSize(11).fillColor('#2a2a2a').font('Helvetica-Bold');
+      doc.text(title, margin);
+      const titleWidth = doc.widthOfString(title);
+      doc.strokeColor('#8FA38F').lineWidth(1.5);
+      doc.moveTo(margin, doc.y + 2).lineTo(margin + titleWidth, doc.y + 2).stroke();
+      doc.moveDown(0.6);
+
+      const money = value => `$${Math.round(value).toLocaleString()}`;
+      const summary = [
+        `${money(amortization.loanAmount)} at ${amortization.noteRate}% over ${amortization.termMonths / 12} years: ${money(amortization.totalInterest)} in total interest.`
+      ];
+      if (amortization.miDropOffRule) {
+        summary.push(amortization.miDropOffMonth
+          ? `${amortization.miDropOffRule} - expected in month ${amortization.miDropOffMonth} (year ${Math.ceil(amortization.miDropOffMonth / 12)}).`
+          : `${amortization.miDropOffRule}.`);
+      }
+      if (amortization.extraMonthly > 0 || amortization.lumpSum > 0) {
+        const extras = [
+          amortization.extraMonthly > 0 ? `${money(amortization.extraMonthly)} extra each month` : '',
+          amortization.lumpSum > 0 ? `a ${money(amortization.lumpSum)} lump sum in month ${amortization.lumpSumMonth}` : ''
+        ].filter(Boolean).join(' and ');
+        summary.push(`With ${extras}, the loan is paid off ${amortization.monthsSaved} months early and saves ${money(amortization.interestSaved)} in interest.`);
+      }
+      doc.fontSize(9).font('Helvetica').fillColor('#333333');
+      summary.forEach(line => doc.text(line, margin, doc.y, { width: contentWidth }));
+      doc.moveDown(0.8);
+
+      const yearWidth = 40;
+      const columnWidth = (contentWidth - yearWidth) / 5;
+      const rowHeight = 13;
+      let rowY = doc.y;
+      doc.fontSize(8).font('Helvetica-Bold').fillColor('#2a2a2a');
+      doc.text('Year', margin, rowY, { width: yearWidth });
+      ['Principal', 'Interest', 'Mortgage Ins.', 'Balance', 'Equity'].forEach((label, i) => {
+        doc.text(label, margin + yearWidth + i * columnWidth, rowY, { width: columnWidth - 6, align: 'right' });
+      });
+      rowY += rowHeight;
+
+      doc.font('Helvetica');
+      amortization.years.forEach(year => {
+        doc.strokeColor('#d8d2c4').lineWidth(0.5);
+        doc.moveTo(margin, rowY - 3).lineTo(margin + contentWidth, rowY - 3).stroke();
+        doc.fillColor('#666666');
+        doc.text(String(year.year), margin, rowY, { width: yearWidth });
+        doc.fillColor('#333333');
+        [year.principal, year.interest, year.mi, year.endingBalance, year.equity].forEach((value, i) => {
+          doc.text(money(value), margin + yearWidth + i * columnWidth, rowY, { width: columnWidth - 6, align: 'right' });
+        });
+        rowY += rowHeight;
+      });
+
+      doc.x = margin;
+      doc.y = rowY + 4;
+      doc.fontSize(8).font('Helvetica-Oblique').fillColor('#8f8c83');
+      doc.text('Principal and interest at the note rate. Equity assumes no change in home value. Estimates only; not a commitment to lend.', margin, doc.y, { width: contentWidth });
+    };
+
     if (parsed && parsed.clientLetter) {
       const letter = parsed.clientLetter;
 
@@ -1055,6 +1281,9 @@ router.post('/analysis/:borrowerId/pdf', async (req, res) => {
         doc.moveDown(1);
       }
 
+      renderScenarioComparison();
+      renderPaymentStepUps();
+
       // Closing
       if (letter.closing) {
         doc.fontSize(11).fillColor('#333333').font('Helvetica');
@@ -1075,6 +1304,9 @@ router.post('/analysis/:borrowerId/pdf', async (req, res) => {
       const clean = borrower.ai_analysis.replace(/[#*]/g, '');
       doc.fontSize(11).fillColor('#333333').font('Helvetica');
       doc.text(clean, margin, doc.y, { width: contentWidth, lineGap: 4 });
+      doc.moveDown(1);
+      renderScenarioComparison();
+      renderPaymentStepUps();
     }
 
     // ===== FOOTER =====
@@ -1117,6 +1349,10 @@ router.post('/analysis/:borrowerId/pdf', async (req, res) => {
     doc.text('Powered by Capital Financial Group, Inc. – NMLS #3146. Information subject to change without notice. This is not an offer for extension of credit or a commitment to lend. Equal Housing Lender.',
       50, doc.y, { width: pageWidth - 100, align: 'center' });
 
+    if (parseInt(borrower.amortization_in_pdf)) {
+      renderAmortizationAppendix();
+    }
+
     doc.end();
   } catch (error) {
     console.error('PDF generation error:', error);
@@ -1269,6 +1505,14 @@ ${borrower.has_coborrower ? `- Co-Borrower: ${borrower.co_first_name || ''} ${bo
 INCOME & EMPLOYMENT:
 - Monthly Income: $${calculations.totalMonthlyIncome.toFixed(2)}
 - Monthly Debts: $${calculations.totalMonthlyDebts.toFixed(2)}
+${formatAssetDepletion(calculations)}
+${formatSelfEmployment(calculations)}
+${formatMilitaryIncome(calculations)}
+${formatHistoryValidation(calculations)}
+${formatRentalIncome(calculations)}
+${formatRealEstateOwned(calculations)}
+${formatStudentLoans(calculations)}
+${formatExcludedDebts(calculations)}
 
 LOAN DETAILS:
 ${isRefinance ? `- Property Value: $${borrower.property_value || 0}
@@ -1276,25 +1520,34 @@ ${isRefinance ? `- Property Value: $${borrower.property_value || 0}
 - Refinance Type: ${borrower.refinance_type || 'Rate/Term'}
 ${borrower.cash_out_amount ? `- Cash Out Amount: $${borrower.cash_out_amount}` : ''}` : `- Purchase Price: $${borrower.purchase_price || 0}
 - Down Payment: $${borrower.down_payment_amount || 0}`}
+- Loan Program: ${calculations.loanProgram}
+- Loan Structure: ${formatLoanStructure(calculations)}
 - Loan Amount: $${calculations.loanAmount.toFixed(2)}
+${formatProgramCosts(calculations)}
 - LTV: ${calculations.ltv.toFixed(1)}%
+${formatLoanLimits(calculations)}
+${formatDownPaymentAssistance(calculations)}
+${formatBuydownAndConcessions(calculations)}
 - Property Type: ${borrower.property_type || 'Not specified'}
 - Occupancy: ${borrower.occupancy || 'Not specified'}
+- Est. Monthly PITI: $${calculations.totalPITI.toFixed(2)}${formatEstimatedCosts(calculations)}
 
 RATIOS:
 - Front-End DTI: ${calculations.frontEndDTI.toFixed(1)}%
 - Back-End DTI: ${calculations.backEndDTI.toFixed(1)}%
+${formatVAResidualIncome(calculations)}
+${formatNonQMQualification(calculations)}
 
 CREDIT:
-- Credit Score: ${borrower.credit_score || 'Not provided'}
-${borrower.has_coborrower ? `- Co-Borrower Score: ${borrower.co_credit_score || 'Not provided'}` : ''}
+${formatCreditScores(borrower, calculations)}
 - Late Payments (12 mo): ${borrower.late_payments_12 ? 'Yes' : 'No'}
 - Bankruptcy: ${borrower.bankruptcy || 'Never'}
 - Foreclosure: ${borrower.foreclosure || 'Never'}
 
 ASSETS:
 - Liquid Assets: $${calculations.liquidAssets.toFixed(2)}
-- Cash to Close Needed: $${calculations.cashToClose.toFixed(2)}
+- Cash to Close Needed: $${calculations.cashToClose.toFixed(2)} (closing costs $${calculations.closingCosts.toFixed(0)}, prepaids $${calculations.prepaidItems.toFixed(0)}, credits -$${calculations.closingCredits.toFixed(0)})
+${formatReserves(calculations)}
 
 ${knowledge ? `LENDER GUIDELINES & PROGRAM KNOWLEDGE:
 ${knowledge.substring(0, 6000)}` : ''}
@@ -1363,6 +1616,7 @@ CO-BORROWER:
 INCOME:
 - Total Monthly Gross Income: $${calculations.totalMonthlyIncome.toFixed(2)}
 - Annual Income: $${calculations.annualIncome.toFixed(2)}
+${formatAssetDepletion(calculations)}
 
 BORROWER EMPLOYMENT:
 ${borrower.employers.map(e => {
@@ -1381,20 +1635,38 @@ ${borrower.co_employers.map(e => {
     : '';
   return `- ${e.employer_name}: ${e.position}, ${e.employment_type} ${status}${timeAtJob}`;
 }).join('\n')}` : ''}
+
+TWO-YEAR EMPLOYMENT & RESIDENCE HISTORY:
+${formatHistoryValidation(calculations)}
+${calculations.selfEmploymentAnalyses.length > 0 ? `
+SELF-EMPLOYMENT INCOME (FANNIE MAE 1084):
+${formatSelfEmployment(calculations)}` : ''}
+${calculations.militaryIncomeAnalyses.length > 0 || calculations.nonTaxableGrossUp > 0 ? `
+MILITARY AND NON-TAXABLE INCOME:
+${formatMilitaryIncome(calculations)}` : ''}
+${calculations.rentalIncomeAnalyses.length > 0 || calculations.subjectRentalIncome > 0 || calculations.subjectRentOffset > 0 ? `
+RENTAL INCOME (NET OF PITIA):
+${formatRentalIncome(calculations)}` : ''}
 ${borrower.other_income && borrower.other_income.length > 0 ? `
 BORROWER OTHER INCOME:
-${borrower.other_income.map(i => `- ${i.income_type}: $${i.monthly_amount}/month`).join('\n')}` : ''}
+${borrower.other_income.filter(i => !usesRentalWorksheet(i)).map(i => `- ${i.type}: $${i.monthly_amount}/month${isNonTaxableIncome(i) ? ' (non-taxable)' : ''}`).join('\n')}` : ''}
 ${borrower.has_coborrower && borrower.co_other_income && borrower.co_other_income.length > 0 ? `
 CO-BORROWER OTHER INCOME:
-${borrower.co_other_income.map(i => `- ${i.income_type}: $${i.monthly_amount}/month`).join('\n')}` : ''}
+${borrower.co_other_income.filter(i => !usesRentalWorksheet(i)).map(i => `- ${i.type}: $${i.monthly_amount}/month${isNonTaxableIncome(i) ? ' (non-taxable)' : ''}`).join('\n')}` : ''}
 
 ASSETS:
 - Total Assets: $${calculations.totalAssets.toFixed(2)}
 - Liquid Assets: $${calculations.liquidAssets.toFixed(2)}
+${formatReserves(calculations)}
 
 DEBTS:
 - Total Monthly Debt Payments: $${calculations.totalMonthlyDebts.toFixed(2)}
 - Current DTI (before housing): ${calculations.currentDTI.toFixed(1)}%
+${formatStudentLoans(calculations)}
+${formatExcludedDebts(calculations)}
+${calculations.reoAnalyses.length > 0 ? `
+REAL ESTATE OWNED:
+${formatRealEstateOwned(calculations)}` : ''}
 
 PROPERTY:
 - Loan Purpose: ${borrower.loan_purpose || 'Purchase'}
@@ -1402,22 +1674,35 @@ ${borrower.loan_purpose === 'Refinance' ? `- Property Value: $${borrower.propert
 - Current Loan Balance: $${borrower.current_loan_balance || 0}
 - Refinance Type: ${borrower.refinance_type || 'Rate/Term'}
 ${borrower.cash_out_amount ? `- Cash Out Amount: $${borrower.cash_out_amount}` : ''}
-${borrower.cash_out_purpose ? `- Cash Out Purpose: ${borrower.cash_out_purpose}` : ''}` : `- Purchase Price: $${borrower.purchase_price || 0}
+${borrower.cash_out_purpose ? `- Cash Out Purpose: ${borrower.cash_out_purpose}` : ''}
+${formatCashOutLimits(calculations)}
+${formatRefinanceAnalysis(calculations)}` : `- Purchase Price: $${borrower.purchase_price || 0}
 - Down Payment: $${borrower.down_payment_amount || 0}`}
+- Loan Program: ${calculations.loanProgram}
+- Loan Structure: ${formatLoanStructure(calculations)}
 - Loan Amount: $${calculations.loanAmount.toFixed(2)}
+${formatProgramCosts(calculations)}
 - LTV: ${calculations.ltv.toFixed(1)}%
+${formatLoanLimits(calculations)}
+${formatDownPaymentAssistance(calculations)}
+${formatBuydownAndConcessions(calculations)}
 - Property Type: ${borrower.property_type || 'Not specified'}
 - Occupancy: ${borrower.occupancy || 'Not specified'}
 - County: ${borrower.property_county || 'Not specified'}
 
 PROPOSED PAYMENT:
-- Est. Monthly PITI: $${calculations.totalPITI.toFixed(2)}
-- Front-End DTI: ${calculations.frontEndDTI.toFixed(1)}%
+- Principal & Interest: $${calculations.principalAndInterest.toFixed(2)}${calculations.interestOnly ? ' (interest only)' : ''}
+- ${calculations.miLabel || 'Mortgage Insurance'}: $${calculations.monthlyMI.toFixed(2)}
+- Taxes, Insurance & HOA: $${(calculations.monthlyTaxes + calculations.monthlyInsurance + calculations.monthlyHOA).toFixed(2)}
+- Est. Monthly PITI: $${calculations.totalPITI.toFixed(2)}${formatEstimatedCosts(calculations)}
+${calculations.qualifyingPITI !== calculations.totalPITI ? `- Qualifying PITI (used for DTI): $${calculations.qualifyingPITI.toFixed(2)}
+` : ''}- Front-End DTI: ${calculations.frontEndDTI.toFixed(1)}%
 - Back-End DTI: ${calculations.backEndDTI.toFixed(1)}%
+${formatVAResidualIncome(calculations)}
+${formatNonQMQualification(calculations)}
 
 CREDIT:
-- Credit Score: ${borrower.credit_score || 'Not provided'}
-${borrower.has_coborrower ? `- Co-Borrower Score: ${borrower.co_credit_score || 'Not provided'}` : ''}
+${formatCreditScores(borrower, calculations)}
 - Late Payments (12 mo): ${borrower.late_payments_12 ? 'Yes' : 'No'}
 - Late Payments (24 mo): ${borrower.late_payments_24 ? 'Yes' : 'No'}
 - Bankruptcy: ${borrower.bankruptcy || 'Never'}
@@ -1430,6 +1715,12 @@ MAX PURCHASE POWER:
 - At 50% DTI: $${calculations.maxPurchase50.toFixed(0)}
 
 ESTIMATED CASH TO CLOSE: $${calculations.cashToClose.toFixed(2)}
+- Down Payment: $${calculations.downPaymentAmount.toFixed(2)}
+- Closing Costs: $${calculations.closingCosts.toFixed(2)}
+- Prepaids & Escrow: $${calculations.prepaidItems.toFixed(2)}
+- Credits & Earnest Money: -$${calculations.closingCredits.toFixed(2)}
+ITEMIZED:
+${formatClosingCosts(calculations)}
 
 ${knowledge ? `LENDER GUIDELINES & PROGRAM KNOWLEDGE:
 IMPORTANT: When information conflicts, ALWAYS prioritize in this order:
@@ -1478,17 +1769,31 @@ CURRENT BORROWER CONTEXT:
 - Loan Purpose: ${borrower.loan_purpose || 'Purchase'}
 - Monthly Income: $${calculations.totalMonthlyIncome.toFixed(2)}
 - Monthly Debts: $${calculations.totalMonthlyDebts.toFixed(2)}
+${formatAssetDepletion(calculations)}
+${formatSelfEmployment(calculations)}
+${formatMilitaryIncome(calculations)}
+${formatHistoryValidation(calculations)}
+${formatRentalIncome(calculations)}
+${formatRealEstateOwned(calculations)}
+${formatStudentLoans(calculations)}
+${formatExcludedDebts(calculations)}
 ${isRefinance
     ? `- Property Value: $${borrower.property_value || 'Not specified'}
 - Current Loan Balance: $${borrower.current_loan_balance || 'Not specified'}
 - Refinance Type: ${borrower.refinance_type || 'Rate/Term'}
-${borrower.cash_out_amount ? `- Cash Out Amount: $${borrower.cash_out_amount}` : ''}`
+${borrower.cash_out_amount ? `- Cash Out Amount: $${borrower.cash_out_amount}` : ''}
+${formatCashOutLimits(calculations)}`
     : `- Target Purchase: $${borrower.purchase_price || 'Not specified'}`}
-- Credit Score: ${borrower.credit_score || 'Not provided'}
+- Credit Score: ${calculations.creditScore || 'Not provided'} (representative, ${calculations.creditScoreMethod.toLowerCase()})
+- Loan Program: ${calculations.loanProgram}
+- Loan Structure: ${formatLoanStructure(calculations)}
+${formatProgramCosts(calculations)}
+- Est. Monthly PITI: $${calculations.totalPITI.toFixed(2)}${formatEstimatedCosts(calculations)}
 - Back-End DTI: ${calculations.backEndDTI.toFixed(1)}%
 - LTV: ${calculations.ltv.toFixed(1)}%
-- Cash to Close Needed: $${calculations.cashToClose.toFixed(2)}
+- Cash to Close Needed: $${calculations.cashToClose.toFixed(2)} (closing costs $${calculations.closingCosts.toFixed(0)}, prepaids $${calculations.prepaidItems.toFixed(0)}, credits -$${calculations.closingCredits.toFixed(0)})
 - Liquid Assets: $${calculations.liquidAssets.toFixed(2)}
+${formatReserves(calculations)}
 
 ${knowledge ? `LENDER GUIDELINES & PROGRAM KNOWLEDGE:
 IMPORTANT: When information conflicts, prioritize: (1) Recent bulletins over base guidelines, (2) Check effective/expiration dates on special offers, (3) Newer sources override older ones.
@@ -1498,8 +1803,282 @@ ${knowledge.substring(0, 4000)}` : ''}
 Be helpful, specific, and reference the borrower's actual numbers when answering questions. If asked about programs, rates, or guidelines, provide accurate current information based on the knowledge sources above, prioritizing recent bulletins and announcements. Keep responses concise but informative.`;
 }
 
+// Prompt sections shared by the quick reference, analysis and chat prompts
+
+// e.g. "30-year Fixed" or "30-year 5/6 ARM, 10-year interest only, qualifying at 8.5%"
+function formatLoanStructure(calculations) {
+  let text = `${calculations.loanTermMonths / 12}-year ${calculations.amortizationType === 'ARM' ? `${calculations.armType} ARM` : 'Fixed'}`;
+  if (calculations.interestOnly) {
+    text += `, ${calculations.interestOnlyMonths / 12}-year interest only`;
+  }
+  if (calculations.qualifyingRate !== calculations.noteRate) {
+    text += `, qualifying at ${calculations.qualifyingRate}%`;
+  }
+  return text;
+}
+
+// Itemized closing cost worksheet lines
+function formatClosingCosts(calculations) {
+  return calculations.closingCostItems
+    .filter(item => item.amount !== 0)
+    .map(item => `- ${item.section}: ${item.label}: ${item.amount < 0 ? '-' : ''}$${Math.abs(item.amount).toFixed(2)}`)
+    .join('\n');
+}
+
+// Military LES pay and the non-taxable income gross-up
+function formatMilitaryIncome(calculations) {
+  const lines = calculations.militaryIncomeAnalyses.map(m => {
+    const ets = m.etsDate ? `, ETS ${m.etsDate}` : '';
+    const warnings = m.warnings.length ? ` - WARNING: ${m.warnings.join('; ')}` : '';
+    return `- Military (${m.borrower}) ${m.employerName || 'LES'}: base $${m.basePay.toFixed(2)} + special pays $${m.specialPays.toFixed(2)} + BAH $${m.bah.toFixed(2)} + BAS $${m.bas.toFixed(2)} = $${m.monthlyIncome.toFixed(2)}/mo qualifying${ets}${warnings}`;
+  });
+  if (calculations.nonTaxableGrossUp > 0) {
+    lines.push(`- Non-Taxable Gross-Up: ${calculations.nonTaxableGrossUpPercent}% of $${calculations.nonTaxableIncome.toFixed(2)} non-taxable income = $${calculations.nonTaxableGrossUp.toFixed(2)}/mo (included in income)`);
+  }
+  return lines.join('\n');
+}
+
+// Two-year employment and residence history lines
+function formatHistoryValidation(calculations) {
+  return calculations.historyValidation.map(h => {
+    const status = h.complete ? 'complete' : 'INCOMPLETE';
+    const warnings = [...h.employment.warnings, ...h.residence.warnings];
+    const warningText = warnings.length ? ` - WARNING: ${warnings.join('; ')}` : '';
+    return `- History (${h.borrower}): ${h.employment.months} months employment (${h.employment.jobs.length} jobs), ${h.residence.months} months residence (${h.residence.addresses.length} addresses), ${status}${warningText}`;
+  }).join('\n');
+}
+
+// Self-employment 1084 worksheet lines
+function formatSelfEmployment(calculations) {
+  const typeLabels = { ScheduleC: 'Schedule C', '1120S': '1120S/K-1', '1065': '1065/K-1', '1120': '1120' };
+  return calculations.selfEmploymentAnalyses.map(a => {
+    const years = a.year2Income !== null
+      ? `${a.year1 || 'recent year'} $${a.year1Income.toFixed(0)}, ${a.year2 || 'prior year'} $${a.year2Income.toFixed(0)}, ${a.trend} ${a.changePercent.toFixed(1)}%`
+      : `${a.year1 || 'recent year'} $${a.year1Income.toFixed(0)}`;
+    const warnings = a.warnings.length ? ` - WARNING: ${a.warnings.join('; ')}` : '';
+    return `- Self-Employed (${a.borrower}) ${a.employerName} [${typeLabels[a.businessType]}]: $${a.monthlyIncome.toFixed(2)}/mo qualifying (${years})${warnings}`;
+  }).join('\n');
+}
+
+// Rental property and subject rent lines
+function formatRentalIncome(calculations) {
+  const methodLabels = { ScheduleE: 'Schedule E', Lease: '75% of lease' };
+  const lines = calculations.rentalIncomeAnalyses.map(r => {
+    const result = r.netRental < 0 ? `net loss $${(-r.netRental).toFixed(2)}/mo counted as debt` : `net income $${r.netRental.toFixed(2)}/mo`;
+    const warnings = r.warnings.length ? ` - WARNING: ${r.warnings.join('; ')}` : '';
+    return `- Rental (${r.borrower}) ${r.property || 'property'}${r.departingResidence ? ' [departing residence]' : ''} [${methodLabels[r.method]}]: qualifying rent $${r.qualifyingRent.toFixed(2)} less PITIA $${r.pitia.toFixed(2)}, ${result}${warnings}`;
+  });
+  if (calculations.subjectRentalIncome > 0) {
+    lines.push(`- Subject Property Rent (75%) added to income: $${calculations.subjectRentalIncome.toFixed(2)}/mo`);
+  }
+  if (calculations.subjectRentOffset > 0) {
+    lines.push(`- Subject Property Rent (75%) offsetting PITIA: $${calculations.subjectRentOffset.toFixed(2)}/mo (DTI housing payment $${calculations.housingPaymentForDTI.toFixed(2)})`);
+  }
+  return lines.join('\n');
+}
+
+// Real estate owned schedule lines
+function formatRealEstateOwned(calculations) {
+  return calculations.reoAnalyses.map(reo => {
+    let effect = `counted as $${reo.monthlyDebt.toFixed(2)}/mo debt`;
+    if (reo.status !== 'Retain') effect = 'payment excluded';
+    else if (reo.monthlyIncome > 0) effect = `net rental income $${reo.monthlyIncome.toFixed(2)}/mo`;
+    const rent = reo.grossRent > 0 ? `, gross rent $${reo.grossRent.toFixed(2)}` : '';
+    const warnings = reo.warnings.length ? ` - WARNING: ${reo.warnings.join('; ')}` : '';
+    return `- REO ${reo.address || 'property'} (${reo.occupancy || 'use not set'}, ${reo.statusLabel}): value $${reo.marketValue.toFixed(0)}, liens $${reo.lienBalance.toFixed(0)}, PITIA $${reo.pitia.toFixed(2)}${rent}, ${effect}${warnings}`;
+  }).join('\n');
+}
+
+// Student loan qualifying payment lines
+function formatStudentLoans(calculations) {
+  return calculations.studentLoanAnalyses.map(loan => {
+    const warnings = loan.warnings.length ? ` - WARNING: ${loan.warnings.join('; ')}` : '';
+    return `- Student Loan ${loan.creditor || ''} (${loan.loanType}, ${loan.status}): balance $${loan.balance.toFixed(0)}, actual payment $${loan.actualPayment.toFixed(2)}, qualifying payment $${loan.qualifyingPayment.toFixed(2)} [${loan.rule}]${warnings}`;
+  }).join('\n');
+}
+
+// Debts left out of DTI, with the reason for each
+function formatExcludedDebts(calculations) {
+  return calculations.debtAnalyses
+    .filter(d => d.exclusion)
+    .map(d => {
+      const status = d.excluded ? 'EXCLUDED from DTI' : `still counted (${d.warning})`;
+      const payoff = d.payoffAmount > 0 ? `, payoff $${d.payoffAmount.toFixed(2)} added to cash to close` : '';
+      return `- ${d.type} ${d.creditor}: $${d.actualPayment.toFixed(2)}/mo ${status} - ${d.reason}${payoff}`;
+    })
+    .join('\n');
+}
+
+// Representative and per-borrower middle credit scores
+function formatCreditScores(borrower, calculations) {
+  const bureaus = scores => ['experian', 'equifax', 'transunion']
+    .filter(bureau => scores[bureau] > 0)
+    .map(bureau => `${bureau === 'transunion' ? 'TransUnion' : bureau[0].toUpperCase() + bureau.slice(1)} ${scores[bureau]}`)
+    .join(', ');
+  const lines = [`- Representative Credit Score: ${calculations.creditScore || 'Not provided'} (${calculations.creditScoreMethod.toLowerCase()})`];
+  const primaryBureaus = bureaus(calculations.bureauScores);
+  lines.push(`- Borrower Middle Score: ${calculations.middleScore || 'Not provided'}${primaryBureaus ? ` (${primaryBureaus})` : ''}`);
+  if (borrower.has_coborrower) {
+    const coBureaus = bureaus(calculations.coBureauScores);
+    lines.push(`- Co-Borrower Middle Score: ${calculations.coMiddleScore || 'Not provided'}${coBureaus ? ` (${coBureaus})` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+// Flags taxes or insurance that are still estimator figures, e.g. " (taxes and insurance estimated)"
+function formatEstimatedCosts(calculations) {
+  const estimated = [calculations.taxesEstimated && 'taxes', calculations.insuranceEstimated && 'insurance'].filter(Boolean);
+  return estimated.length ? ` (${estimated.join(' and ')} estimated)` : '';
+}
+
+// Selected DPA second lien and the programs the borrower matches
+function formatDownPaymentAssistance(calculations) {
+  const lines = [];
+  if (calculations.secondLienAmount > 0) {
+    const terms = calculations.secondLienDeferred
+      ? 'deferred, no monthly payment'
+      : `${calculations.secondLienRate.toFixed(3)}% for ${calculations.secondLienTermMonths / 12} years, $${calculations.secondLienPayment.toFixed(2)}/mo`;
+    lines.push(`- DPA Second Lien (${calculations.dpaProgramName}): $${calculations.secondLienAmount.toFixed(2)} (${terms})`);
+    lines.push(`- CLTV: ${calculations.cltv.toFixed(1)}%`);
+    if (calculations.dpaIneligibleReasons.length) {
+      lines.push(`- WARNING: ${calculations.dpaProgramName} eligibility - ${calculations.dpaIneligibleReasons.join('; ')}`);
+    }
+  }
+  const eligible = calculations.dpaMatches.filter(match => match.eligible).map(match => match.name);
+  lines.push(`- Eligible DPA Programs: ${eligible.length ? eligible.join(', ') : 'None'}`);
+  return lines.join('\n');
+}
+
+// Non-QM DSCR or bank statement qualification, when selected instead of full documentation
+function formatNonQMQualification(calculations) {
+  if (calculations.dscrAnalysis) {
+    const dscr = calculations.dscrAnalysis;
+    return `- Qualification: DSCR (borrower income and DTI not used) - ${dscr.passed ? 'PASS' : 'FAIL'}
+  DSCR ${dscr.ratio.toFixed(2)} = $${dscr.marketRent.toFixed(0)} market rent / $${dscr.pitia.toFixed(0)} PITIA (minimum ${dscr.minRatio.toFixed(2)}, rent needed $${dscr.breakevenRent.toFixed(0)})${dscr.reasons.length ? `
+  WARNING: ${dscr.reasons.join('; ')}` : ''}`;
+  }
+  if (calculations.bankStatementAnalysis) {
+    const statements = calculations.bankStatementAnalysis;
+    return `- Qualification: ${statements.months}-month bank statements (replaces the borrower's employment income in DTI; co-borrower income still counts)
+  Average deposits $${statements.averageMonthlyDeposits.toFixed(0)}/mo less ${statements.expenseFactor}% expense factor at ${statements.ownershipPercent}% ownership = $${statements.qualifyingIncome.toFixed(2)}/mo${statements.warnings.length ? `
+  WARNING: ${statements.warnings.join('; ')}` : ''}`;
+  }
+  return '';
+}
+
+// VA residual income test with the breakdown behind it
+function formatVAResidualIncome(calculations) {
+  const residual = calculations.vaResidualIncome;
+  if (!residual) return '';
+
+  return `- VA Residual Income: $${residual.residualIncome.toFixed(0)} vs $${residual.requiredResidual.toFixed(0)} required - ${residual.passed ? 'PASS' : 'FAIL'} (margin $${residual.margin.toFixed(0)})
+  Family of ${residual.familySize}, ${residual.region} region, loan ${residual.loanTier}${residual.dtiOverThreshold ? ', 120% of the table because DTI is over 41%' : ''}
+  Est. taxes $${residual.totalTaxes.toFixed(0)}/mo (federal $${residual.federalTax.toFixed(0)}, state $${residual.stateTax.toFixed(0)}, FICA $${residual.fica.toFixed(0)}), maintenance/utilities $${residual.maintenance.toFixed(0)} (${residual.squareFeet} sq ft${residual.squareFeetAssumed ? ' assumed' : ''})`;
+}
+
+// Maximum cash-out by program for refinances, with any warning on the entered amount
+function formatCashOutLimits(calculations) {
+  if (!calculations.cashOutLimits) return '';
+
+  const limits = calculations.cashOutLimits.map(limit => limit.eligible
+    ? `${limit.programName} $${Math.floor(limit.maxCashOut)} (${limit.limitedBy === 'DTI' ? `${limit.maxDTI}% DTI` : `${limit.maxLTV}% LTV`})`
+    : `${limit.programName} not available (${limit.reasons.join('; ')})`);
+  const lines = [`- Max Cash Out: ${limits.join(', ')}`];
+  calculations.cashOutWarnings.forEach(warning => lines.push(`- WARNING: ${warning}`));
+  return lines.join('\n');
+}
+
+// Existing vs. proposed loan comparison for refinances, used by the analysis prompt
+function formatRefinanceAnalysis(calculations) {
+  const analysis = calculations.refinanceAnalysis;
+  if (!analysis) return '- Refinance Benefit: current loan balance and rate not provided';
+
+  const lines = [
+    `- Current Loan: $${analysis.currentBalance.toFixed(0)} at ${analysis.currentRate}%${analysis.currentLoanType ? ` (${analysis.currentLoanType})` : ''}, ${analysis.remainingMonths} months remaining${analysis.remainingMonthsAssumed ? ' (assumed)' : ''}, P&I $${analysis.currentPrincipalAndInterest.toFixed(2)} + MI $${analysis.currentMonthlyMI.toFixed(2)}`,
+    `- Monthly Savings: $${analysis.monthlySavings.toFixed(2)} (current $${analysis.currentPayment.toFixed(2)} vs proposed $${analysis.proposedPayment.toFixed(2)} P&I + MI)`,
+    `- Breakeven: ${analysis.breakevenMonths !== null ? `${Math.ceil(analysis.breakevenMonths)} months to recover $${analysis.refinanceCosts.toFixed(2)} in costs` : 'never - no monthly savings'}`,
+    `- Interest Over Remaining Life: current $${analysis.currentRemainingInterest.toFixed(0)} vs proposed $${analysis.proposedLifetimeInterest.toFixed(0)} (${analysis.interestSavings >= 0 ? 'saves' : 'adds'} $${Math.abs(analysis.interestSavings).toFixed(0)})`
+  ];
+  if (analysis.netTangibleBenefit) {
+    const ntb = analysis.netTangibleBenefit;
+    lines.push(`- ${ntb.test} Net Tangible Benefit: ${ntb.passed ? 'MET' : 'NOT MET'} - ${ntb.details.join('; ')}`);
+  }
+  return lines.join('\n');
+}
+
+// Temporary buydown payment steps and interested-party contribution lines
+function formatBuydownAndConcessions(calculations) {
+  const lines = [];
+  if (calculations.buydownType) {
+    const steps = calculations.buydownSchedule
+      .map(year => `year ${year.year} ${year.rate.toFixed(3)}% $${year.principalAndInterest.toFixed(2)}`)
+      .join(', ');
+    lines.push(`- Temporary Buydown (${calculations.buydownType}, ${calculations.buydownPaidBy}-paid $${calculations.buydownCost.toFixed(2)}): P&I ${steps}; qualifies at the note rate`);
+  }
+  if (calculations.interestedPartyLimit !== null) {
+    const closingCostsNote = calculations.sellerPaidClosingCosts > 0 ? `; $${calculations.sellerPaidClosingCosts.toFixed(2)} of seller-paid closing costs not counted` : '';
+    lines.push(`- Seller Contributions: $${calculations.interestedPartyContributions.toFixed(2)} of $${calculations.interestedPartyLimit.toFixed(2)} allowed (${calculations.interestedPartyLimitPercent}% IPC limit)${closingCostsNote}`);
+  }
+  calculations.concessionWarnings.forEach(warning => lines.push(`- WARNING: ${warning}`));
+  return lines.join('\n');
+}
+
+// County loan limit lines
+function formatLoanLimits(calculations) {
+  const limit = calculations.loanLimit !== null ? `$${calculations.loanLimit.toFixed(0)}` : 'none';
+  const lines = [`- ${calculations.loanLimitLabel}: ${limit} (${calculations.loanLimitSource})${calculations.isHighBalance ? ' - HIGH BALANCE' : ''}`];
+  if (calculations.exceedsLoanLimit) {
+    lines.push(`- WARNING: ${calculations.loanLimitWarnings.join('; ')}`);
+    lines.push(`- Alternatives to consider: ${calculations.suggestedPrograms.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+// Asset depletion income and whether it is counted in qualifying income
+function formatAssetDepletion(calculations) {
+  const depletion = calculations.assetDepletion;
+  if (depletion.monthlyIncome <= 0) return '';
+
+  return `- Asset Depletion: $${depletion.monthlyIncome.toFixed(2)}/mo ($${depletion.eligibleAssets.toFixed(0)} left after cash to close and reserves / ${depletion.months} months${depletion.isOverride ? ', loan officer override' : ''}) - ${depletion.included ? 'included in income' : 'NOT included in income'}`;
+}
+
+// Reserves lines
+function formatReserves(calculations) {
+  const lines = [
+    `- Reserve-Eligible Assets (60% retirement, 70% stocks, no gifts): $${calculations.reserveEligibleAssets.toFixed(2)}`,
+    `- Reserves After Closing: $${calculations.reservesAfterClose.toFixed(2)} (${calculations.reserveMonths.toFixed(1)} months of PITI)`,
+    `- Reserves Required: ${calculations.reserveMonthsRequired} months ($${calculations.reservesRequired.toFixed(2)}) - ${calculations.reserveRequirementLabel}`,
+    `- Asset Verdict: ${calculations.assetVerdict}`
+  ];
+  if (calculations.otherPropertyReserves > 0) {
+    lines.splice(3, 0, `- Includes Other Financed Properties: $${calculations.otherPropertyReserves.toFixed(2)} (${calculations.otherPropertyReservePercent}% of UPB, ${calculations.otherFinancedProperties} financed properties)`);
+  }
+  if (calculations.giftFunds > 0) {
+    lines.splice(1, 0, `- Gift Funds (closing only): $${calculations.giftFunds.toFixed(2)}`);
+  }
+  return lines.join('\n');
+}
+
+// Upfront fee / mortgage insurance lines
+function formatProgramCosts(calculations) {
+  const lines = [];
+  if (calculations.upfrontFee > 0) {
+    lines.push(`- ${calculations.upfrontFeeLabel} (${calculations.upfrontFeeRate}%, financed): $${calculations.upfrontFee.toFixed(2)}`);
+    lines.push(`- Total Loan Amount: $${calculations.totalLoanAmount.toFixed(2)}`);
+  }
+  if (calculations.monthlyMI > 0) {
+    lines.push(`- ${calculations.miLabel} (${calculations.miAnnualRate}% annual): $${calculations.monthlyMI.toFixed(2)}/mo`);
+  } else {
+    lines.push('- Mortgage Insurance: None');
+  }
+  return lines.join('\n');
+}
+
 function generateMISMOXML(borrower, calculations) {
   const loanAmount = calculations.loanAmount;
+  const noteAmount = calculations.totalLoanAmount;
+  const isARM = calculations.amortizationType === 'ARM';
+  const armFixedMonths = isARM ? parseInt(calculations.armType) * 12 : 0;
   const today = new Date().toISOString().split('T')[0];
   const loanPurpose = borrower.loan_purpose || 'Purchase';
   const isRefinance = loanPurpose === 'Refinance';
@@ -1530,13 +2109,48 @@ function generateMISMOXML(borrower, calculations) {
                   <LoanIdentifier>PFP-${borrower.id}</LoanIdentifier>
                   <LoanIdentifierType>LenderLoan</LoanIdentifierType>
                 </LOAN_IDENTIFIER>
-              </LOAN_IDENTIFIERS>
+              </LOAN_IDENTIFIERS>${isARM ? `
+              <ADJUSTMENT>
+                <INTEREST_RATE_ADJUSTMENT>
+                  <INTEREST_RATE_LIFETIME_ADJUSTMENT_RULE>
+                    <FirstRateChangeMonthsCount>${armFixedMonths}</FirstRateChangeMonthsCount>
+                  </INTEREST_RATE_LIFETIME_ADJUSTMENT_RULE>
+                  <INTEREST_RATE_PER_CHANGE_ADJUSTMENT_RULES>
+                    <INTEREST_RATE_PER_CHANGE_ADJUSTMENT_RULE>
+                      <PerChangeRateAdjustmentFrequencyMonthsCount>6</PerChangeRateAdjustmentFrequencyMonthsCount>
+                    </INTEREST_RATE_PER_CHANGE_ADJUSTMENT_RULE>
+                  </INTEREST_RATE_PER_CHANGE_ADJUSTMENT_RULES>
+                </INTEREST_RATE_ADJUSTMENT>
+              </ADJUSTMENT>` : ''}
+              <AMORTIZATION>
+                <AMORTIZATION_RULE>
+                  <AmortizationType>${isARM ? 'AdjustableRate' : 'Fixed'}</AmortizationType>
+                  <LoanAmortizationPeriodCount>${calculations.loanTermMonths}</LoanAmortizationPeriodCount>
+                  <LoanAmortizationPeriodType>Month</LoanAmortizationPeriodType>
+                </AMORTIZATION_RULE>
+              </AMORTIZATION>${calculations.interestOnly ? `
+              <INTEREST_ONLY>
+                <InterestOnlyTermMonthsCount>${calculations.interestOnlyMonths}</InterestOnlyTermMonthsCount>
+              </INTEREST_ONLY>` : ''}
+              <LOAN_DETAIL>
+                <InterestOnlyIndicator>${calculations.interestOnly ? 'true' : 'false'}</InterestOnlyIndicator>
+              </LOAN_DETAIL>
+              <MATURITY>
+                <MATURITY_RULE>
+                  <LoanMaturityPeriodCount>${calculations.loanTermMonths}</LoanMaturityPeriodCount>
+                  <LoanMaturityPeriodType>Month</LoanMaturityPeriodType>
+                </MATURITY_RULE>
+              </MATURITY>
+              <QUALIFICATION>
+                <QualifyingRatePercent>${calculations.qualifyingRate}</QualifyingRatePercent>
+              </QUALIFICATION>
               <TERMS_OF_LOAN>
                 <BaseLoanAmount>${loanAmount.toFixed(2)}</BaseLoanAmount>
                 <LoanPurposeType>${loanPurposeType}</LoanPurposeType>
-                <MortgageType>Conventional</MortgageType>
-                <NoteAmount>${loanAmount.toFixed(2)}</NoteAmount>
-                <NoteRatePercent>${borrower.interest_rate || 7.0}</NoteRatePercent>
+                <MortgageType>${calculations.loanProgram === 'NonQM' ? 'Other' : calculations.loanProgram}</MortgageType>${calculations.loanProgram === 'NonQM' ? `
+                <MortgageTypeOtherDescription>NonQM</MortgageTypeOtherDescription>` : ''}
+                <NoteAmount>${noteAmount.toFixed(2)}</NoteAmount>
+                <NoteRatePercent>${calculations.noteRate}</NoteRatePercent>
               </TERMS_OF_LOAN>${isRefinance ? `
               <REFINANCE>
                 <RefinancePrimaryPurposeType>${borrower.refinance_type === 'Cash-Out' ? 'CashOutOther' : 'RateTermRefinance'}</RefinancePrimaryPurposeType>
@@ -1559,7 +2173,7 @@ function generateMISMOXML(borrower, calculations) {
                     <BORROWER_DETAIL>
                       <MaritalStatusType>${borrower.marital_status || 'Unknown'}</MaritalStatusType>
                       <DependentCount>${borrower.dependents || 0}</DependentCount>
-                    </BORROWER_DETAIL>
+                    </BORROWER_DETAIL>${formatMISMOCreditScores(calculations)}
                     <CURRENT_INCOME>
                       <CURRENT_INCOME_ITEMS>
                         <CURRENT_INCOME_ITEM>
@@ -1625,7 +2239,24 @@ function generateMISMOXML(borrower, calculations) {
                 <AssetType>Other</AssetType>
               </ASSET_DETAIL>
             </ASSET>
-          </ASSETS>
+          </ASSETS>${calculations.reoAnalyses.length > 0 ? `
+          <REAL_ESTATE_OWNED_ITEMS>${calculations.reoAnalyses.map(reo => `
+            <REAL_ESTATE_OWNED>
+              <ADDRESS>
+                <AddressLineText>${escapeXml(reo.address)}</AddressLineText>
+              </ADDRESS>
+              <REAL_ESTATE_OWNED_DETAIL>
+                <OwnedPropertyDispositionStatusType>${reo.status === 'Sell' ? 'Sold' : reo.status}</OwnedPropertyDispositionStatusType>
+                <PropertyCurrentUsageType>${{ 'Primary Residence': 'PrimaryResidence', 'Second Home': 'SecondHome', Investment: 'Investment' }[reo.occupancy] || 'Other'}</PropertyCurrentUsageType>
+                <PropertyEstimatedValueAmount>${reo.marketValue.toFixed(2)}</PropertyEstimatedValueAmount>
+                <OwnedPropertyLienUPBAmount>${reo.lienBalance.toFixed(2)}</OwnedPropertyLienUPBAmount>
+                <OwnedPropertyLienInstallmentAmount>${reo.lienPayment.toFixed(2)}</OwnedPropertyLienInstallmentAmount>
+                <OwnedPropertyMaintenanceExpenseAmount>${(reo.pitia - reo.lienPayment).toFixed(2)}</OwnedPropertyMaintenanceExpenseAmount>
+                <OwnedPropertyRentalIncomeGrossAmount>${reo.grossRent.toFixed(2)}</OwnedPropertyRentalIncomeGrossAmount>
+                <OwnedPropertyRentalIncomeNetAmount>${(reo.netRental || 0).toFixed(2)}</OwnedPropertyRentalIncomeNetAmount>
+              </REAL_ESTATE_OWNED_DETAIL>
+            </REAL_ESTATE_OWNED>`).join('')}
+          </REAL_ESTATE_OWNED_ITEMS>` : ''}
           <LIABILITIES>
             <LIABILITY>
               <LIABILITY_DETAIL>
@@ -1656,6 +2287,28 @@ function generateMISMOXML(borrower, calculations) {
 </MESSAGE>`;
 }
 
+// Primary borrower's bureau scores plus the representative score used for qualifying
+function formatMISMOCreditScores(calculations) {
+  const repositories = { experian: 'Experian', equifax: 'Equifax', transunion: 'TransUnion' };
+  const scores = Object.keys(repositories)
+    .filter(bureau => calculations.bureauScores[bureau] > 0)
+    .map(bureau => ({ source: repositories[bureau], value: calculations.bureauScores[bureau] }));
+  if (calculations.creditScore > 0) {
+    scores.push({ source: 'MergedData', value: calculations.creditScore });
+  }
+  if (scores.length === 0) return '';
+
+  return `
+                    <CREDIT_SCORES>${scores.map(score => `
+                      <CREDIT_SCORE>
+                        <CREDIT_SCORE_DETAIL>
+                          <CreditRepositorySourceType>${score.source}</CreditRepositorySourceType>
+                          <CreditScoreValue>${score.value}</CreditScoreValue>
+                        </CREDIT_SCORE_DETAIL>
+                      </CREDIT_SCORE>`).join('')}
+                    </CREDIT_SCORES>`;
+}
+
 function escapeXml(str) {
   return str
     .replace(/&/g, '&amp;')
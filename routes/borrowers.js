@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database');
+const { calculateBorrowerMetrics, applyScenario, SCENARIO_FIELDS } = require('../public/js/calculator');
+
+const MAX_SCENARIOS = 4;
 
 // Update borrower data (auto-save from frontend)
 router.post('/:id/save', (req, res) => {
@@ -15,22 +18,36 @@ router.post('/:id/save', (req, res) => {
     'date_of_birth', 'ssn', 'marital_status', 'dependents',
     'citizenship_status', 'first_time_homebuyer',
     'military_status', 'employment_type', 'current_housing', 'monthly_rent', 'planning_to_sell_home',
-    'address_years', 'address_months',
+    'address_years', 'address_months', 'previous_residences',
     'has_coborrower', 'co_first_name', 'co_last_name', 'co_phone', 'co_email',
     'co_street_address', 'co_city', 'co_state', 'co_zip',
     'co_date_of_birth', 'co_ssn', 'co_marital_status', 'co_dependents',
     'co_citizenship_status', 'co_military_status', 'co_employment_type',
-    'co_address_years', 'co_address_months',
-    'employers', 'other_income', 'co_employers', 'co_other_income',
-    'assets', 'debts',
+    'co_address_years', 'co_address_months', 'co_previous_residences',
+    'employers', 'other_income', 'co_employers', 'co_other_income', 'nontaxable_gross_up_percent',
+    'assets', 'debts', 'reserve_months_required', 'reo_properties',
+    'asset_depletion_months', 'asset_depletion_included',
     'loan_purpose', 'purchase_price', 'down_payment_amount', 'down_payment_percent',
-    'property_type', 'occupancy', 'property_state', 'property_county',
-    'property_taxes_annual', 'hoa_monthly', 'insurance_annual', 'interest_rate',
+    'property_type', 'property_square_feet', 'occupancy', 'property_state', 'property_county', 'loan_limits',
+    'property_taxes_annual', 'hoa_monthly', 'insurance_annual', 'interest_rate', 'subject_rent_monthly',
+    'property_taxes_estimated', 'insurance_estimated',
+    'rate_sheet_id', 'rate_lock_days', 'discount_points',
+    'dpa_program', 'dpa_amount',
     'subject_property_street', 'subject_property_city', 'subject_property_zip',
-    'home_buying_stage', 'preferred_loan_type',
+    'home_buying_stage', 'preferred_loan_type', 'conventional_investor', 'va_prior_use', 'va_funding_fee_exempt',
+    'nonqm_mode', 'dscr_min_ratio', 'dscr_reserve_months', 'bank_statement_months', 'bank_statement_deposits',
+    'bank_statement_expense_factor', 'bank_statement_ownership_percent',
+    'loan_term_months', 'amortization_type', 'arm_type', 'interest_only', 'interest_only_months',
+    'closing_cost_fees', 'closing_date', 'earnest_money', 'seller_credits', 'lender_credits',
+    'buydown_type', 'buydown_paid_by',
+    'extra_monthly_payment', 'lump_sum_payment', 'lump_sum_month', 'amortization_in_pdf',
     'refinance_type', 'property_value', 'current_loan_balance', 'current_interest_rate',
+    'current_loan_type', 'current_loan_remaining_months', 'current_monthly_mi',
+    'property_acquired_date', 'current_loan_first_payment_date',
     'cash_out_amount', 'cash_out_purpose',
     'credit_score', 'co_credit_score', 'late_payments_12', 'late_payments_24',
+    'credit_score_experian', 'credit_score_equifax', 'credit_score_transunion',
+    'co_credit_score_experian', 'co_credit_score_equifax', 'co_credit_score_transunion',
     'bankruptcy', 'foreclosure', 'collections', 'collections_amount',
     'status'
   ];
@@ -42,7 +59,7 @@ router.post('/:id/save', (req, res) => {
     if (data[field] !== undefined) {
       updates.push(`${field} = ?`);
       // Stringify JSON fields
-      if (['employers', 'other_income', 'co_employers', 'co_other_income', 'assets', 'debts'].includes(field)) {
+      if (['employers', 'other_income', 'co_employers', 'co_other_income', 'assets', 'debts', 'closing_cost_fees', 'reo_properties', 'loan_limits', 'bank_statement_deposits', 'previous_residences', 'co_previous_residences'].includes(field)) {
         values.push(JSON.stringify(data[field]));
       } else {
         values.push(data[field]);
@@ -81,6 +98,11 @@ router.get('/:id', (req, res) => {
   borrower.co_other_income = JSON.parse(borrower.co_other_income || '[]');
   borrower.assets = JSON.parse(borrower.assets || '[]');
   borrower.debts = JSON.parse(borrower.debts || '[]');
+  borrower.reo_properties = JSON.parse(borrower.reo_properties || '[]');
+  borrower.loan_limits = JSON.parse(borrower.loan_limits || 'null');
+  borrower.bank_statement_deposits = JSON.parse(borrower.bank_statement_deposits || '[]');
+  borrower.previous_residences = JSON.parse(borrower.previous_residences || '[]');
+  borrower.co_previous_residences = JSON.parse(borrower.co_previous_residences || '[]');
 
   const calculations = calculateBorrowerMetrics(borrower);
 
@@ -90,227 +112,99 @@ router.get('/:id', (req, res) => {
 // Delete borrower
 router.delete('/:id', (req, res) => {
   const database = db.getDb();
+  database.prepare('DELETE FROM borrower_scenarios WHERE borrower_id = ?').run(req.params.id);
   database.prepare('DELETE FROM borrowers WHERE id = ?').run(req.params.id);
   res.json({ success: true });
 });
 
-// Calculate all borrower metrics
-function calculateBorrowerMetrics(borrower) {
-  // Parse JSON if needed
-  const employers = typeof borrower.employers === 'string'
-    ? JSON.parse(borrower.employers || '[]')
-    : (borrower.employers || []);
-  const otherIncome = typeof borrower.other_income === 'string'
-    ? JSON.parse(borrower.other_income || '[]')
-    : (borrower.other_income || []);
-  const coEmployers = typeof borrower.co_employers === 'string'
-    ? JSON.parse(borrower.co_employers || '[]')
-    : (borrower.co_employers || []);
-  const coOtherIncome = typeof borrower.co_other_income === 'string'
-    ? JSON.parse(borrower.co_other_income || '[]')
-    : (borrower.co_other_income || []);
-  const assets = typeof borrower.assets === 'string'
-    ? JSON.parse(borrower.assets || '[]')
-    : (borrower.assets || []);
-  const debts = typeof borrower.debts === 'string'
-    ? JSON.parse(borrower.debts || '[]')
-    : (borrower.debts || []);
-
-  // Helper function to calculate annual salary from amount and frequency
-  const calculateAnnualSalary = (emp) => {
-    const amount = parseFloat(emp.salary_amount) || parseFloat(emp.annual_salary) || 0;
-    const frequency = emp.salary_frequency || 'annual';
-
-    if (frequency === 'annual') {
-      return amount;
-    } else if (frequency === 'monthly') {
-      return amount * 12;
-    } else if (frequency === 'weekly') {
-      return amount * 52;
-    }
-    return amount;
-  };
-
-  // Calculate monthly income from employers (excluding previous employers)
-  let monthlyEmploymentIncome = 0;
-  for (const emp of employers) {
-    // Skip previous employers in income calculation
-    if (emp.is_previous) continue;
-
-    if (emp.pay_type === 'salary') {
-      const annualSalary = calculateAnnualSalary(emp);
-      monthlyEmploymentIncome += annualSalary / 12;
-    } else {
-      monthlyEmploymentIncome += (parseFloat(emp.hourly_rate) || 0) * (parseFloat(emp.hours_per_week) || 0) * 4.333;
-    }
-    monthlyEmploymentIncome += parseFloat(emp.overtime_monthly) || 0;
-    monthlyEmploymentIncome += parseFloat(emp.bonus_monthly) || 0;
-    monthlyEmploymentIncome += parseFloat(emp.commission_monthly) || 0;
-  }
+// ============================================
+// SAVED SCENARIOS
+// ============================================
 
-  // Co-borrower employment income (excluding previous employers)
-  let coMonthlyEmploymentIncome = 0;
-  if (borrower.has_coborrower) {
-    for (const emp of coEmployers) {
-      // Skip previous employers in income calculation
-      if (emp.is_previous) continue;
+// Scenarios for a borrower, each recomputed against the borrower's current data
+function getScenariosWithCalculations(borrower) {
+  const database = db.getDb();
+  const scenarios = database.prepare('SELECT * FROM borrower_scenarios WHERE borrower_id = ? ORDER BY created_at, id').all(borrower.id);
 
-      if (emp.pay_type === 'salary') {
-        const annualSalary = calculateAnnualSalary(emp);
-        coMonthlyEmploymentIncome += annualSalary / 12;
-      } else {
-        coMonthlyEmploymentIncome += (parseFloat(emp.hourly_rate) || 0) * (parseFloat(emp.hours_per_week) || 0) * 4.333;
-      }
-      coMonthlyEmploymentIncome += parseFloat(emp.overtime_monthly) || 0;
-      coMonthlyEmploymentIncome += parseFloat(emp.bonus_monthly) || 0;
-      coMonthlyEmploymentIncome += parseFloat(emp.commission_monthly) || 0;
-    }
-  }
+  return scenarios.map(scenario => ({
+    ...scenario,
+    calculations: calculateBorrowerMetrics(applyScenario(borrower, scenario))
+  }));
+}
 
-  // Other income
-  let monthlyOtherIncome = 0;
-  for (const inc of otherIncome) {
-    monthlyOtherIncome += parseFloat(inc.monthly_amount) || 0;
-  }
+// List scenarios with calculations
+router.get('/:id/scenarios', (req, res) => {
+  const database = db.getDb();
+  const borrower = database.prepare('SELECT * FROM borrowers WHERE id = ?').get(req.params.id);
 
-  let coMonthlyOtherIncome = 0;
-  if (borrower.has_coborrower) {
-    for (const inc of coOtherIncome) {
-      coMonthlyOtherIncome += parseFloat(inc.monthly_amount) || 0;
-    }
+  if (!borrower) {
+    return res.status(404).json({ error: 'Borrower not found' });
   }
 
-  const totalMonthlyIncome = monthlyEmploymentIncome + coMonthlyEmploymentIncome + monthlyOtherIncome + coMonthlyOtherIncome;
-  const annualIncome = totalMonthlyIncome * 12;
-
-  // Calculate assets
-  let totalAssets = 0;
-  let liquidAssets = 0;
-  for (const asset of assets) {
-    const balance = parseFloat(asset.balance) || 0;
-    totalAssets += balance;
-    if (!['401(k)/IRA'].includes(asset.type)) {
-      liquidAssets += balance;
-    }
-  }
+  res.json({ scenarios: getScenariosWithCalculations(borrower), maxScenarios: MAX_SCENARIOS });
+});
 
-  // Calculate debts
-  let totalMonthlyDebts = 0;
-  for (const debt of debts) {
-    totalMonthlyDebts += parseFloat(debt.monthly_payment) || 0;
+// Save a new scenario
+router.post('/:id/scenarios', (req, res) => {
+  const database = db.getDb();
+  const borrower = database.prepare('SELECT * FROM borrowers WHERE id = ?').get(req.params.id);
+
+  if (!borrower) {
+    return res.status(404).json({ error: 'Borrower not found' });
   }
 
-  // Property calculations - handle Purchase vs Refinance
-  const loanPurpose = borrower.loan_purpose || 'Purchase';
-  let loanAmount = 0;
-  let ltv = 0;
-  let propertyValue = 0;
-
-  if (loanPurpose === 'Refinance') {
-    // Refinance: loan amount based on current balance + cash out
-    propertyValue = parseFloat(borrower.property_value) || 0;
-    const currentLoanBalance = parseFloat(borrower.current_loan_balance) || 0;
-    const cashOutAmount = parseFloat(borrower.cash_out_amount) || 0;
-    loanAmount = currentLoanBalance + cashOutAmount;
-    ltv = propertyValue > 0 ? (loanAmount / propertyValue) * 100 : 0;
-  } else {
-    // Purchase: loan amount = purchase price - down payment
-    const purchasePrice = parseFloat(borrower.purchase_price) || 0;
-    const downPaymentAmount = parseFloat(borrower.down_payment_amount) || 0;
-    propertyValue = purchasePrice;
-    loanAmount = purchasePrice - downPaymentAmount;
-    ltv = purchasePrice > 0 ? (loanAmount / purchasePrice) * 100 : 0;
+  const { count } = database.prepare('SELECT COUNT(*) as count FROM borrower_scenarios WHERE borrower_id = ?').get(borrower.id);
+  if (count >= MAX_SCENARIOS) {
+    return res.status(400).json({ error: `A borrower can have at most ${MAX_SCENARIOS} saved scenarios` });
   }
 
-  // Calculate monthly PITI
-  const interestRate = parseFloat(borrower.interest_rate) || 7.0;
-  const monthlyRate = interestRate / 100 / 12;
-  const numPayments = 360; // 30-year fixed
+  const data = req.body;
+  const name = (data.name || '').trim() || `Scenario ${count + 1}`;
+  const values = SCENARIO_FIELDS.map(field => {
+    const value = data[field];
+    if (value === null || value === undefined || value === '') return null;
+    return field === 'preferred_loan_type' ? String(value) : parseFloat(value);
+  });
+
+  const result = database.prepare(`
+    INSERT INTO borrower_scenarios (borrower_id, name, ${SCENARIO_FIELDS.join(', ')})
+    VALUES (?, ?, ${SCENARIO_FIELDS.map(() => '?').join(', ')})
+  `).run(borrower.id, name, ...values);
+
+  const scenario = database.prepare('SELECT * FROM borrower_scenarios WHERE id = ?').get(result.lastInsertRowid);
+  res.json({
+    success: true,
+    scenario: { ...scenario, calculations: calculateBorrowerMetrics(applyScenario(borrower, scenario)) }
+  });
+});
 
-  let principalAndInterest = 0;
-  if (loanAmount > 0 && monthlyRate > 0) {
-    principalAndInterest = loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / (Math.pow(1 + monthlyRate, numPayments) - 1);
-  }
+// Rename a scenario or toggle whether it prints on the client PDF
+router.put('/:id/scenarios/:scenarioId', (req, res) => {
+  const database = db.getDb();
+  const scenario = database.prepare('SELECT * FROM borrower_scenarios WHERE id = ? AND borrower_id = ?')
+    .get(req.params.scenarioId, req.params.id);
 
-  const monthlyTaxes = (parseFloat(borrower.property_taxes_annual) || 0) / 12;
-  const monthlyInsurance = (parseFloat(borrower.insurance_annual) || 0) / 12;
-  const monthlyHOA = parseFloat(borrower.hoa_monthly) || 0;
-
-  const totalPITI = principalAndInterest + monthlyTaxes + monthlyInsurance + monthlyHOA;
-
-  // DTI calculations
-  const frontEndDTI = totalMonthlyIncome > 0 ? (totalPITI / totalMonthlyIncome) * 100 : 0;
-  const backEndDTI = totalMonthlyIncome > 0 ? ((totalMonthlyDebts + totalPITI) / totalMonthlyIncome) * 100 : 0;
-  const currentDTI = totalMonthlyIncome > 0 ? (totalMonthlyDebts / totalMonthlyIncome) * 100 : 0;
-
-  // Max purchase power calculations
-  const calculateMaxPurchase = (targetDTI) => {
-    if (totalMonthlyIncome <= 0) return 0;
-    const maxTotalPayment = (totalMonthlyIncome * targetDTI / 100) - totalMonthlyDebts;
-    const maxPITI = maxTotalPayment;
-    const maxPI = maxPITI - monthlyTaxes - monthlyInsurance - monthlyHOA;
-    if (maxPI <= 0 || monthlyRate <= 0) return 0;
-    const maxLoan = maxPI * (Math.pow(1 + monthlyRate, numPayments) - 1) / (monthlyRate * Math.pow(1 + monthlyRate, numPayments));
-    // Use borrower's down payment percent or default to 3%
-    const price = parseFloat(borrower.purchase_price) || 0;
-    const downPmt = parseFloat(borrower.down_payment_amount) || 0;
-    const downPaymentPercent = price > 0 ? (downPmt / price) : 0.03;
-    return maxLoan / (1 - downPaymentPercent);
-  };
-
-  // Estimated cash to close (varies by loan purpose)
-  const closingCosts = loanAmount * 0.03; // Estimate 3% closing costs
-  const prepaidItems = (monthlyTaxes + monthlyInsurance) * 6; // 6 months escrow
-  let cashToClose = 0;
-
-  if (loanPurpose === 'Refinance') {
-    // For refinance, only closing costs (can potentially be rolled into loan)
-    cashToClose = closingCosts + prepaidItems;
-  } else {
-    // For purchase, down payment + closing costs + prepaids
-    const downPaymentAmount = parseFloat(borrower.down_payment_amount) || 0;
-    cashToClose = downPaymentAmount + closingCosts + prepaidItems;
+  if (!scenario) {
+    return res.status(404).json({ error: 'Scenario not found' });
   }
 
-  return {
-    // Income
-    monthlyEmploymentIncome,
-    coMonthlyEmploymentIncome,
-    monthlyOtherIncome,
-    coMonthlyOtherIncome,
-    totalMonthlyIncome,
-    annualIncome,
-
-    // Assets
-    totalAssets,
-    liquidAssets,
-
-    // Debts
-    totalMonthlyDebts,
-    currentDTI,
-
-    // Property
-    loanAmount,
-    ltv,
-    principalAndInterest,
-    monthlyTaxes,
-    monthlyInsurance,
-    monthlyHOA,
-    totalPITI,
-
-    // DTI
-    frontEndDTI,
-    backEndDTI,
-
-    // Max purchase
-    maxPurchase43: calculateMaxPurchase(43),
-    maxPurchase45: calculateMaxPurchase(45),
-    maxPurchase50: calculateMaxPurchase(50),
-
-    // Cash to close
-    cashToClose
-  };
-}
+  const name = req.body.name !== undefined ? (String(req.body.name).trim() || scenario.name) : scenario.name;
+  const includeInPdf = req.body.include_in_pdf !== undefined ? (req.body.include_in_pdf ? 1 : 0) : scenario.include_in_pdf;
+
+  database.prepare('UPDATE borrower_scenarios SET name = ?, include_in_pdf = ? WHERE id = ?')
+    .run(name, includeInPdf, scenario.id);
+
+  res.json({ success: true });
+});
+
+// Delete a scenario
+router.delete('/:id/scenarios/:scenarioId', (req, res) => {
+  const database = db.getDb();
+  database.prepare('DELETE FROM borrower_scenarios WHERE id = ? AND borrower_id = ?')
+    .run(req.params.scenarioId, req.params.id);
+  res.json({ success: true });
+});
 
 module.exports = router;
 module.exports.calculateBorrowerMetrics = calculateBorrowerMetrics;
+module.exports.getScenariosWithCalculations = getScenariosWithCalculations;
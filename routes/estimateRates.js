@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { DEFAULT_ESTIMATE_RATES } = require('../public/js/calculator');
+
+const RATE_TYPES = ['tax', 'insurance'];
+
+// Calculator defaults with any saved county tax and property type insurance overrides applied
+function getEstimateRates() {
+  const database = db.getDb();
+  const rates = {
+    ...DEFAULT_ESTIMATE_RATES,
+    tax: { ...DEFAULT_ESTIMATE_RATES.tax },
+    insurance: { ...DEFAULT_ESTIMATE_RATES.insurance }
+  };
+
+  for (const { rate_type, name, rate } of database.prepare('SELECT * FROM estimate_rates').all()) {
+    rates[rate_type][name] = rate;
+  }
+  return rates;
+}
+
+// All estimate rates
+router.get('/', (req, res) => {
+  res.json({ rates: getEstimateRates() });
+});
+
+// Save one county tax rate (PUT /tax/Salt Lake) or property type insurance rate (PUT /insurance/TOWNHOUSE)
+router.put('/:type/:name', (req, res) => {
+  const rate = parseFloat(req.body.rate);
+  if (!RATE_TYPES.includes(req.params.type)) {
+    return res.status(400).json({ error: 'Rate type must be tax or insurance' });
+  }
+  if (isNaN(rate) || rate < 0) {
+    return res.status(400).json({ error: 'Rate must be a non-negative number' });
+  }
+
+  const database = db.getDb();
+  database.prepare(`
+    INSERT INTO estimate_rates (rate_type, name, rate, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(rate_type, name) DO UPDATE SET rate = excluded.rate, updated_at = CURRENT_TIMESTAMP
+  `).run(req.params.type, req.params.name, rate);
+
+  res.json({ success: true, rates: getEstimateRates() });
+});
+
+module.exports = router;
+module.exports.getEstimateRates = getEstimateRates;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database');
+const { DEFAULT_CLOSING_COST_TEMPLATE, SELF_EMPLOYMENT_LINE_ITEMS, SCHEDULE_E_LINE_ITEMS, DPA_PROGRAMS, TEMPORARY_BUYDOWNS } = require('../public/js/calculator');
+const { findLoanLimits, getLimitYear } = require('./loanLimits');
+const { getEstimateRates } = require('./estimateRates');
 
 // Home page - shows list of borrowers or new borrower form
 router.get('/', (req, res) => {
@@ -48,6 +51,21 @@ router.get('/interview/:id', (req, res) => {
   borrower.co_other_income = JSON.parse(borrower.co_other_income || '[]');
   borrower.assets = JSON.parse(borrower.assets || '[]');
   borrower.debts = JSON.parse(borrower.debts || '[]');
+  borrower.reo_properties = JSON.parse(borrower.reo_properties || '[]');
+  borrower.closing_cost_fees = JSON.parse(borrower.closing_cost_fees || '{}');
+  borrower.bank_statement_deposits = JSON.parse(borrower.bank_statement_deposits || '[]');
+  borrower.previous_residences = JSON.parse(borrower.previous_residences || '[]');
+  borrower.co_previous_residences = JSON.parse(borrower.co_previous_residences || '[]');
+
+  // Show the county's current loan limits in case a newer limits file was loaded since the last visit;
+  // the page saves them through autosave when they changed
+  let loanLimitsChanged = false;
+  if (borrower.property_county) {
+    const limits = JSON.stringify(findLoanLimits(borrower.property_state || 'Utah', borrower.property_county, getLimitYear(borrower)));
+    loanLimitsChanged = limits !== (borrower.loan_limits || 'null');
+    borrower.loan_limits = limits;
+  }
+  borrower.loan_limits = JSON.parse(borrower.loan_limits || 'null');
 
   // Get chat history
   const chatHistory = database.prepare(`
@@ -59,7 +77,14 @@ router.get('/interview/:id', (req, res) => {
   res.render('interview', {
     title: `Interview - ${borrower.first_name || 'New'} ${borrower.last_name || 'Borrower'}`,
     borrower,
-    chatHistory
+    loanLimitsChanged,
+    chatHistory,
+    closingCostDefaults: DEFAULT_CLOSING_COST_TEMPLATE,
+    estimateRates: getEstimateRates(),
+    dpaPrograms: DPA_PROGRAMS,
+    temporaryBuydowns: TEMPORARY_BUYDOWNS,
+    selfEmploymentLineItems: SELF_EMPLOYMENT_LINE_ITEMS,
+    scheduleELineItems: SCHEDULE_E_LINE_ITEMS
   });
 });
 
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const db = require('../database');
+const { parseCsv } = require('../services/csv');
+const { getNationalConformingBaseline, getStateCode } = require('../public/js/calculator');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+const UNIT_COLUMNS = [1, 2, 3, 4];
+const LIMIT_COLUMNS = [
+  ...UNIT_COLUMNS.map(units => `conforming_${units}_unit`),
+  ...UNIT_COLUMNS.map(units => `fha_${units}_unit`),
+  'va_limit'
+];
+
+// "Utah" / "ut" -> "UT"; "Salt Lake County" -> "Salt Lake"
+function normalizeState(state) {
+  return getStateCode(state) || String(state || '').trim().toUpperCase();
+}
+
+function normalizeCounty(county) {
+  return String(county || '').trim().replace(/\s+county$/i, '');
+}
+
+// Limits for a county in the shape the calculator reads from borrower.loan_limits.
+// Uses the latest year on or before the requested one, else the nearest later year.
+// The conforming baseline is the published national one for that year, not derived from loaded rows.
+function findLoanLimits(state, county, year) {
+  const database = db.getDb();
+  const row = database.prepare(`
+    SELECT * FROM loan_limits
+    WHERE state = ? AND lower(county) = lower(?)
+    ORDER BY (year <= ?) DESC, CASE WHEN year <= ? THEN -year ELSE year END
+    LIMIT 1
+  `).get(normalizeState(state), normalizeCounty(county), year, year);
+
+  if (!row) return null;
+
+  return {
+    state: row.state,
+    county: row.county,
+    year: row.year,
+    conforming: UNIT_COLUMNS.map(units => row[`conforming_${units}_unit`]),
+    conforming_baseline: getNationalConformingBaseline(row.year),
+    fha: UNIT_COLUMNS.map(units => row[`fha_${units}_unit`]),
+    va_limit: row.va_limit
+  };
+}
+
+// Limit year for a borrower: the year they close, else this year
+function getLimitYear(borrower) {
+  const closingYear = parseInt(String(borrower.closing_date || '').slice(0, 4));
+  return closingYear || new Date().getFullYear();
+}
+
+// Years loaded and how many counties each covers
+router.get('/', (req, res) => {
+  const database = db.getDb();
+  const years = database.prepare(`
+    SELECT year, COUNT(*) AS counties FROM loan_limits GROUP BY year ORDER BY year DESC
+  `).all();
+  res.json({ years });
+});
+
+// Limits for one county
+router.get('/lookup', (req, res) => {
+  const limits = findLoanLimits(req.query.state, req.query.county, parseInt(req.query.year) || new Date().getFullYear());
+
+  if (!limits) {
+    return res.status(404).json({ error: 'No loan limits loaded for this county' });
+  }
+
+  res.json({ limits });
+});
+
+// Load limits from a CSV with columns: state, county, year, conforming_1_unit..conforming_4_unit,
+// fha_1_unit..fha_4_unit, va_limit. Rows replace any existing limits for the same county and year.
+// Responds with the number of counties loaded.
+router.post('/', upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const [header = [], ...rows] = parseCsv(req.file.buffer.toString('utf8'));
+  // "Conforming 1-Unit" and "conforming_1_unit" both match
+  const columnKey = name => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  const columns = header.map(columnKey);
+  if (!columns.includes('state') || !columns.includes('county')) {
+    return res.status(400).json({ error: 'CSV needs state and county columns' });
+  }
+
+  const database = db.getDb();
+  const upsert = database.prepare(`
+    INSERT INTO loan_limits (state, county, year, ${LIMIT_COLUMNS.join(', ')}, updated_at)
+    VALUES (?, ?, ?, ${LIMIT_COLUMNS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+    ON CONFLICT(state, county, year) DO UPDATE SET
+      ${LIMIT_COLUMNS.map(column => `${column} = excluded.${column}`).join(', ')},
+      updated_at = CURRENT_TIMESTAMP
+  `);
+  const defaultYear = parseInt(req.body.year) || new Date().getFullYear();
+
+  const counties = new Set();
+  database.transaction(() => {
+    for (const cells of rows) {
+      const record = Object.fromEntries(columns.map((column, i) => [column, (cells[i] || '').trim()]));
+      if (!record.state || !record.county) continue;
+
+      const state = normalizeState(record.state);
+      const county = normalizeCounty(record.county);
+      const amount = value => parseFloat(String(value || '').replace(/[$,]/g, '')) || null;
+      upsert.run(
+        state,
+        county,
+        parseInt(record.year) || defaultYear,
+        ...LIMIT_COLUMNS.map(column => amount(record[column]))
+      );
+      counties.add(`${state}|${county.toLowerCase()}`);
+    }
+  })();
+
+  res.json({ success: true, imported: counties.size });
+});
+
+module.exports = router;
+module.exports.findLoanLimits = findLoanLimits;
+module.exports.getLimitYear = getLimitYear;
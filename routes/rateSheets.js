@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const db = require('../database');
+const { parseRateSheet } = require('../services/rateSheetParser');
+const { DEFAULT_PRICING_ADJUSTMENTS, PRICING_ADJUSTMENT_LABELS } = require('../public/js/calculator');
+
+// Rate sheets are parsed in memory; only the extracted price table is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+function parseRateSheetRow(sheet) {
+  return {
+    ...sheet,
+    lock_periods: JSON.parse(sheet.lock_periods || '[]'),
+    rates: JSON.parse(sheet.rates || '[]'),
+    adjustments: { ...DEFAULT_PRICING_ADJUSTMENTS, ...JSON.parse(sheet.adjustments || '{}') }
+  };
+}
+
+// Agency LLPAs only apply to conventional sheets; other programs start with an empty grid to fill in
+function getInitialAdjustments(loanProgram) {
+  if (loanProgram === 'Conventional') return DEFAULT_PRICING_ADJUSTMENTS;
+
+  const zeroed = { ...DEFAULT_PRICING_ADJUSTMENTS };
+  zeroed.creditScoreLtv = DEFAULT_PRICING_ADJUSTMENTS.creditScoreLtv.map(row => row.map(() => 0));
+  for (const key of Object.keys(PRICING_ADJUSTMENT_LABELS)) {
+    zeroed[key] = DEFAULT_PRICING_ADJUSTMENTS[key].map(() => 0);
+  }
+  return zeroed;
+}
+
+// All uploaded rate sheets with their price tables
+router.get('/', (req, res) => {
+  const database = db.getDb();
+  const sheets = database.prepare('SELECT * FROM rate_sheets ORDER BY created_at DESC, id DESC').all();
+  res.json({ sheets: sheets.map(parseRateSheetRow) });
+});
+
+// Upload and parse a rate sheet (CSV, XLSX or PDF)
+router.post('/', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  let table;
+  try {
+    table = await parseRateSheet(req.file);
+  } catch (error) {
+    console.error('Rate sheet parse error:', error.message);
+    return res.status(400).json({ error: error.message });
+  }
+
+  const database = db.getDb();
+  const loanProgram = req.body.loan_program || 'Conventional';
+  const result = database.prepare(`
+    INSERT INTO rate_sheets (name, loan_program, source_filename, lock_periods, rates, adjustments)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    req.body.name || req.file.originalname,
+    loanProgram,
+    req.file.originalname,
+    JSON.stringify(table.lockPeriods),
+    JSON.stringify(table.rates),
+    JSON.stringify(getInitialAdjustments(loanProgram))
+  );
+
+  const sheet = database.prepare('SELECT * FROM rate_sheets WHERE id = ?').get(result.lastInsertRowid);
+  res.json({ success: true, sheet: parseRateSheetRow(sheet) });
+});
+
+// Save a rate sheet's loan-level price adjustments
+router.put('/:id/adjustments', (req, res) => {
+  const database = db.getDb();
+  const sheet = database.prepare('SELECT * FROM rate_sheets WHERE id = ?').get(req.params.id);
+
+  if (!sheet) {
+    return res.status(404).json({ error: 'Rate sheet not found' });
+  }
+
+  // Keep the default grid's shape; blank or invalid cells count as no adjustment
+  const submitted = req.body.adjustments || {};
+  const toPoints = value => parseFloat(value) || 0;
+  const adjustments = { ...JSON.parse(sheet.adjustments || '{}') };
+  if (Array.isArray(submitted.creditScoreLtv)) {
+    adjustments.creditScoreLtv = DEFAULT_PRICING_ADJUSTMENTS.creditScoreLtv.map((row, r) =>
+      row.map((_, c) => toPoints((submitted.creditScoreLtv[r] || [])[c])));
+  }
+  for (const key of Object.keys(PRICING_ADJUSTMENT_LABELS)) {
+    if (Array.isArray(submitted[key])) {
+      adjustments[key] = DEFAULT_PRICING_ADJUSTMENTS[key].map((_, c) => toPoints(submitted[key][c]));
+    }
+  }
+
+  database.prepare('UPDATE rate_sheets SET adjustments = ? WHERE id = ?').run(JSON.stringify(adjustments), req.params.id);
+  res.json({ success: true, adjustments: { ...DEFAULT_PRICING_ADJUSTMENTS, ...adjustments } });
+});
+
+// Delete a rate sheet
+router.delete('/:id', (req, res) => {
+  const database = db.getDb();
+  database.prepare('DELETE FROM rate_sheets WHERE id = ?').run(req.params.id);
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -8,6 +8,9 @@ const db = require('./database');
 const indexRoutes = require('./routes/index');
 const borrowerRoutes = require('./routes/borrowers');
 const knowledgeRoutes = require('./routes/knowledge');
+const rateSheetRoutes = require('./routes/rateSheets');
+const loanLimitRoutes = require('./routes/loanLimits');
+const estimateRateRoutes = require('./routes/estimateRates');
 const apiRoutes = require('./routes/api');
 
 const app = express();
@@ -303,14 +306,14 @@ function buildArivePayload(b, calc) {
     estimatedAssociationDuesMonthly: calc.monthlyHOA ? String(Math.round(calc.monthlyHOA)) : undefined,
 
     // Credit & rates
-    estimatedFICO: b.credit_score ? String(b.credit_score) : undefined,
+    estimatedFICO: calc.creditScore ? String(calc.creditScore) : undefined,
     noteRate: b.interest_rate || undefined,
-    qualifyingRate: b.interest_rate || undefined,
+    qualifyingRate: b.interest_rate ? calc.qualifyingRate : undefined,
 
     // Loan structure
-    amortizationType: 'Fixed',
-    term: 360,
-    interestOnly: false,
+    amortizationType: calc.amortizationType === 'ARM' ? 'AdjustableRate' : 'Fixed',
+    term: calc.loanTermMonths || 360,
+    interestOnly: !!calc.interestOnly,
     lienPosition: 'FirstLien',
     impoundWaiver: 'None Waived',
 
@@ -404,6 +407,9 @@ app.use(requireAuth);
 app.use('/', indexRoutes);
 app.use('/borrowers', borrowerRoutes);
 app.use('/knowledge', knowledgeRoutes);
+app.use('/rate-sheets', rateSheetRoutes);
+app.use('/loan-limits', loanLimitRoutes);
+app.use('/estimate-rates', estimateRateRoutes);
 app.use('/api', apiRoutes);
 
 // Mailgun webhook endpoint
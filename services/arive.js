@@ -239,14 +239,14 @@ function buildArivePayload(b, calc) {
     estimatedAssociationDuesMonthly: calc.monthlyHOA ? String(Math.round(calc.monthlyHOA)) : undefined,
 
     // Credit & rates
-    estimatedFICO: b.credit_score ? String(b.credit_score) : undefined,
+    estimatedFICO: calc.creditScore ? String(calc.creditScore) : undefined,
     noteRate: b.interest_rate || undefined,
-    qualifyingRate: b.interest_rate || undefined,
+    qualifyingRate: b.interest_rate ? calc.qualifyingRate : undefined,
 
     // Loan structure
-    amortizationType: 'Fixed',
-    term: 360,
-    interestOnly: false,
+    amortizationType: calc.amortizationType === 'ARM' ? 'AdjustableRate' : 'Fixed',
+    term: calc.loanTermMonths || 360,
+    interestOnly: !!calc.interestOnly,
     lienPosition: 'FirstLien',
     impoundWaiver: 'None Waived',
 
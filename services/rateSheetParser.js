@@ -0,0 +1,201 @@
+// Lender Rate Sheet Parser
+// Extracts the base price table (rate x lock period) from uploaded CSV, XLSX or PDF rate sheets
+
+const path = require('path');
+const zlib = require('zlib');
+const { parseCsv } = require('./csv');
+
+// Header cells for a lock period: "30", "30 Day", "30-Day", "30D"
+const LOCK_HEADER = /^(\d{2,3})\s*-?\s*(?:days?|d)?$/i;
+
+/**
+ * Parse an uploaded rate sheet (multer file with buffer) into { lockPeriods, rates }
+ */
+async function parseRateSheet(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.csv') {
+    return extractRateTable(parseCsv(file.buffer.toString('utf8')));
+  }
+  if (extension === '.xlsx') {
+    return extractRateTable(readXlsxRows(file.buffer));
+  }
+  if (extension === '.pdf') {
+    const pdfParse = require('pdf-parse');
+    // The bundled pdf.js misreads Node Buffers (bad XRef entry); a plain Uint8Array copy parses cleanly
+    const pdfData = await pdfParse(new Uint8Array(file.buffer));
+    return extractRateTable(splitTextRows(pdfData.text));
+  }
+  throw new Error('Rate sheets must be CSV, XLSX or PDF files');
+}
+
+/**
+ * Find the first "Rate | 15 Day | 30 Day ..." table in a grid of cells.
+ * Rows stop at the next header row so multi-program sheets only contribute their first table.
+ */
+function extractRateTable(rows) {
+  let header = null;
+  const rates = [];
+
+  for (const row of rows) {
+    const cells = row.map(cell => String(cell ?? '').trim());
+    const rateColumn = cells.findIndex(cell => /rate/i.test(cell));
+    const lockColumns = cells
+      .map((cell, index) => ({ index, match: LOCK_HEADER.exec(cell) }))
+      .filter(({ index, match }) => match && index > rateColumn);
+
+    if (rateColumn !== -1 && lockColumns.length) {
+      if (header) break;
+      header = { rateColumn, lockColumns: lockColumns.map(({ index, match }) => ({ index, days: parseInt(match[1]) })) };
+      continue;
+    }
+    if (!header) continue;
+
+    const rate = parseFloat((cells[header.rateColumn] || '').replace('%', ''));
+    if (isNaN(rate) || rate <= 0 || rate >= 20) continue;
+
+    const prices = {};
+    for (const { index, days } of header.lockColumns) {
+      const price = parsePrice(cells[index]);
+      if (price !== null) prices[days] = price;
+    }
+    if (Object.keys(prices).length) rates.push({ rate, prices });
+  }
+
+  if (!rates.length) {
+    throw new Error('No rate table found - expected a "Rate" column followed by lock period columns (e.g. "30 Day")');
+  }
+
+  return {
+    lockPeriods: header.lockColumns.map(lock => lock.days),
+    rates: normalizePrices(rates)
+  };
+}
+
+/**
+ * Signed number in a price cell; accounting parentheses are negative ("(1.125)" -> -1.125)
+ */
+function parsePrice(value) {
+  const text = String(value ?? '').replace(/[$,\s]/g, '');
+  const negative = /^\(.*\)$/.test(text);
+  const number = parseFloat(text.replace(/[()]/g, ''));
+  if (isNaN(number)) return null;
+  return negative ? -number : number;
+}
+
+/**
+ * Prices per 100 of loan amount. Sheets quoted in points from par (every value under 50) use either
+ * sign convention, told apart by direction: rebates grow as the rate rises, costs shrink.
+ */
+function normalizePrices(rates) {
+  const values = rates.flatMap(({ prices }) => Object.values(prices));
+  if (values.some(price => Math.abs(price) >= 50)) return rates;
+
+  const byRate = [...rates].sort((a, b) => a.rate - b.rate);
+  const lowest = byRate[0].prices;
+  const highest = byRate[byRate.length - 1].prices;
+  const lock = Object.keys(lowest).find(days => highest[days] !== undefined);
+  const quotedAsCost = lock !== undefined && highest[lock] < lowest[lock];
+
+  return rates.map(({ rate, prices }) => ({
+    rate,
+    prices: Object.fromEntries(Object.entries(prices).map(([days, points]) => [days, quotedAsCost ? 100 - points : 100 + points]))
+  }));
+}
+
+/**
+ * PDF text comes out one table row per line; keep "30 Day" headers together as one cell
+ */
+function splitTextRows(text) {
+  return text.split(/\r?\n/).map(line => line
+    .replace(/(\d{2,3})\s*-?\s*(days?)\b/gi, '$1$2')
+    .trim()
+    .split(/\s+/));
+}
+
+/**
+ * Cells of the first worksheet in an XLSX workbook (a zip of XML parts)
+ */
+function readXlsxRows(buffer) {
+  const sheetXml = readZipEntry(buffer, 'xl/worksheets/sheet1.xml');
+  if (!sheetXml) throw new Error('XLSX file has no worksheet');
+
+  const sharedStringsXml = readZipEntry(buffer, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? [...sharedStringsXml.toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => xmlText(item))
+    : [];
+
+  const rows = [];
+  for (const [, rowXml] of sheetXml.toString('utf8').matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const [, attributes, body = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = /r="([A-Z]+)\d+"/.exec(attributes);
+      const type = (/t="(\w+)"/.exec(attributes) || [])[1];
+      const value = (/<v>([\s\S]*?)<\/v>/.exec(body) || [])[1];
+
+      let cell = '';
+      if (type === 's') cell = sharedStrings[parseInt(value)] ?? '';
+      else if (type === 'inlineStr') cell = xmlText(body);
+      else if (value !== undefined) cell = decodeXml(value);
+
+      row[reference ? columnIndex(reference[1]) : row.length] = cell;
+    }
+    rows.push(Array.from(row, cell => cell ?? ''));
+  }
+  return rows;
+}
+
+/**
+ * Contents of one file in a zip archive, found through the central directory
+ */
+function readZipEntry(buffer, name) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a valid XLSX file');
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let n = 0; n < entryCount; n++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeader = buffer.readUInt32LE(offset + 42);
+
+    if (buffer.toString('utf8', offset + 46, offset + 46 + nameLength) === name) {
+      const start = localHeader + 30 + buffer.readUInt16LE(localHeader + 26) + buffer.readUInt16LE(localHeader + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      return method === 8 ? zlib.inflateRawSync(data) : data;
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+}
+
+function xmlText(xml) {
+  return [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(([, text]) => decodeXml(text)).join('');
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// "A" -> 0, "AB" -> 27
+function columnIndex(letters) {
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+module.exports = {
+  parseRateSheet
+};
@@ -0,0 +1,426 @@
+// Golden-file tests for the shared qualification calculator
+// Each fixture in test/fixtures/borrowers.json has a pinned result in test/golden/<name>.json.
+// After an intentional change to the math, regenerate with: UPDATE_GOLDEN=1 npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const calculator = require('../public/js/calculator');
+const { calculateBorrowerMetrics } = require('../routes/borrowers');
+
+const fixtures = require('./fixtures/borrowers.json');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// Round every number to cents so golden files don't churn on float noise
+function roundForGolden(value) {
+  if (typeof value === 'number') return Math.round(value * 100) / 100;
+  if (Array.isArray(value)) return value.map(roundForGolden);
+  if (value && typeof value === 'object') {
+    const rounded = {};
+    for (const key of Object.keys(value)) {
+      rounded[key] = roundForGolden(value[key]);
+    }
+    return rounded;
+  }
+  return value;
+}
+
+for (const { name, borrower } of fixtures) {
+  test(`golden: ${name}`, () => {
+    const actual = roundForGolden(calculator.calculateBorrowerMetrics(borrower));
+    const goldenPath = path.join(GOLDEN_DIR, `${name}.json`);
+
+    if (UPDATE_GOLDEN || !fs.existsSync(goldenPath)) {
+      fs.writeFileSync(goldenPath, JSON.stringify(actual, null, 2) + '\n');
+      if (!UPDATE_GOLDEN) assert.fail(`Golden file created for ${name} - review and commit it`);
+      return;
+    }
+
+    const expected = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+    assert.deepStrictEqual(actual, expected);
+  });
+}
+
+test('server route uses the shared calculator', () => {
+  assert.strictEqual(calculateBorrowerMetrics, calculator.calculateBorrowerMetrics);
+});
+
+test('stored JSON strings and form arrays produce the same result', () => {
+  const { borrower } = fixtures.find(f => f.name === 'database-row-json-strings');
+  const fromForm = { ...borrower };
+  for (const field of ['employers', 'other_income', 'co_employers', 'co_other_income', 'assets', 'debts']) {
+    fromForm[field] = JSON.parse(borrower[field]);
+  }
+  assert.deepStrictEqual(calculator.calculateBorrowerMetrics(fromForm), calculator.calculateBorrowerMetrics(borrower));
+});
+
+test('scenario overrides price, down payment percent and program', () => {
+  const { borrower } = fixtures.find(f => f.name === 'conventional-20-down');
+  const scenario = { purchase_price: 500000, down_payment_percent: 5, preferred_loan_type: 'FHA', interest_rate: null };
+  const applied = calculator.applyScenario(borrower, scenario);
+
+  assert.strictEqual(applied.down_payment_amount, 25000);
+  assert.strictEqual(applied.interest_rate, borrower.interest_rate);
+  const calc = calculator.calculateBorrowerMetrics(applied);
+  assert.strictEqual(calc.loanAmount, 475000);
+  assert.strictEqual(calc.loanProgram, 'FHA');
+});
+
+test('student loan qualifying payment follows the program rule', () => {
+  const deferred = { type: 'Student Loans', balance: 40000, monthly_payment: 0, student_status: 'Deferred', deferred_months_remaining: 6 };
+  const qualifying = (loanProgram, conventionalInvestor) =>
+    calculator.calculateStudentLoanPayment(deferred, { loanProgram, conventionalInvestor }).qualifyingPayment;
+
+  assert.strictEqual(qualifying('Conventional', 'Fannie Mae'), 400);
+  assert.strictEqual(qualifying('Conventional', 'Freddie Mac'), 200);
+  assert.strictEqual(qualifying('FHA'), 200);
+  assert.strictEqual(Math.round(qualifying('VA') * 100) / 100, 166.67);
+
+  const deferredPastYear = { ...deferred, deferred_months_remaining: 12 };
+  assert.strictEqual(calculator.calculateStudentLoanPayment(deferredPastYear, { loanProgram: 'VA' }).qualifyingPayment, 0);
+});
+
+test('representative score averages middle scores for Fannie Mae, lowest middle otherwise', () => {
+  const { borrower } = fixtures.find(f => f.name === 'tri-merge-coborrower-fha-lowest-middle');
+  const fha = calculator.calculateCreditScores(borrower, { hasCoBorrower: true, loanProgram: 'FHA' });
+  assert.strictEqual(fha.middleScore, 702);
+  assert.strictEqual(fha.coMiddleScore, 640);
+  assert.strictEqual(fha.creditScore, 640);
+
+  const fannie = calculator.calculateCreditScores(borrower, { hasCoBorrower: true, loanProgram: 'Conventional' });
+  assert.strictEqual(fannie.creditScore, 671);
+  const freddie = calculator.calculateCreditScores({ ...borrower, conventional_investor: 'Freddie Mac' }, { hasCoBorrower: true, loanProgram: 'Conventional' });
+  assert.strictEqual(freddie.creditScore, 640);
+});
+
+test('rate sheet pricing applies LLPAs and marks the par rate', () => {
+  const sheet = {
+    lock_periods: [30, 45],
+    rates: [
+      { rate: 6.5, prices: { 30: 99.5, 45: 99.25 } },
+      { rate: 6.75, prices: { 30: 100.5, 45: 100.25 } },
+      { rate: 7.0, prices: { 30: 101.5, 45: 101.25 } },
+      { rate: 7.25, prices: { 30: 102.0, 45: 101.75 } }
+    ],
+    adjustments: {}
+  };
+  const borrower = { occupancy: 'Primary Residence', property_type: 'CONDO_UNDER_5_STORIES', loan_purpose: 'Purchase' };
+  const scenario = { ltv: 80, creditScore: 745, loanAmount: 400000, totalLoanAmount: 400000, loanTermMonths: 360, lockDays: 30 };
+
+  // 740-759 credit score at 75.01-80% LTV (0.875) plus condo above 75% LTV (0.75)
+  const pricing = calculator.priceRateSheet(sheet, borrower, scenario);
+  assert.strictEqual(pricing.totalAdjustment, 1.625);
+  assert.deepStrictEqual(pricing.rows.map(row => row.points), [2.125, 1.125, 0.125, -0.375]);
+  assert.strictEqual(pricing.rows.find(row => row.isPar).rate, 7.25);
+  assert.strictEqual(pricing.rows[3].pointsAmount, -1500);
+
+  assert.strictEqual(calculator.priceRateSheet(sheet, borrower, { ...scenario, lockDays: 60 }).lockDays, 30);
+});
+
+test('loan limit check uses the county limit and suggests alternatives over it', () => {
+  const { borrower } = fixtures.find(f => f.name === 'conventional-high-balance-county-limit');
+  const highBalance = calculator.checkLoanLimits(borrower, { loanProgram: 'Conventional', baseLoanAmount: 1000000 });
+  assert.strictEqual(highBalance.loanLimit, 1249125);
+  assert.strictEqual(highBalance.isHighBalance, true);
+  assert.strictEqual(highBalance.exceedsLoanLimit, false);
+
+  const national = calculator.checkLoanLimits({}, { loanProgram: 'Conventional', baseLoanAmount: 1000000 });
+  assert.strictEqual(national.exceedsLoanLimit, true);
+  assert.deepStrictEqual(national.suggestedPrograms, ['Jumbo', 'Non-QM']);
+
+  const fha = calculator.checkLoanLimits({}, { loanProgram: 'FHA', baseLoanAmount: 600000 });
+  assert.deepStrictEqual(fha.suggestedPrograms, ['Conventional', 'Non-QM']);
+
+  assert.strictEqual(calculator.checkLoanLimits(borrower, { loanProgram: 'VA', baseLoanAmount: 1500000 }).exceedsLoanLimit, false);
+  const reducedEntitlement = calculator.checkLoanLimits({ ...borrower, va_prior_use: 1 }, { loanProgram: 'VA', baseLoanAmount: 1349125 });
+  assert.match(reducedEntitlement.loanLimitWarnings[0], /25% of that amount down \(\$25,000\)/);
+});
+
+test('tax estimate applies the primary residence exemption and insurance follows property type', () => {
+  const borrower = { purchase_price: 500000, property_county: 'Salt Lake', occupancy: 'Primary Residence', property_type: 'SINGLE_FAMILY_DETACHED' };
+  const primary = calculator.estimatePropertyCosts(borrower);
+  assert.strictEqual(primary.propertyTaxesAnnual, 2750);
+  assert.strictEqual(primary.insuranceAnnual, 1750);
+
+  const investment = calculator.estimatePropertyCosts({ ...borrower, occupancy: 'Investment', property_type: 'CONDO_UNDER_5_STORIES' });
+  assert.strictEqual(investment.propertyTaxesAnnual, 5000);
+  assert.strictEqual(investment.insuranceAnnual, 625);
+
+  const rates = { ...calculator.DEFAULT_ESTIMATE_RATES, tax: { ...calculator.DEFAULT_ESTIMATE_RATES.tax, 'Salt Lake': 1.2 } };
+  assert.strictEqual(calculator.estimatePropertyCosts(borrower, rates).propertyTaxesAnnual, 3300);
+});
+
+test('DPA second lien adds to CLTV and payment, reduces cash to close and is matched on program rules', () => {
+  const { borrower } = fixtures.find(f => f.name === 'fha-first-time-dpa-second-lien');
+  const withDpa = calculator.calculateBorrowerMetrics(borrower);
+  const withoutDpa = calculator.calculateBorrowerMetrics({ ...borrower, dpa_program: '' });
+
+  // 6% of the FHA total loan amount at the first mortgage rate + 2%
+  assert.strictEqual(Math.round(withDpa.secondLienAmount * 100) / 100, Math.round(withDpa.totalLoanAmount * 6) / 100);
+  assert.strictEqual(withDpa.secondLienRate, 8.5);
+  assert.ok(withDpa.cltv > withDpa.ltv);
+  assert.strictEqual(Math.round((withDpa.totalPITI - withoutDpa.totalPITI) * 100), Math.round(withDpa.secondLienPayment * 100));
+  assert.strictEqual(Math.round((withoutDpa.cashToClose - withDpa.cashToClose) * 100), Math.round(withDpa.secondLienAmount * 100));
+
+  const eligible = id => withDpa.dpaMatches.find(match => match.id === id);
+  assert.strictEqual(eligible('UH_FIRSTHOME').eligible, true);
+  assert.strictEqual(eligible('UH_FIRSTHOME').householdSize, 3);
+  assert.deepStrictEqual(eligible('UH_SCORE').reasons, []);
+  assert.deepStrictEqual(eligible('SLCO_DPA').reasons, ['Income $105,000 over the $92,900 limit for a household of 3']);
+
+  const repeatBuyer = calculator.calculateBorrowerMetrics({ ...borrower, first_time_homebuyer: 0 });
+  assert.deepStrictEqual(repeatBuyer.dpaIneligibleReasons, ['First-time homebuyers only']);
+});
+
+test('temporary buydown steps the payment up to the note rate and seller money is capped at the IPC limit', () => {
+  const { borrower } = fixtures.find(f => f.name === 'conventional-2-1-buydown-seller-concessions');
+  const calc = calculator.calculateBorrowerMetrics(borrower);
+
+  assert.deepStrictEqual(calc.buydownSchedule.map(year => year.rate), [4.875, 5.875, 6.875]);
+  assert.strictEqual(calc.buydownSchedule[2].principalAndInterest, calc.principalAndInterest);
+  assert.strictEqual(calc.buydownCost, calc.buydownSchedule[0].annualSubsidy + calc.buydownSchedule[1].annualSubsidy);
+
+  // 95% LTV conventional allows 3% of the price; the rest of the seller's money is not credited
+  assert.strictEqual(calc.interestedPartyLimit, 12000);
+  assert.strictEqual(Math.round(calc.interestedPartyExcess * 100), Math.round((8000 + calc.buydownCost - 12000) * 100));
+  assert.strictEqual(calc.closingCostItems.find(item => item.key === 'seller_credits').amount, -12000);
+
+  const lenderPaid = calculator.calculateBorrowerMetrics({ ...borrower, buydown_paid_by: 'Lender' });
+  assert.strictEqual(lenderPaid.interestedPartyExcess, 0);
+  assert.ok(lenderPaid.cashToClose < calc.cashToClose);
+
+  // VA's 4% caps concessions only: seller-paid closing costs are credited in full and not counted
+  const va = fixtures.find(f => f.name === 'va-zero-down-first-use').borrower;
+  const vaClosingCosts = calculator.calculateBorrowerMetrics({ ...va, seller_credits: 5000 });
+  assert.strictEqual(vaClosingCosts.sellerPaidClosingCosts, 5000);
+  assert.strictEqual(vaClosingCosts.interestedPartyContributions, 0);
+  assert.strictEqual(vaClosingCosts.closingCostItems.find(item => item.key === 'seller_credits').amount, -5000);
+
+  const vaConcessions = calculator.calculateBorrowerMetrics({ ...va, seller_credits: 30000 });
+  assert.strictEqual(vaConcessions.sellerPaidClosingCosts, vaConcessions.closingCosts);
+  assert.strictEqual(vaConcessions.interestedPartyContributions, 30000 - vaConcessions.closingCosts);
+  assert.strictEqual(vaConcessions.interestedPartyExcess, vaConcessions.interestedPartyContributions - vaConcessions.interestedPartyLimit);
+});
+
+test('refinance analysis compares payments and applies the streamline net tangible benefit tests', () => {
+  const { borrower } = fixtures.find(f => f.name === 'refinance-va-irrrl-benefit');
+  const irrrl = calculator.calculateBorrowerMetrics(borrower).refinanceAnalysis;
+  assert.strictEqual(Math.round(irrrl.monthlySavings * 100) / 100, Math.round((irrrl.currentPayment - irrrl.proposedPayment) * 100) / 100);
+  assert.strictEqual(irrrl.breakevenMonths, irrrl.refinanceCosts / irrrl.monthlySavings);
+  assert.strictEqual(irrrl.netTangibleBenefit.test, 'VA IRRRL');
+  assert.strictEqual(irrrl.netTangibleBenefit.passed, true);
+
+  // Only a VA-to-VA rate/term refinance gets the 0.5% IRRRL funding fee
+  assert.strictEqual(calculator.calculateBorrowerMetrics(borrower).upfrontFeeRate, 0.5);
+  assert.strictEqual(calculator.calculateBorrowerMetrics({ ...borrower, current_loan_type: 'Conventional' }).upfrontFeeRate, 3.3);
+  assert.strictEqual(calculator.calculateBorrowerMetrics({ ...borrower, current_loan_type: 'FHA', va_prior_use: 0 }).upfrontFeeRate, 2.15);
+
+  const smallDrop = calculator.calculateBorrowerMetrics({ ...borrower, interest_rate: 6.875 }).refinanceAnalysis;
+  assert.strictEqual(smallDrop.netTangibleBenefit.passed, false);
+
+  // FHA compares note rate + annual MIP: 7.25% + 0.55% current vs 6.25% + 0.50% proposed
+  const fha = calculator.calculateBorrowerMetrics({ ...borrower, preferred_loan_type: 'FHA', current_loan_type: 'FHA', current_monthly_mi: 165 });
+  assert.strictEqual(fha.refinanceAnalysis.netTangibleBenefit.test, 'FHA Streamline');
+  assert.strictEqual(fha.refinanceAnalysis.netTangibleBenefit.passed, true);
+
+  const cashOut = calculator.calculateBorrowerMetrics({ ...borrower, refinance_type: 'Cash Out', cash_out_amount: 20000 });
+  assert.strictEqual(cashOut.refinanceAnalysis.netTangibleBenefit, null);
+  assert.strictEqual(calculator.calculateBorrowerMetrics({ ...borrower, loan_purpose: 'Purchase' }).refinanceAnalysis, null);
+});
+
+test('cash-out limits cap each program at the lower of its max LTV and DTI, after seasoning', () => {
+  const { borrower } = fixtures.find(f => f.name === 'conventional-cash-out-over-limit');
+  const calc = calculator.calculateBorrowerMetrics(borrower);
+  const limit = program => calc.cashOutLimits.find(l => l.program === program);
+
+  // $500,000 value: 80% conventional and FHA, 100% VA, none for USDA
+  assert.strictEqual(calc.maxCashOut, 100000);
+  assert.strictEqual(limit('FHA').maxCashOut, 100000);
+  assert.strictEqual(limit('VA').maxCashOut, 200000);
+  assert.strictEqual(limit('USDARuralDevelopment').eligible, false);
+  assert.deepStrictEqual(calc.cashOutWarnings, ['Cash out of $120,000 exceeds the $100,000 Conventional maximum (80% LTV)']);
+
+  const investment = calculator.calculateBorrowerMetrics({ ...borrower, occupancy: 'Investment' });
+  assert.strictEqual(investment.maxCashOut, 75000);
+  assert.deepStrictEqual(investment.cashOutLimits.find(l => l.program === 'FHA').reasons, ['Primary residence only']);
+
+  const lowIncome = calculator.calculateBorrowerMetrics({ ...borrower, employers: [{ ...borrower.employers[0], salary_amount: 60000 }] });
+  assert.strictEqual(lowIncome.cashOutLimits[0].limitedBy, 'DTI');
+  assert.ok(lowIncome.maxCashOut < 100000);
+
+  const recentPurchase = calculator.calculateBorrowerMetrics({ ...borrower, property_acquired_date: '2026-08-01', current_loan_first_payment_date: '2026-10-01' });
+  assert.strictEqual(recentPurchase.maxCashOut, 0);
+  assert.deepStrictEqual(recentPurchase.cashOutWarnings, ['Conventional cash-out not available: Owned 3 months (6 required); Existing loan seasoned 1 months (12 required)']);
+  assert.strictEqual(calculator.calculateBorrowerMetrics({ ...borrower, loan_purpose: 'Purchase' }).cashOutLimits, null);
+});
+
+test('amortization schedule pays off the loan, drops conventional MI at 78% and credits extra payments', () => {
+  const calc = calculator.calculateBorrowerMetrics(fixtures.find(f => f.name === 'conventional-5-down-pmi-coborrower').borrower);
+  const amortization = calculator.calculateAmortization(calc);
+
+  assert.strictEqual(amortization.payoffMonth, 360);
+  assert.strictEqual(amortization.schedule[359].balance, 0);
+  assert.strictEqual(Math.round(amortization.schedule[0].payment * 100), Math.round(calc.principalAndInterest * 100));
+  assert.strictEqual(Math.round(amortization.years.reduce((sum, year) => sum + year.principal, 0)), Math.round(calc.totalLoanAmount));
+  // MI is charged through the month the balance crosses 78% of the original value
+  const dropOff = amortization.miDropOffMonth;
+  assert.ok(amortization.schedule[dropOff - 2].balance <= calc.propertyValue * 0.78);
+  assert.ok(amortization.schedule[dropOff - 3].balance > calc.propertyValue * 0.78);
+  assert.strictEqual(amortization.schedule[dropOff - 1].mi, 0);
+
+  const extra = calculator.calculateAmortization(calc, { extraMonthly: 200, lumpSum: 10000, lumpSumMonth: 12 });
+  assert.strictEqual(extra.schedule[11].extraPrincipal, 10200);
+  assert.ok(extra.miDropOffMonth < dropOff);
+  assert.strictEqual(extra.monthsSaved, 360 - extra.payoffMonth);
+  assert.strictEqual(extra.interestSaved, amortization.totalInterest - extra.totalInterest);
+  assert.ok(extra.interestSaved > 0);
+
+  // A lump sum without a month is left out rather than paid in month 1
+  const noMonth = calculator.calculateAmortization(calc, { lumpSum: 10000 });
+  assert.strictEqual(noMonth.lumpSum, 0);
+  assert.strictEqual(noMonth.payoffMonth, amortization.payoffMonth);
+
+  const fha = calculator.calculateAmortization(calculator.calculateBorrowerMetrics(fixtures.find(f => f.name === 'fha-3.5-down').borrower));
+  assert.strictEqual(fha.miDropOffMonth, null);
+  assert.strictEqual(fha.miDropOffRule, 'FHA Annual MIP lasts for the life of the loan');
+  assert.strictEqual(calculator.calculateAmortization(calculator.calculateBorrowerMetrics({})), null);
+});
+
+test('VA residual income uses the regional table, estimated taxes and the 120% rule above 41% DTI', () => {
+  const { borrower } = fixtures.find(f => f.name === 'va-residual-income-family-high-dti');
+  const calc = calculator.calculateBorrowerMetrics(borrower);
+  const residual = calc.vaResidualIncome;
+
+  // Family of 4 in the West on a loan over $80,000, raised 20% for a 46% DTI
+  assert.strictEqual(residual.familySize, 4);
+  assert.strictEqual(residual.region, 'West');
+  assert.strictEqual(residual.baseRequirement, 1117);
+  assert.strictEqual(Math.round(residual.requiredResidual * 100), 134040);
+  // Married filing jointly: ($110,000 - $32,200) taxed at 10% / 12%; FICA 7.65%; Utah 4.5%
+  assert.strictEqual(Math.round(residual.federalTax * 12), 8840);
+  assert.strictEqual(Math.round(residual.fica * 12 * 100), 841500);
+  assert.strictEqual(Math.round(residual.stateTax * 12), 4950);
+  assert.strictEqual(Math.round(residual.maintenance), 308);
+  assert.strictEqual(residual.residualIncome, calc.totalMonthlyIncome - residual.totalTaxes - calc.qualifyingPITI - residual.maintenance - calc.totalMonthlyDebts);
+  assert.strictEqual(residual.passed, true);
+
+  const midwest = calculator.calculateBorrowerMetrics({ ...borrower, property_state: 'OH', dependents: 5, debts: [] }).vaResidualIncome;
+  assert.strictEqual(midwest.region, 'Midwest');
+  assert.strictEqual(midwest.dtiOverThreshold, false);
+  // Family of 7 is the table maximum: 5-person figure plus $80 for each of two more
+  assert.strictEqual(midwest.requiredResidual, 1039 + 2 * 80);
+
+  const stretched = calculator.calculateBorrowerMetrics({ ...borrower, debts: [{ type: 'Auto Loan', balance: 60000, monthly_payment: 2600 }] }).vaResidualIncome;
+  assert.strictEqual(stretched.passed, false);
+  assert.ok(stretched.margin < 0);
+  assert.strictEqual(calculator.calculateBorrowerMetrics({ ...borrower, preferred_loan_type: 'FHA' }).vaResidualIncome, null);
+});
+
+test('Non-QM DSCR qualifies on rent over PITIA and bank statements replace employment income', () => {
+  const dscrBorrower = fixtures.find(f => f.name === 'nonqm-dscr-investment-purchase').borrower;
+  const dscr = calculator.calculateBorrowerMetrics(dscrBorrower);
+  assert.strictEqual(dscr.qualificationMethod, 'DSCR');
+  assert.strictEqual(dscr.dscrAnalysis.ratio, 2900 / dscr.totalPITI);
+  assert.strictEqual(dscr.dscrAnalysis.passed, true);
+  assert.strictEqual(dscr.reserveRequirementLabel, 'Non-QM DSCR');
+
+  const thin = calculator.calculateBorrowerMetrics({ ...dscrBorrower, subject_rent_monthly: 2600, dscr_reserve_months: 12 });
+  assert.deepStrictEqual(thin.dscrAnalysis.reasons, [`DSCR ${(2600 / thin.totalPITI).toFixed(2)} is below the 1.10 minimum`]);
+  assert.strictEqual(thin.reserveMonthsRequired, 12);
+  assert.deepStrictEqual(calculator.calculateBorrowerMetrics({ ...dscrBorrower, occupancy: 'Primary Residence' }).dscrAnalysis.reasons, ['DSCR loans are for investment properties only']);
+
+  const bankBorrower = fixtures.find(f => f.name === 'nonqm-bank-statement-24-month').borrower;
+  const bank = calculator.calculateBorrowerMetrics(bankBorrower);
+  // $580,500 over 24 months, less 40% expenses, at 75% ownership; the W-2 salary is not added
+  assert.strictEqual(bank.bankStatementAnalysis.averageMonthlyDeposits, 24187.5);
+  assert.strictEqual(bank.bankStatementAnalysis.qualifyingIncome, 24187.5 * 0.6 * 0.75);
+  assert.strictEqual(bank.totalMonthlyIncome, bank.bankStatementAnalysis.qualifyingIncome);
+  assert.deepStrictEqual(bank.bankStatementAnalysis.warnings, ['23 of 24 months of deposits entered']);
+
+  const fullDoc = calculator.calculateBorrowerMetrics({ ...bankBorrower, preferred_loan_type: 'Conventional' });
+  assert.strictEqual(fullDoc.qualificationMethod, 'Full Documentation');
+  assert.strictEqual(fullDoc.bankStatementAnalysis, null);
+  assert.strictEqual(fullDoc.totalMonthlyIncome, 40000 / 12);
+
+  // Bank statements replace only the borrower's employment income; a W-2 co-borrower still counts
+  const withCoBorrower = calculator.calculateBorrowerMetrics({
+    ...bankBorrower,
+    has_coborrower: 1,
+    co_employers: [{ employer_name: 'Intermountain Health', pay_type: 'salary', salary_amount: 60000, salary_frequency: 'annual' }]
+  });
+  assert.strictEqual(withCoBorrower.totalMonthlyIncome, bank.totalMonthlyIncome + 5000);
+});
+
+test('asset depletion spreads assets left after closing and reserves over the program months', () => {
+  const borrower = fixtures.find(f => f.name === 'conventional-retiree-asset-depletion').borrower;
+  const result = calculator.calculateBorrowerMetrics(borrower);
+  // 60% of the 401(k) and 70% of stocks, less cash to close, over Conventional's 240 months
+  assert.strictEqual(result.assetDepletion.eligibleAssets, 1200000 * 0.6 + 400000 * 0.7 + 150000 - result.cashToClose);
+  assert.strictEqual(result.assetDepletion.monthlyIncome, result.assetDepletion.eligibleAssets / 240);
+  // Social Security is grossed up 25% for Conventional
+  assert.strictEqual(result.totalMonthlyIncome, 2400 * 1.25 + result.assetDepletion.monthlyIncome);
+
+  const withReserves = calculator.calculateBorrowerMetrics({ ...borrower, reserve_months_required: 12, asset_depletion_months: 360 });
+  assert.strictEqual(withReserves.assetDepletion.eligibleAssets, withReserves.reservesAfterClose - 12 * withReserves.totalPITI);
+  assert.strictEqual(withReserves.assetDepletion.monthlyIncome, withReserves.assetDepletion.eligibleAssets / 360);
+
+  const excluded = calculator.calculateBorrowerMetrics({ ...borrower, asset_depletion_included: 0 });
+  assert.strictEqual(excluded.assetDepletion.monthlyIncome, result.assetDepletion.monthlyIncome);
+  assert.strictEqual(excluded.totalMonthlyIncome, 2400 * 1.25);
+
+  const va = calculator.calculateBorrowerMetrics({ ...borrower, preferred_loan_type: 'VA' });
+  assert.strictEqual(va.assetDepletion.included, false);
+  assert.deepStrictEqual(va.assetDepletion.notes, ['VA does not allow asset depletion income']);
+});
+
+test('military LES pay grosses up BAH and BAS along with other non-taxable income by program', () => {
+  const borrower = fixtures.find(f => f.name === 'va-active-duty-les-gross-up').borrower;
+  const result = calculator.calculateBorrowerMetrics(borrower);
+  const [les] = result.militaryIncomeAnalyses;
+  assert.strictEqual(les.taxableIncome, 4200 + 225);
+  assert.strictEqual(les.grossUp, (2100 + 460.25) * 0.25);
+  assert.strictEqual(result.monthlyEmploymentIncome, 4425 + 2560.25 * 1.25);
+  assert.strictEqual(result.monthlyOtherIncome, 1100 * 1.25);
+  assert.strictEqual(result.nonTaxableGrossUp, (2560.25 + 1100) * 0.25);
+  // ETS is measured from the closing date
+  assert.deepStrictEqual(les.warnings, ['ETS in 3 months - underwriting needs evidence of reenlistment or intent to continue serving']);
+  // Residual income uses actual income and taxes only base and special pay
+  assert.strictEqual(result.vaResidualIncome.fica.toFixed(2), (4425 * 0.0765).toFixed(2));
+
+  const fha = calculator.calculateBorrowerMetrics({ ...borrower, preferred_loan_type: 'FHA' });
+  assert.strictEqual(fha.nonTaxableGrossUpPercent, 15);
+  assert.strictEqual(fha.monthlyOtherIncome, 1100 * 1.15);
+  const override = calculator.calculateBorrowerMetrics({ ...borrower, nontaxable_gross_up_percent: 0 });
+  assert.strictEqual(override.totalMonthlyIncome, 4425 + 2560.25 + 1100);
+});
+
+test('history validation flags short history, gaps over 30 days and job changes per borrower', () => {
+  const borrower = fixtures.find(f => f.name === 'history-job-change-gap-and-short-residence').borrower;
+  const [primary, co] = calculator.calculateBorrowerMetrics(borrower).historyValidation;
+
+  assert.strictEqual(primary.employment.months, 42);
+  assert.deepStrictEqual(primary.employment.gaps, [{ from: '2025-12-15', to: '2026-02-01', days: 48 }]);
+  assert.deepStrictEqual(primary.employment.jobChanges, [{ from: 'Wasatch Medical', to: 'Canyon Dental Group', date: '2026-02-01' }]);
+  assert.strictEqual(primary.residence.months, 14 + 8);
+  assert.deepStrictEqual(primary.residence.warnings, ['Only 22 months of residence history - add previous addresses to cover 24 months']);
+  assert.strictEqual(primary.complete, false);
+
+  // Time at job alone places the co-borrower's job back from closing
+  assert.deepStrictEqual(co.employment.jobs[0], { employerName: 'Alpine School District', isPrevious: false, startDate: '2021-11-20', endDate: '2026-11-20', months: 60 });
+  assert.strictEqual(co.complete, true);
+
+  // A previous job ending within 30 days of the new start is not a gap, and a second address completes residence
+  const fixed = calculator.calculateBorrowerMetrics({
+    ...borrower,
+    employers: borrower.employers.map(emp => (emp.is_previous ? { ...emp, end_date: '2026-01-16' } : emp)),
+    previous_residences: [...borrower.previous_residences, { street_address: '9 S Main St', city: 'Lehi', state: 'UT', years: 1 }]
+  }).historyValidation[0];
+  assert.deepStrictEqual(fixed.employment.gaps, []);
+  assert.strictEqual(fixed.residence.complete, true);
+
+  const laidOff = calculator.calculateBorrowerMetrics({ ...borrower, employers: [borrower.employers[1]] }).historyValidation[0];
+  assert.deepStrictEqual(laidOff.employment.gaps, [{ from: '2025-12-15', to: '2026-11-20', days: 340, current: true }]);
+});
@@ -0,0 +1,27 @@
+// Rate sheet parser: table detection and price conventions
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseRateSheet } = require('../services/rateSheetParser');
+
+const csvSheet = rows => ({ originalname: 'sheet.csv', buffer: Buffer.from(rows.join('\n')) });
+
+test('100-based prices are kept as quoted', async () => {
+  const sheet = await parseRateSheet(csvSheet(['Rate,30 Day,45 Day', '6.500,99.250,99.125', '7.000,100.750,100.625']));
+  assert.deepStrictEqual(sheet.lockPeriods, [30, 45]);
+  assert.deepStrictEqual(sheet.rates, [
+    { rate: 6.5, prices: { 30: 99.25, 45: 99.125 } },
+    { rate: 7, prices: { 30: 100.75, 45: 100.625 } }
+  ]);
+});
+
+test('points from par read as rebates when they rise with the rate', async () => {
+  const sheet = await parseRateSheet(csvSheet(['Rate,30 Day', '6.500,(0.750)', '7.000,1.250']));
+  assert.deepStrictEqual(sheet.rates.map(r => r.prices[30]), [99.25, 101.25]);
+});
+
+test('points from par read as costs when they fall as the rate rises', async () => {
+  const sheet = await parseRateSheet(csvSheet(['Rate,30 Day', '6.500,0.750', '7.000,(1.250)']));
+  assert.deepStrictEqual(sheet.rates.map(r => r.prices[30]), [99.25, 101.25]);
+});